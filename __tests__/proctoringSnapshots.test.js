@@ -0,0 +1,226 @@
+const path = require('path');
+const crypto = require('crypto');
+
+// Canned detector results, keyed by the SHA-256 of each snapshot below
+process.env.FACE_DETECTOR = 'fixture';
+process.env.FACE_DETECTOR_FIXTURES = path.join(__dirname, 'fixtures', 'faces.json');
+
+jest.mock('../models/ProctoringSession', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/Test', () => ({
+  updateOne: jest.fn()
+}));
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+// sharp is a native module; screenshots are only resized and re-encoded by it
+jest.mock('sharp', () => jest.fn(() => {
+  const pipeline = {
+    resize: () => pipeline,
+    jpeg: () => pipeline,
+    toBuffer: async () => ({ data: Buffer.from('jpeg'), info: { size: 4, width: 800, height: 600 } })
+  };
+  return pipeline;
+}), { virtual: true });
+
+const ProctoringSession = require('../models/ProctoringSession');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const faceDetectionService = require('../utils/faceDetectionService');
+const mediaStore = require('../utils/mediaStore');
+const proctoringService = require('../utils/proctoringService');
+
+const SNAPSHOTS = {
+  noFace: Buffer.from('no-face'),
+  twoFaces: Buffer.from('two-faces'),
+  stranger: Buffer.from('stranger'),
+  candidate: Buffer.from('candidate')
+};
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const createTest = () => ({
+  _id: 'test-object-id',
+  testId: 'TEST-1',
+  user: 'user-object-id',
+  proctoring: { identityChecks: [] }
+});
+
+const analyze = async (test, buffer) => {
+  const screenshot = { filename: 'TEST-1_snapshot.jpg' };
+  const { detection, identity } = await proctoringService.analyzeSnapshot(test, buffer, sha256(buffer), screenshot);
+  return { screenshot, detection, identity };
+};
+
+describe('proctoring snapshot analysis', () => {
+  const fixtureDetector = faceDetectionService.detector;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    faceDetectionService.useDetector(fixtureDetector);
+
+    // The detector only needs the hash the fixtures are keyed by, not real pixels
+    jest.spyOn(faceDetectionService, 'decodeImage')
+      .mockImplementation(async (buffer, { sha256: hash }) => ({ data: Buffer.alloc(3), width: 1, height: 1, channels: 3, sha256: hash }));
+
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        profile: { photo: '/uploads/profile.jpg' },
+        faceEnrollment: { status: 'Enrolled', photo: '/uploads/profile.jpg', descriptor: [0, 0, 0] }
+      })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the fixture detector', () => {
+    expect(faceDetectionService.getDetectorName()).toBe('fixture');
+  });
+
+  it('raises no_face_detected when the snapshot has no face', async () => {
+    const { screenshot, detection, identity } = await analyze(createTest(), SNAPSHOTS.noFace);
+
+    expect(detection).toEqual({ faceCount: 0, confidence: 0.95, faces: [] });
+    expect(identity).toBeNull();
+    expect(screenshot).toMatchObject({ faceCount: 0, faceConfidence: 0.95, faceDetector: 'fixture' });
+    expect(User.findById).not.toHaveBeenCalled();
+
+    expect(proctoringService.getSnapshotViolation(screenshot, detection, identity)).toEqual({
+      type: 'no_face_detected',
+      description: 'No face detected in webcam snapshot',
+      details: { screenshot: 'TEST-1_snapshot.jpg', confidence: 0.95 }
+    });
+  });
+
+  it('raises multiple_faces when more than one face scores above the minimum confidence', async () => {
+    const { screenshot, detection, identity } = await analyze(createTest(), SNAPSHOTS.twoFaces);
+
+    expect(detection.faceCount).toBe(2);
+    expect(detection.confidence).toBe(0.81);
+    expect(identity).toBeNull();
+    expect(User.findById).not.toHaveBeenCalled();
+
+    expect(proctoringService.getSnapshotViolation(screenshot, detection, identity)).toEqual({
+      type: 'multiple_faces',
+      description: '2 faces detected in webcam snapshot',
+      details: { screenshot: 'TEST-1_snapshot.jpg', faceCount: 2, confidence: 0.81 }
+    });
+  });
+
+  it('raises identity_mismatch when the one face does not match the profile photo', async () => {
+    const test = createTest();
+    const { screenshot, detection, identity } = await analyze(test, SNAPSHOTS.stranger);
+
+    expect(detection.faceCount).toBe(1);
+    expect(identity).toMatchObject({ matched: false, similarity: -0.414, threshold: 0.45, screenshot: 'TEST-1_snapshot.jpg' });
+    expect(screenshot.identitySimilarity).toBe(-0.414);
+    expect(Test.updateOne).toHaveBeenCalledWith(
+      { _id: 'test-object-id' },
+      { $push: { 'proctoring.identityChecks': expect.objectContaining({ matched: false, similarity: -0.414 }) } }
+    );
+    expect(test.proctoring.identityChecks).toHaveLength(1);
+
+    expect(proctoringService.getSnapshotViolation(screenshot, detection, identity)).toEqual({
+      type: 'identity_mismatch',
+      description: 'Face does not match the profile photo (similarity -0.414)',
+      details: { screenshot: 'TEST-1_snapshot.jpg', similarity: -0.414, threshold: 0.45 }
+    });
+  });
+
+  it('raises nothing when the one face matches the profile photo', async () => {
+    const { screenshot, detection, identity } = await analyze(createTest(), SNAPSHOTS.candidate);
+
+    expect(identity).toMatchObject({ matched: true, similarity: 0.9 });
+    expect(proctoringService.getSnapshotViolation(screenshot, detection, identity)).toBeNull();
+  });
+
+  it('skips the identity check until it is due again', async () => {
+    const test = createTest();
+    test.proctoring.identityChecks.push({ checkedAt: new Date(), similarity: 0.9, matched: true });
+
+    const { screenshot, detection, identity } = await analyze(test, SNAPSHOTS.stranger);
+
+    expect(identity).toBeNull();
+    expect(User.findById).not.toHaveBeenCalled();
+    expect(proctoringService.getSnapshotViolation(screenshot, detection, identity)).toBeNull();
+  });
+
+  it('leaves the screenshot without results when the detector fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    faceDetectionService.useDetector({
+      name: 'broken',
+      detect: jest.fn().mockRejectedValue(new Error('model failed to load'))
+    });
+
+    const { screenshot, detection, identity } = await analyze(createTest(), SNAPSHOTS.noFace);
+
+    expect(detection).toBeUndefined();
+    expect(identity).toBeUndefined();
+    expect(screenshot).toEqual({ filename: 'TEST-1_snapshot.jpg' });
+    expect(console.error).toHaveBeenCalledWith('Face detection error:', expect.any(Error));
+    expect(proctoringService.getSnapshotViolation(screenshot, detection, identity)).toBeNull();
+  });
+
+  describe('captureScreenshot', () => {
+    beforeEach(() => {
+      jest.spyOn(mediaStore, 'save').mockResolvedValue({});
+      ProctoringSession.findOne.mockResolvedValue({
+        _id: 'session-object-id',
+        options: { enableScreenCapture: true, enableFaceDetection: true }
+      });
+    });
+
+    it('stores the snapshot with its face count and returns the detection', async () => {
+      const result = await proctoringService.captureScreenshot(createTest(), `data:image/jpeg;base64,${SNAPSHOTS.twoFaces.toString('base64')}`);
+
+      expect(result.success).toBe(true);
+      expect(result.detection.faceCount).toBe(2);
+      expect(result.screenshot).toMatchObject({
+        storageKey: expect.stringMatching(/^screenshots\/TEST-1_.*\.jpg$/),
+        sha256: sha256(SNAPSHOTS.twoFaces),
+        faceCount: 2,
+        faceDetector: 'fixture'
+      });
+      expect(mediaStore.save).toHaveBeenCalledWith(result.screenshot.storageKey, Buffer.from('jpeg'));
+      expect(ProctoringSession.updateOne).toHaveBeenCalledWith(
+        { _id: 'session-object-id' },
+        { $push: { screenshots: result.screenshot } }
+      );
+      expect(proctoringService.getSnapshotViolation(result.screenshot, result.detection, result.identity).type).toBe('multiple_faces');
+    });
+
+    it('stores the snapshot without detection results when the detector fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      faceDetectionService.useDetector({
+        name: 'broken',
+        detect: jest.fn().mockRejectedValue(new Error('model failed to load'))
+      });
+
+      const result = await proctoringService.captureScreenshot(createTest(), SNAPSHOTS.noFace.toString('base64'));
+
+      expect(result.success).toBe(true);
+      expect(result.detection).toBeUndefined();
+      expect(result.screenshot.faceCount).toBeUndefined();
+      expect(ProctoringSession.updateOne).toHaveBeenCalledTimes(1);
+      expect(proctoringService.getSnapshotViolation(result.screenshot, result.detection, result.identity)).toBeNull();
+    });
+
+    it('does not run detection when the session has it turned off', async () => {
+      ProctoringSession.findOne.mockResolvedValue({
+        _id: 'session-object-id',
+        options: { enableScreenCapture: true, enableFaceDetection: false }
+      });
+
+      const result = await proctoringService.captureScreenshot(createTest(), SNAPSHOTS.noFace.toString('base64'));
+
+      expect(result.success).toBe(true);
+      expect(result.detection).toBeUndefined();
+      expect(faceDetectionService.decodeImage).not.toHaveBeenCalled();
+    });
+  });
+});
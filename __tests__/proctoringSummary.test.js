@@ -0,0 +1,63 @@
+const Test = require('../models/Test');
+const proctoringPolicy = require('../utils/proctoringPolicy');
+const proctoringService = require('../utils/proctoringService');
+
+const createTest = () => new Test({
+  testId: 'TEST-1',
+  status: 'In Progress',
+  proctoring: {
+    ipAddress: '10.0.0.1',
+    browserInfo: { userAgent: 'Browser A' }
+  }
+});
+
+// Five resumes, each from a different browser and IP: five session_resumed, device_changed
+// and ip_changed entries
+const resumeFiveTimes = test => {
+  for (let resume = 1; resume <= 5; resume++) {
+    test.recordResume({ userAgent: `Browser ${resume}`, ipAddress: `10.0.1.${resume}` });
+  }
+};
+
+describe('proctoring summary', () => {
+  it('does not score session resumes, device or IP changes', () => {
+    const test = createTest();
+    resumeFiveTimes(test);
+
+    expect(test.proctoring.suspiciousActivities).toHaveLength(15);
+    expect(test.getProctoringSummary()).toMatchObject({
+      totalViolations: 0,
+      violationCounts: { minor: 0, major: 0, critical: 0 },
+      riskScore: 0,
+      riskLevel: 'Low'
+    });
+  });
+
+  it('scores the violations recorded next to resumes like the session policy does', () => {
+    const test = createTest();
+    resumeFiveTimes(test);
+    test.proctoring.suspiciousActivities.push(
+      { type: 'tab_switch', timestamp: new Date() },
+      { type: 'right_click', timestamp: new Date() }
+    );
+
+    const evaluation = proctoringPolicy.evaluate([{ type: 'tab_switch' }, { type: 'right_click' }], test.getProctoringPolicy());
+    const summary = test.getProctoringSummary();
+
+    expect(summary.totalViolations).toBe(2);
+    expect(summary.riskScore).toBe(evaluation.score);
+    expect(summary.riskLevel).toBe(evaluation.riskLevel);
+    expect(summary.violationCounts).toEqual(evaluation.counts);
+  });
+
+  it('leaves resumes out of the report of a test without a stored session', () => {
+    const test = createTest();
+    resumeFiveTimes(test);
+    test.proctoring.suspiciousActivities.push({ type: 'tab_switch', timestamp: new Date() });
+
+    const report = proctoringService.buildReport(test, null);
+
+    expect(report.totalViolations).toBe(1);
+    expect(report.riskScore).toBe(test.getProctoringSummary().riskScore);
+  });
+});
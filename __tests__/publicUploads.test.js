@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+jest.mock('../config/database', () => ({
+  connect: jest.fn(() => new Promise(() => {})),
+  createIndexes: jest.fn(),
+  disconnect: jest.fn(),
+  getConnectionStatus: jest.fn(() => ({ status: 'disconnected' }))
+}));
+// Schedules its reminder jobs as soon as it is loaded
+jest.mock('../utils/notificationService', () => ({}));
+
+describe('public uploads mount', () => {
+  const cwd = process.cwd();
+  let workdir;
+  let mediaStore;
+  let server;
+
+  // Raw request, so paths reach the server exactly as written (no dot-segment normalization)
+  const get = requestPath => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: requestPath }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+
+  beforeAll(async () => {
+    workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+    process.chdir(workdir);
+    delete process.env.MEDIA_ROOT;
+
+    // A snapshot left in the public mount by an earlier version, next to a profile photo
+    fs.mkdirSync(path.join('uploads', 'screenshots'), { recursive: true });
+    fs.writeFileSync(path.join('uploads', 'screenshots', 'TEST-1_snapshot.jpg'), 'snapshot');
+    fs.writeFileSync(path.join('uploads', 'photo.jpg'), 'photo');
+
+    mediaStore = require('../utils/mediaStore');
+    expect(await mediaStore.migrateLegacyMedia()).toBe(1);
+
+    // Build the app without listening on PORT or attaching sockets
+    const express = require('express');
+    const socketService = require('../utils/socketService');
+    jest.spyOn(socketService, 'attach').mockImplementation(() => {});
+    jest.spyOn(express.application, 'listen').mockImplementation(function () {
+      return http.createServer(this);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = require('../server');
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+    process.chdir(cwd);
+    fs.rmSync(workdir, { recursive: true, force: true });
+  });
+
+  it('moves legacy snapshots out of the public mount into the media store', async () => {
+    expect(fs.existsSync(path.join('uploads', 'screenshots', 'TEST-1_snapshot.jpg'))).toBe(false);
+    expect(fs.readFileSync(path.join('media', 'screenshots', 'TEST-1_snapshot.jpg'), 'utf8')).toBe('snapshot');
+    expect(await mediaStore.migrateLegacyMedia()).toBe(0);
+  });
+
+  it('still serves other uploads', async () => {
+    const res = await get('/uploads/photo.jpg');
+    expect(res.status).toBe(200);
+    expect(res.body.toString()).toBe('photo');
+  });
+
+  it.each([
+    '/uploads/screenshots/TEST-1_snapshot.jpg',
+    '/uploads/%73creenshots/TEST-1_snapshot.jpg',
+    '/uploads//screenshots/TEST-1_snapshot.jpg',
+    '/uploads/x/../screenshots/TEST-1_snapshot.jpg',
+    '/uploads/%2e%2e/media/screenshots/TEST-1_snapshot.jpg'
+  ])('does not serve snapshots at %s', async requestPath => {
+    const res = await get(requestPath);
+    expect(res.status).toBe(404);
+    expect(res.body.toString()).not.toBe('snapshot');
+  });
+
+  it('serves snapshots through a signed URL', async () => {
+    const { url } = mediaStore.getSignedUrl('screenshots/TEST-1_snapshot.jpg');
+
+    const res = await get(url);
+    expect(res.status).toBe(200);
+    expect(res.body.toString()).toBe('snapshot');
+  });
+});
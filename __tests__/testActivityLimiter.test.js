@@ -0,0 +1,52 @@
+const http = require('http');
+const express = require('express');
+
+process.env.TEST_ACTIVITY_RATE_LIMIT_MAX = '3';
+
+const testActivityLimiter = require('../utils/testActivityLimiter');
+
+describe('test activity limiter', () => {
+  let server;
+
+  const post = testId => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method: 'POST', path: `/heartbeat/${testId}` }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  beforeAll(async () => {
+    const app = express();
+    // Stands in for protectTest, which sets the test the token was issued for
+    app.post('/heartbeat/:testId', (req, res, next) => {
+      req.testData = { testId: req.params.testId };
+      next();
+    }, testActivityLimiter.middleware, (req, res) => res.json({ success: true }));
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('shares one allowance per test between HTTP requests and socket events', async () => {
+    expect(await post('TEST-1')).toBe(200);
+    expect(await testActivityLimiter.consume('TEST-1')).toBe(true);
+    expect(await post('TEST-1')).toBe(200);
+
+    expect(await testActivityLimiter.consume('TEST-1')).toBe(false);
+    expect(await post('TEST-1')).toBe(429);
+  });
+
+  it('counts each test separately', async () => {
+    for (let event = 0; event < 3; event++) {
+      expect(await testActivityLimiter.consume('TEST-2')).toBe(true);
+    }
+    expect(await testActivityLimiter.consume('TEST-2')).toBe(false);
+    expect(await post('TEST-3')).toBe(200);
+  });
+});
@@ -3,7 +3,7 @@ const User = require('../models/User');
 const Admin = require('../models/Admin');
 
 // Middleware to extract and verify JWT token
-const extractToken = (req, res, next) => {
+const extractToken = async (req, res, next) => {
   let token;
   
   // Check for token in Authorization header
@@ -29,11 +29,19 @@ const extractToken = (req, res, next) => {
     });
   }
   
-  // Check if token is blacklisted
-  if (jwtUtils.isTokenBlacklisted(token)) {
-    return res.status(401).json({
+  // Check if token is blacklisted (logged out, logged out everywhere or terminated by an admin)
+  try {
+    if (await jwtUtils.isTokenBlacklisted(token)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been invalidated'
+      });
+    }
+  } catch (error) {
+    console.error('Session Check Error:', error);
+    return res.status(503).json({
       success: false,
-      error: 'Token has been invalidated'
+      error: 'Unable to check session, please try again'
     });
   }
   
@@ -180,12 +188,12 @@ const authenticateTest = async (req, res, next) => {
       });
     }
     
-    // Check if user can attempt test
-    const canAttempt = user.canAttemptTest();
-    if (!canAttempt.canAttempt) {
+    // Eligibility (attempt limits, cooldown) is checked when the session is created;
+    // re-checking it here would lock candidates out of their own running test
+    if (user.testInfo.blockedUntil && new Date() < user.testInfo.blockedUntil) {
       return res.status(403).json({
         success: false,
-        error: canAttempt.reason
+        error: 'Account is temporarily blocked'
       });
     }
     
@@ -274,7 +282,7 @@ const optionalAuth = async (req, res, next) => {
     // Verify token if present
     const verificationResult = jwtUtils.verifyAccessToken(token);
     
-    if (verificationResult.success) {
+    if (verificationResult.success && !await jwtUtils.isTokenBlacklisted(token)) {
       const user = await User.findById(verificationResult.decoded.id).select('-password');
       req.user = user;
     } else {
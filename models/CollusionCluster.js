@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Evidence for one pair of candidates whose responses look copied
+const pairSchema = new mongoose.Schema({
+  tests: [String], // the two testIds
+  score: Number, // 0-100, how strongly the pair's evidence points to collusion
+  sharedQuestions: Number, // questions both candidates answered
+  identicalAnswers: Number,
+  bothWrong: Number, // shared questions both got wrong
+  identicalWrong: Number, // ...with the same wrong answer
+  expectedIdenticalWrong: Number, // by chance, from how often each wrong answer was given overall
+  chanceProbability: Number, // of at least identicalWrong identical wrong answers by chance
+  synchronousAnswers: Number, // identical answers given within the timing window of each other
+  sharedIpAddress: Boolean,
+  sameInstitution: Boolean,
+  // A sample of the identical wrong answers, rarest first
+  examples: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    answer: String,
+    frequency: Number, // share of the wrong answers to the question that were this one
+    secondsApart: Number
+  }]
+}, { _id: false });
+
+const collusionClusterSchema = new mongoose.Schema({
+  // Tests whose candidates are linked by flagged pairs
+  members: [{
+    test: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Test'
+    },
+    testId: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    userName: String,
+    institution: String,
+    ipAddress: String,
+    submittedAt: Date,
+    score: Number, // percentage
+    previousReviewStatus: String // restored when the cluster is dismissed
+  }],
+
+  // Sorted testIds of the members, so a re-run finds the cluster it already stored
+  memberKey: {
+    type: String,
+    required: true
+  },
+
+  pairs: [pairSchema],
+
+  // Highest pair score
+  score: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['Open', 'Confirmed', 'Dismissed'],
+    default: 'Open'
+  },
+
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastDetectedAt: Date,
+
+  // Review
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewComments: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+collusionClusterSchema.index({ memberKey: 1 });
+collusionClusterSchema.index({ status: 1, score: -1 });
+collusionClusterSchema.index({ 'members.testId': 1 });
+
+module.exports = mongoose.model('CollusionCluster', collusionClusterSchema);
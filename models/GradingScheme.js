@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Question = require('./Question');
+
+const QUESTION_CATEGORIES = Question.schema.path('category').enumValues;
+
+// Grade bands used when no grading scheme applies
+const BUILT_IN_GRADE_BANDS = [
+  { grade: 'A+', minPercentage: 90 },
+  { grade: 'A', minPercentage: 80 },
+  { grade: 'B+', minPercentage: 70 },
+  { grade: 'B', minPercentage: 60 },
+  { grade: 'C+', minPercentage: 50 },
+  { grade: 'C', minPercentage: 40 },
+  { grade: 'D', minPercentage: 30 },
+  { grade: 'F', minPercentage: 0 }
+];
+
+const gradingSchemeSchema = new mongoose.Schema({
+  // Scheme Identity
+  name: {
+    type: String,
+    required: [true, 'Scheme name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Scheme name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Grade Bands (a percentage gets the grade of the highest band it reaches)
+  gradeBands: [{
+    grade: {
+      type: String,
+      required: [true, 'Grade name is required'],
+      trim: true,
+      maxlength: [20, 'Grade name cannot exceed 20 characters']
+    },
+    minPercentage: {
+      type: Number,
+      required: [true, 'Minimum percentage is required'],
+      min: [0, 'Minimum percentage cannot be less than 0'],
+      max: [100, 'Minimum percentage cannot exceed 100']
+    }
+  }],
+
+  // Pass Rules (applied on top of the blueprint's passing percentage)
+  categoryMinimums: [{
+    category: {
+      type: String,
+      enum: QUESTION_CATEGORIES,
+      required: [true, 'Category is required']
+    },
+    minPercentage: {
+      type: Number,
+      required: [true, 'Minimum percentage is required'],
+      min: [0, 'Minimum percentage cannot be less than 0'],
+      max: [100, 'Minimum percentage cannot exceed 100']
+    }
+  }],
+
+  minAttempted: {
+    type: Number,
+    min: [0, 'Minimum attempted questions cannot be less than 0'],
+    default: 0
+  },
+
+  // Negative Marking (deduct a fraction of the question's points instead of its negativePoints)
+  proportionalNegativeMarking: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    fraction: {
+      type: Number,
+      min: [0, 'Fraction cannot be less than 0'],
+      max: [1, 'Fraction cannot exceed 1'],
+      default: 0.25
+    }
+  },
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  status: {
+    type: String,
+    enum: ['Active', 'Inactive'],
+    default: 'Active'
+  },
+
+  // Admin Information
+  createdBy: {
+    type: String,
+    required: [true, 'Creator information is required']
+  },
+
+  lastModifiedBy: String
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware for validation
+gradingSchemeSchema.pre('save', async function(next) {
+  if (this.gradeBands.length === 0) {
+    return next(new Error('At least one grade band is required'));
+  }
+
+  // Keep bands ordered from highest to lowest so grading can take the first match
+  this.gradeBands.sort((a, b) => b.minPercentage - a.minPercentage);
+
+  const thresholds = this.gradeBands.map(band => band.minPercentage);
+  if (new Set(thresholds).size !== thresholds.length) {
+    return next(new Error('Each grade band needs a different minimum percentage'));
+  }
+  if (thresholds[thresholds.length - 1] !== 0) {
+    return next(new Error('The lowest grade band must start at 0%'));
+  }
+
+  const categories = this.categoryMinimums.map(c => c.category);
+  if (new Set(categories).size !== categories.length) {
+    return next(new Error('Each category can have only one minimum'));
+  }
+
+  // Only one scheme can be the default
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  next();
+});
+
+// Method to build the snapshot stored on a Test
+gradingSchemeSchema.methods.buildSnapshot = function() {
+  return {
+    scheme: this._id,
+    name: this.name,
+    gradeBands: this.gradeBands.map(band => ({
+      grade: band.grade,
+      minPercentage: band.minPercentage
+    })),
+    categoryMinimums: this.categoryMinimums.map(c => ({
+      category: c.category,
+      minPercentage: c.minPercentage
+    })),
+    minAttempted: this.minAttempted,
+    proportionalNegativeMarking: {
+      enabled: this.proportionalNegativeMarking.enabled,
+      fraction: this.proportionalNegativeMarking.fraction
+    }
+  };
+};
+
+// Static method for the snapshot used when no grading scheme applies
+gradingSchemeSchema.statics.getBuiltInSnapshot = function() {
+  return {
+    name: 'Standard',
+    gradeBands: BUILT_IN_GRADE_BANDS.map(band => ({ ...band })),
+    categoryMinimums: [],
+    minAttempted: 0,
+    proportionalNegativeMarking: {
+      enabled: false
+    }
+  };
+};
+
+// Static method to get the snapshot for a test: the given scheme if active, else the default scheme,
+// else the built-in bands
+gradingSchemeSchema.statics.resolveSnapshot = async function(schemeId) {
+  let scheme = null;
+
+  if (schemeId) {
+    scheme = await this.findOne({ _id: schemeId, status: 'Active' });
+  }
+
+  if (!scheme) {
+    scheme = await this.findOne({ isDefault: true, status: 'Active' });
+  }
+
+  return scheme ? scheme.buildSnapshot() : this.getBuiltInSnapshot();
+};
+
+// Indexes for performance
+gradingSchemeSchema.index({ status: 1 });
+gradingSchemeSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('GradingScheme', gradingSchemeSchema);
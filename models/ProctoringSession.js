@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['minor', 'major', 'critical'];
+
+const proctoringSessionSchema = new mongoose.Schema({
+  // Session Identity (one session per test)
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: [true, 'Test reference is required'],
+    unique: true
+  },
+
+  testId: {
+    type: String,
+    required: [true, 'Test ID is required']
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['Active', 'Ended'],
+    default: 'Active'
+  },
+
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+
+  endTime: Date,
+
+  options: {
+    enableFaceDetection: {
+      type: Boolean,
+      default: true
+    },
+    enableScreenCapture: {
+      type: Boolean,
+      default: true
+    },
+    strictMode: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Violations
+  violations: [{
+    type: { type: String, required: true },
+    severity: {
+      type: String,
+      enum: SEVERITIES,
+      required: true
+    },
+    description: String,
+    details: mongoose.Schema.Types.Mixed,
+    occurredAt: Date, // as reported by the client
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    ipAddress: String,
+    userAgent: String
+  }],
+
+  violationCounts: {
+    minor: {
+      type: Number,
+      default: 0
+    },
+    major: {
+      type: Number,
+      default: 0
+    },
+    critical: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Risk under the test's proctoring policy, as of the latest violation
+  riskScore: {
+    type: Number,
+    default: 0
+  },
+
+  riskLevel: {
+    type: String,
+    enum: ['Low', 'Medium', 'High'],
+    default: 'Low'
+  },
+
+  // Screenshot metadata (the images are kept in the media store until the retention window ends)
+  screenshots: [{
+    filename: String,
+    storageKey: String, // media store key of the image
+    filepath: String, // screenshots from before the media store
+    size: Number, // in bytes
+    width: Number,
+    height: Number,
+    sha256: String, // of the uploaded image
+    capturedAt: {
+      type: Date,
+      default: Date.now
+    },
+    faceCount: Number,
+    faceConfidence: Number, // how sure the detector is of faceCount (0-1)
+    faceDetector: String,
+    identitySimilarity: Number, // to the profile photo, when an identity check was made
+    purgedAt: Date // when the image was deleted by the retention policy; the metadata is kept
+  }]
+}, {
+  timestamps: true
+});
+
+// Virtual for the total number of violations
+proctoringSessionSchema.virtual('totalViolations').get(function() {
+  return this.violations.length;
+});
+
+// Indexes for performance
+proctoringSessionSchema.index({ testId: 1 });
+proctoringSessionSchema.index({ user: 1, startTime: -1 });
+proctoringSessionSchema.index({ status: 1, startTime: -1 });
+proctoringSessionSchema.index({ 'screenshots.capturedAt': 1 });
+
+module.exports = mongoose.model('ProctoringSession', proctoringSessionSchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const seededShuffle = require('../utils/seededShuffle');
+const irtModel = require('../utils/irtModel');
+
+const OPTION_BASED_TYPES = ['Multiple Choice', 'Multiple Select', 'Ordering'];
+
+// Adaptive draws pick at random among this many of the best-matched questions per question needed
+const ADAPTIVE_SELECTION_POOL = 5;
 
 const questionSchema = new mongoose.Schema({
   // Question Content
@@ -12,17 +19,18 @@ const questionSchema = new mongoose.Schema({
   
   questionType: {
     type: String,
-    enum: ['Multiple Choice', 'True/False', 'Fill in the Blank'],
+    enum: ['Multiple Choice', 'Multiple Select', 'True/False', 'Fill in the Blank', 'Numeric', 'Ordering'],
     required: [true, 'Question type is required'],
     default: 'Multiple Choice'
   },
   
-  // Options for Multiple Choice Questions
+  // Options for Multiple Choice, Multiple Select and Ordering Questions
+  // (Ordering questions store their options in the correct sequence)
   options: [{
     text: {
       type: String,
       required: function() {
-        return this.questionType === 'Multiple Choice';
+        return OPTION_BASED_TYPES.includes(this.parent().questionType);
       },
       trim: true,
       maxlength: [500, 'Option text cannot exceed 500 characters']
@@ -42,6 +50,24 @@ const questionSchema = new mongoose.Schema({
     trim: true
   },
   
+  // For Multiple Select and Ordering Questions
+  partialCredit: {
+    type: Boolean,
+    default: false
+  },
+  
+  // For Numeric Questions (exact value with tolerance, or an inclusive range)
+  numericAnswer: {
+    value: Number,
+    tolerance: {
+      type: Number,
+      min: [0, 'Tolerance cannot be negative'],
+      default: 0
+    },
+    min: Number,
+    max: Number
+  },
+  
   // Question Metadata
   category: {
     type: String,
@@ -117,6 +143,16 @@ const questionSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Distribution of answer times in evaluated tests, on a log scale (ln(1 + seconds)),
+  // recomputed by the response time job
+  timeStats: {
+    logMedian: Number,
+    logMad: Number, // median absolute deviation
+    medianSeconds: Number,
+    sampleSize: Number,
+    computedAt: Date
+  },
+  
   // Additional Information
   explanation: {
     type: String,
@@ -213,6 +249,21 @@ const questionSchema = new mongoose.Schema({
     max: [100, 'Difficulty score cannot exceed 100']
   },
   
+  // Item response theory (2PL) estimates written by the calibration job
+  irt: {
+    difficulty: Number,
+    discrimination: Number,
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    flags: [{
+      type: String,
+      enum: ['difficulty_mismatch', 'negative_discrimination']
+    }],
+    calibratedAt: Date
+  },
+  
   // Admin Information
   createdBy: {
     type: String,
@@ -244,16 +295,10 @@ questionSchema.virtual('actualDifficulty').get(function() {
 
 // Pre-save middleware for validation
 questionSchema.pre('save', function(next) {
-  // Validate multiple choice questions have at least 2 options with exactly one correct answer
-  if (this.questionType === 'Multiple Choice') {
-    if (!this.options || this.options.length < 2) {
-      return next(new Error('Multiple choice questions must have at least 2 options'));
-    }
-    
-    const correctOptions = this.options.filter(option => option.isCorrect);
-    if (correctOptions.length !== 1) {
-      return next(new Error('Multiple choice questions must have exactly one correct answer'));
-    }
+  // Validate the answer key for the question type
+  const answerKeyError = this.constructor.validateAnswerKey(this);
+  if (answerKeyError) {
+    return next(new Error(answerKeyError));
   }
   
   // Update last modified information
@@ -334,22 +379,105 @@ questionSchema.methods.createVersion = function(changes, reason, modifiedBy) {
   return this.save();
 };
 
+// Static method to validate the answer key of question data for its type
+// Returns an error message, or null when the answer key is valid
+questionSchema.statics.validateAnswerKey = function(data) {
+  const questionType = data.questionType || 'Multiple Choice';
+  const options = data.options || [];
+  
+  switch (questionType) {
+    case 'Multiple Choice':
+      if (options.length < 2) {
+        return 'Multiple choice questions must have at least 2 options';
+      }
+      if (options.filter(opt => opt.isCorrect).length !== 1) {
+        return 'Multiple choice questions must have exactly one correct answer';
+      }
+      return null;
+    
+    case 'Multiple Select':
+      if (options.length < 2) {
+        return 'Multiple select questions must have at least 2 options';
+      }
+      if (options.filter(opt => opt.isCorrect).length < 1) {
+        return 'Multiple select questions must have at least one correct answer';
+      }
+      return null;
+    
+    case 'Ordering': {
+      if (options.length < 2) {
+        return 'Ordering questions must have at least 2 items';
+      }
+      const texts = options.map(opt => (opt.text || '').trim());
+      if (new Set(texts).size !== texts.length) {
+        return 'Ordering questions cannot have duplicate items';
+      }
+      return null;
+    }
+    
+    case 'Numeric': {
+      const numeric = data.numericAnswer || {};
+      const hasValue = Number.isFinite(numeric.value);
+      const hasRange = Number.isFinite(numeric.min) && Number.isFinite(numeric.max);
+      if (!hasValue && !hasRange) {
+        return 'Numeric questions must have a correct value or a min/max range';
+      }
+      if (hasRange && numeric.min > numeric.max) {
+        return 'Numeric range minimum cannot exceed maximum';
+      }
+      return null;
+    }
+    
+    default:
+      if (!data.correctAnswer || !String(data.correctAnswer).trim()) {
+        return 'Correct answer is required for this question type';
+      }
+      return null;
+  }
+};
+
 // Static method to get random questions by criteria
 questionSchema.statics.getRandomQuestions = async function(criteria) {
   const {
     count = 30,
     difficulty = { Easy: 30, Moderate: 30, Hard: 40 }, // percentage distribution
     categories = [],
-    excludeIds = []
+    categoryCounts = [], // e.g. [{ category: 'Logical Reasoning', questionCount: 10 }]
+    excludeIds = [],
+    seed, // when set, the order of the drawn questions is reproducible from it
+    targetAbility // adaptive tests: draw the questions best matched to this ability (θ)
   } = criteria;
   
+  // Sort by ID first so the seeded order depends only on which questions were drawn
+  const shuffle = (items) => seededShuffle.shuffle(
+    seed === undefined ? items : [...items].sort((a, b) => String(a._id).localeCompare(String(b._id))),
+    seed
+  );
+  
+  // Draw each category's quota separately, applying the difficulty mix within it
+  if (categoryCounts.length > 0) {
+    const drawn = [];
+    
+    for (const { category, questionCount } of categoryCounts) {
+      const categoryQuestions = await this.getRandomQuestions({
+        count: questionCount,
+        difficulty,
+        categories: [category],
+        excludeIds: [...excludeIds, ...drawn.map(q => q._id)]
+      });
+      drawn.push(...categoryQuestions);
+    }
+    
+    return shuffle(drawn);
+  }
+  
   const questions = [];
   const pipeline = [
     {
       $match: {
         status: 'Active',
         isApproved: true,
-        _id: { $nin: excludeIds.map(id => mongoose.Types.ObjectId(id)) }
+        _id: { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(id)) }
       }
     }
   ];
@@ -359,9 +487,46 @@ questionSchema.statics.getRandomQuestions = async function(criteria) {
     pipeline[0].$match.category = { $in: categories };
   }
   
+  // Adaptive selection: questions whose difficulty is closest to the ability, picked at random
+  // among the closest few so the same questions are not shown to every candidate.
+  // Uncalibrated questions fall back to a difficulty from their label; reversed keys are skipped.
+  if (targetAbility !== undefined) {
+    const closestQuestions = await this.aggregate([
+      ...pipeline,
+      { $match: { 'irt.flags': { $ne: 'negative_discrimination' } } },
+      {
+        $addFields: {
+          abilityDistance: {
+            $abs: {
+              $subtract: [
+                {
+                  $ifNull: ['$irt.difficulty', {
+                    $switch: {
+                      branches: Object.entries(irtModel.labelDifficulty).map(([label, value]) => ({
+                        case: { $eq: ['$difficulty', label] },
+                        then: value
+                      })),
+                      default: 0
+                    }
+                  }]
+                },
+                targetAbility
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { abilityDistance: 1 } },
+      { $limit: count * ADAPTIVE_SELECTION_POOL }
+    ]);
+    
+    return shuffle(closestQuestions).slice(0, count);
+  }
+  
   // Get questions by difficulty
   for (const [diff, percentage] of Object.entries(difficulty)) {
     const questionsNeeded = Math.round((count * percentage) / 100);
+    if (questionsNeeded === 0) continue;
     
     const difficultyPipeline = [
       ...pipeline,
@@ -389,7 +554,7 @@ questionSchema.statics.getRandomQuestions = async function(criteria) {
   }
   
   // Shuffle and return
-  return questions.sort(() => Math.random() - 0.5).slice(0, count);
+  return shuffle(questions).slice(0, count);
 };
 
 // Indexes for performance
@@ -399,5 +564,7 @@ questionSchema.index({ tags: 1 });
 questionSchema.index({ createdAt: -1 });
 questionSchema.index({ qualityScore: -1 });
 questionSchema.index({ timesUsed: -1 });
+questionSchema.index({ 'irt.flags': 1 });
 
-module.exports = mongoose.model('Question', questionSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Question', questionSchema);
+module.exports.OPTION_BASED_TYPES = OPTION_BASED_TYPES;
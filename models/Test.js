@@ -1,4 +1,69 @@
 const mongoose = require('mongoose');
+const seededShuffle = require('../utils/seededShuffle');
+const irtModel = require('../utils/irtModel');
+const proctoringPolicy = require('../utils/proctoringPolicy');
+const GradingScheme = require('./GradingScheme');
+
+// Helper to get a question's options in the order the candidate sees them
+const getDisplayedOptions = (question) => {
+  const order = question.optionOrder && question.optionOrder.length === question.options.length ?
+    question.optionOrder :
+    question.options.map((opt, index) => index);
+  return order.map(index => question.options[index]);
+};
+
+// Helper to get the seeded display order of a question's options. Ordering questions store their
+// options in the correct order, so a draw that leaves them in place is rotated by one instead.
+const getOptionOrder = (seed, question) => {
+  if (question.options.length === 0) return [];
+  
+  const order = seededShuffle.permutation(question.options.length, `${seed}:${question.questionId}`);
+  if (question.questionType === 'Ordering' && order.every((value, index) => value === index)) {
+    return [...order.slice(1), order[0]];
+  }
+  return order;
+};
+
+// Helper to describe the correct answer of a test question for review
+const formatCorrectAnswer = (question) => {
+  switch (question.questionType) {
+    case 'Multiple Choice': {
+      const correctOption = question.options.find(opt => opt.isCorrect);
+      return correctOption ? correctOption.text : null;
+    }
+    case 'Multiple Select':
+      return question.options.filter(opt => opt.isCorrect).map(opt => opt.text);
+    case 'Ordering':
+      return question.options.map(opt => opt.text);
+    case 'Numeric': {
+      const { value, tolerance, min, max } = question.numericAnswer || {};
+      if (Number.isFinite(min) && Number.isFinite(max)) return `${min} to ${max}`;
+      return tolerance ? `${value} (± ${tolerance})` : String(value);
+    }
+    default:
+      return question.correctAnswer;
+  }
+};
+
+// Helper to summarize correctness and points for a group of evaluated questions
+const summarizeQuestions = (questions) => {
+  const correctAnswers = questions.filter(q => q.isCorrect).length;
+  const points = questions.reduce((sum, q) => sum + (q.pointsEarned || 0), 0);
+  
+  return {
+    totalQuestions: questions.length,
+    correctAnswers: correctAnswers,
+    percentage: questions.length > 0 ? Math.round((correctAnswers / questions.length) * 100) : 0,
+    points: Math.round(points * 100) / 100
+  };
+};
+
+// Rank fields stored for each ranking cohort
+const cohortRankingFields = {
+  rank: Number,
+  percentile: Number, // share of the cohort scoring below, counting ties as half
+  cohortSize: Number
+};
 
 const testSchema = new mongoose.Schema({
   // Test Basic Information
@@ -28,6 +93,11 @@ const testSchema = new mongoose.Schema({
   
   // Test Configuration
   testConfig: {
+    blueprint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TestBlueprint'
+    },
+    blueprintName: String,
     totalQuestions: {
       type: Number,
       required: [true, 'Total questions count is required'],
@@ -52,7 +122,27 @@ const testSchema = new mongoose.Schema({
         default: 40 // percentage
       }
     },
+    categoryDistribution: [{
+      category: String,
+      questionCount: Number,
+      sectionDurationMinutes: Number,
+      cutoffPercentage: Number
+    }],
     categories: [String],
+    sectional: {
+      type: Boolean,
+      default: false
+    },
+    adaptive: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      minQuestions: Number,
+      maxQuestions: Number,
+      targetStandardError: Number,
+      passingAbility: Number
+    },
     passingPercentage: {
       type: Number,
       default: 65
@@ -60,6 +150,54 @@ const testSchema = new mongoose.Schema({
     negativeMarking: {
       type: Boolean,
       default: true
+    },
+    negativePenaltyOverride: Number,
+    // Copy of the grading scheme taken at start, so later scheme edits do not change issued results
+    gradingScheme: {
+      scheme: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GradingScheme'
+      },
+      name: String,
+      gradeBands: [{
+        grade: String,
+        minPercentage: Number
+      }],
+      categoryMinimums: [{
+        category: String,
+        minPercentage: Number
+      }],
+      minAttempted: Number,
+      proportionalNegativeMarking: {
+        enabled: Boolean,
+        fraction: Number
+      }
+    },
+    answerReview: {
+      policy: {
+        type: String,
+        enum: ['immediate', 'after_date', 'never'],
+        default: 'never'
+      },
+      releaseDate: Date
+    },
+    resultModeration: {
+      type: Boolean,
+      default: false
+    },
+    proctoringPolicy: {
+      severityWeights: {
+        minor: Number,
+        major: Number,
+        critical: Number
+      },
+      typeSeverities: [{
+        type: { type: String },
+        severity: String
+      }],
+      warningScore: Number,
+      flagScore: Number,
+      terminateScore: Number
     }
   },
   
@@ -84,11 +222,31 @@ const testSchema = new mongoose.Schema({
       text: String,
       isCorrect: Boolean
     }],
+    // Display order of the options as indexes into the canonical options above
+    optionOrder: [Number],
     correctAnswer: String,
+    partialCredit: Boolean,
+    numericAnswer: {
+      value: Number,
+      tolerance: Number,
+      min: Number,
+      max: Number
+    },
+    // Item parameters when the question was drawn, used for ability estimation
+    irt: {
+      difficulty: Number,
+      discrimination: Number
+    },
+    // Set by a re-grade: award full points to everyone, or leave the question out of the score
+    regrade: {
+      type: String,
+      enum: ['award_all', 'drop']
+    },
     
     // User Response
     userResponse: {
       selectedOption: String,
+      selectedOptions: [String], // Multiple Select choices or Ordering sequence
       selectedAnswer: String,
       timeSpent: {
         type: Number, // in seconds
@@ -110,12 +268,56 @@ const testSchema = new mongoose.Schema({
       type: Boolean,
       default: null
     },
+    scoreFraction: {
+      type: Number, // 0 to 1, below 1 only for partial credit
+      default: 0
+    },
     pointsEarned: {
       type: Number,
       default: 0
     }
   }],
   
+  // Seed used for this candidate's question and option order
+  shuffleSeed: String,
+  
+  // Sections (sectional tests only), taken in order with no return to a closed section
+  sections: [{
+    sectionNumber: Number,
+    name: String,
+    category: String,
+    questionNumbers: [Number],
+    durationMinutes: Number,
+    cutoffPercentage: Number,
+    status: {
+      type: String,
+      enum: ['Locked', 'Active', 'Completed'],
+      default: 'Locked'
+    },
+    startedAt: Date,
+    endedAt: Date
+  }],
+  
+  currentSection: Number,
+  
+  // Ability estimate after each answer (adaptive tests only)
+  abilityTrajectory: [{
+    questionNumber: Number,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    difficulty: Number,
+    discrimination: Number,
+    isCorrect: Boolean,
+    ability: Number,
+    standardError: Number,
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Test Timeline
   startTime: {
     type: Date,
@@ -145,6 +347,11 @@ const testSchema = new mongoose.Schema({
     default: 'Scheduled'
   },
   
+  completionReason: {
+    type: String,
+    enum: ['submitted', 'time_expired', 'proctoring_violation', 'admin_terminated', 'not_started']
+  },
+  
   // Results and Scoring
   score: {
     totalQuestions: {
@@ -163,6 +370,10 @@ const testSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    partiallyCorrectAnswers: {
+      type: Number,
+      default: 0
+    },
     unansweredQuestions: {
       type: Number,
       default: 0
@@ -192,11 +403,20 @@ const testSchema = new mongoose.Schema({
       default: 0
     },
     grade: {
-      type: String,
-      enum: ['A+', 'A', 'B+', 'B', 'C+', 'C', 'D', 'F'],
+      type: String, // from the grading scheme's bands
       default: 'F'
     },
     
+    // Pass rules of the grading scheme that were not met
+    failedRules: [String],
+    
+    // Ability Scale (adaptive tests only)
+    ability: {
+      estimate: Number, // θ, 0 is the average candidate
+      standardError: Number,
+      scaledScore: Number // 200-800
+    },
+    
     // Category-wise Performance
     categoryWiseScore: [{
       category: String,
@@ -213,6 +433,19 @@ const testSchema = new mongoose.Schema({
       correctAnswers: Number,
       percentage: Number,
       points: Number
+    }],
+    
+    // Section-wise Performance (sectional tests only)
+    sectionWiseScore: [{
+      sectionNumber: Number,
+      name: String,
+      category: String,
+      totalQuestions: Number,
+      correctAnswers: Number,
+      percentage: Number,
+      points: Number,
+      cutoffPercentage: Number,
+      isPassed: Boolean
     }]
   },
   
@@ -222,10 +455,22 @@ const testSchema = new mongoose.Schema({
     default: false
   },
   
+  // Rank and percentile in the primary ranking cohort (see ranking for every cohort)
   rank: Number,
   
   percentile: Number,
   
+  // Rank among evaluated tests of each cohort; equal scores share a rank
+  ranking: {
+    all: cohortRankingFields,
+    blueprint: cohortRankingFields,
+    window: {
+      ...cohortRankingFields,
+      windowStart: Date
+    },
+    computedAt: Date
+  },
+  
   // Test Analytics
   analytics: {
     avgTimePerQuestion: {
@@ -248,7 +493,35 @@ const testSchema = new mongoose.Schema({
       timestamp: Date,
       action: String, // 'answered', 'flagged', 'unflagged', 'reviewed'
       questionNumber: Number
-    }]
+    }],
+    // Answer times that look implausible against each question's usual time and the candidate's own pace
+    responseTimeAnomaly: {
+      score: Number, // 0-100
+      flaggedItems: Number,
+      candidateMedianSeconds: Number,
+      topItems: [{
+        reason: {
+          type: String,
+          enum: ['fast_correct', 'final_minute_burst']
+        },
+        score: Number, // 0-100
+        questionNumber: Number,
+        questionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Question'
+        },
+        difficulty: String,
+        timeSpent: Number, // in seconds
+        typicalSeconds: Number, // median for the question across candidates
+        questionZ: Number, // robust z-score of the log time against the question's distribution
+        paceZ: Number, // ...against the candidate's own answers
+        answers: Number, // final_minute_burst: answers in the last minute
+        expectedAnswers: Number, // ...at the candidate's own pace
+        correctAnswers: Number,
+        windowEnd: Date
+      }],
+      computedAt: Date
+    }
   },
   
   // Proctoring and Security
@@ -266,9 +539,57 @@ const testSchema = new mongoose.Schema({
       default: 0
     },
     suspiciousActivities: [{
-      type: String,
+      type: { type: String },
       timestamp: Date,
-      description: String
+      description: String,
+      ipAddress: String,
+      userAgent: String
+    }],
+    
+    // Latest device the session was used from (browserInfo keeps the original)
+    currentDevice: {
+      userAgent: String,
+      ipAddress: String,
+      since: Date
+    },
+    
+    resumeCount: {
+      type: Number,
+      default: 0
+    },
+    
+    // Risk score under the test's proctoring policy, updated with each violation
+    riskScore: {
+      type: Number,
+      default: 0
+    },
+    warnedAt: Date,
+    
+    // Set when the risk score reaches the policy's flag score; the result is then held for review
+    flaggedForReview: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: Date,
+    
+    // Heartbeats from the test client; gaps longer than the offline threshold are kept as offline intervals
+    lastHeartbeatAt: Date,
+    offlineIntervals: [{
+      start: Date,
+      end: Date,
+      durationSeconds: Number
+    }],
+    totalOfflineSeconds: {
+      type: Number,
+      default: 0
+    },
+    
+    // Comparisons of webcam snapshots with the profile photo
+    identityChecks: [{
+      checkedAt: Date,
+      similarity: Number,
+      matched: Boolean,
+      screenshot: String
     }],
     screenshots: [String], // URLs of captured screenshots
     
@@ -338,6 +659,30 @@ const testSchema = new mongoose.Schema({
   
   reviewedAt: Date,
   
+  // Set when a moderated result is approved or rejected; until then the candidate sees no score
+  resultReleasedAt: Date,
+  
+  // Re-grades after answer key corrections, with the result before each one
+  regradeHistory: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    action: {
+      type: String,
+      enum: ['correct_key', 'award_all', 'drop']
+    },
+    reason: String,
+    regradedBy: String,
+    regradedAt: {
+      type: Date,
+      default: Date.now
+    },
+    previousPercentage: Number,
+    previousGrade: String,
+    previousIsPassed: Boolean
+  }],
+  
   // Certificates and Documentation
   certificateIssued: {
     type: Boolean,
@@ -348,6 +693,13 @@ const testSchema = new mongoose.Schema({
   
   certificateIssuedAt: Date,
   
+  // Set when an admin revokes the certificate; verification then reports it as revoked
+  certificateRevokedAt: Date,
+  
+  certificateRevokedBy: String,
+  
+  certificateRevocationReason: String,
+  
   reportGenerated: {
     type: Boolean,
     default: false
@@ -355,6 +707,10 @@ const testSchema = new mongoose.Schema({
   
   reportUrl: String,
   
+  // Set the first time the candidate opens the answer review; these questions are
+  // then kept out of the candidate's future tests
+  answerReviewReleasedAt: Date,
+  
   // Expiry and Validity
   validUntil: Date,
   
@@ -414,9 +770,340 @@ testSchema.methods.startTest = function() {
   this.startTime = new Date();
   this.timeRemaining = this.testConfig.durationMinutes * 60;
   
+  if (this.sections.length > 0) {
+    this.openSection(this.sections[0], this.startTime);
+  }
+  
   return this.save();
 };
 
+// Method to build the sections of a sectional test from its config and drawn questions
+testSchema.methods.initializeSections = function() {
+  if (!this.testConfig.sectional) {
+    this.sections = [];
+    return this.sections;
+  }
+  
+  this.sections = this.testConfig.categoryDistribution.map((section, index) => ({
+    sectionNumber: index + 1,
+    name: section.category,
+    category: section.category,
+    questionNumbers: this.questions
+      .filter(q => q.category === section.category)
+      .map(q => q.questionNumber),
+    durationMinutes: section.sectionDurationMinutes,
+    cutoffPercentage: section.cutoffPercentage,
+    status: 'Locked'
+  }));
+  this.currentSection = 1;
+  
+  return this.sections;
+};
+
+// Method to get the section the candidate is currently in
+testSchema.methods.getCurrentSection = function() {
+  return this.sections.find(section => section.sectionNumber === this.currentSection) || null;
+};
+
+// Method to get the section a question belongs to
+testSchema.methods.getQuestionSection = function(questionNumber) {
+  return this.sections.find(section => section.questionNumbers.includes(questionNumber)) || null;
+};
+
+// Method to get when a section's timer runs out
+testSchema.methods.getSectionDeadline = function(section) {
+  if (!section || !section.startedAt) return null;
+  return new Date(section.startedAt.getTime() + section.durationMinutes * 60 * 1000);
+};
+
+// Method to open a section
+testSchema.methods.openSection = function(section, startedAt = new Date()) {
+  section.status = 'Active';
+  section.startedAt = startedAt;
+  this.currentSection = section.sectionNumber;
+};
+
+// Method to close the current section and open the next one
+// Returns the new section, or null if the closed section was the last one
+testSchema.methods.advanceSection = function(now = new Date()) {
+  const current = this.getCurrentSection();
+  if (!current) return null;
+  
+  current.status = 'Completed';
+  current.endedAt = now;
+  
+  const next = this.sections.find(section => section.sectionNumber === current.sectionNumber + 1);
+  if (!next) return null;
+  
+  this.openSection(next, now);
+  return next;
+};
+
+// Method to close sections whose timer has run out (plus grace) on the server clock
+// Each following section starts when the previous one timed out, not when the candidate returns
+// Returns false once the last section has timed out
+testSchema.methods.syncSections = function(graceSeconds = 0, now = new Date()) {
+  let current = this.getCurrentSection();
+  
+  while (current && current.status === 'Active') {
+    const sectionDeadline = this.getSectionDeadline(current);
+    if (now.getTime() <= sectionDeadline.getTime() + graceSeconds * 1000) {
+      return true;
+    }
+    current = this.advanceSection(sectionDeadline);
+  }
+  
+  return Boolean(current);
+};
+
+// Method to get the server-side deadline derived from start time and duration
+// For sectional tests this is the current section's deadline plus the time of the sections after it
+testSchema.methods.getDeadline = function() {
+  if (!this.startTime) return null;
+  
+  const overallDeadline = new Date(this.startTime.getTime() + this.testConfig.durationMinutes * 60 * 1000);
+  const current = this.getCurrentSection();
+  
+  if (!current || !current.startedAt) {
+    return overallDeadline;
+  }
+  
+  const remainingSectionMinutes = this.sections
+    .filter(section => section.sectionNumber > current.sectionNumber)
+    .reduce((sum, section) => sum + section.durationMinutes, 0);
+  const sectionalDeadline = new Date(this.getSectionDeadline(current).getTime() + remainingSectionMinutes * 60 * 1000);
+  
+  return sectionalDeadline < overallDeadline ? sectionalDeadline : overallDeadline;
+};
+
+// Method to check whether the deadline (plus an optional grace period in seconds) has passed
+testSchema.methods.isPastDeadline = function(graceSeconds = 0, now = new Date()) {
+  const deadline = this.getDeadline();
+  if (!deadline) return false;
+  return now.getTime() > deadline.getTime() + graceSeconds * 1000;
+};
+
+// Method to get seconds remaining until the deadline
+testSchema.methods.getTimeRemaining = function(now = new Date()) {
+  const deadline = this.getDeadline();
+  if (!deadline) return this.testConfig.durationMinutes * 60;
+  return Math.max(0, Math.round((deadline.getTime() - now.getTime()) / 1000));
+};
+
+// Method to validate an answer's format for its question type
+// Returns an error message, or null when the answer can be recorded
+testSchema.methods.validateAnswer = function(questionNumber, answer) {
+  const question = this.questions.find(q => q.questionNumber === questionNumber);
+  if (!question) {
+    return 'Question not found';
+  }
+  
+  const lockError = this.checkSectionAccess(questionNumber) || this.checkAdaptiveAccess(questionNumber);
+  if (lockError) {
+    return lockError;
+  }
+  
+  const optionTexts = question.options.map(opt => opt.text);
+  const positions = [].concat(answer);
+  if (optionTexts.length > 0 && positions.length > 0 && positions.every(p => typeof p === 'number')) {
+    if (!positions.every(p => Number.isInteger(p) && p >= 0 && p < optionTexts.length)) {
+      return 'Invalid option position';
+    }
+    answer = this.resolveAnswer(question, answer);
+  }
+  
+  switch (question.questionType) {
+    case 'Multiple Choice':
+      return optionTexts.includes(answer) ? null : 'Answer must be one of the options';
+    
+    case 'Multiple Select':
+      if (!Array.isArray(answer) || answer.length === 0) {
+        return 'Answer must be a non-empty list of options';
+      }
+      if (new Set(answer).size !== answer.length || !answer.every(a => optionTexts.includes(a))) {
+        return 'Answer must contain distinct options of this question';
+      }
+      return null;
+    
+    case 'Ordering':
+      if (!Array.isArray(answer) || answer.length !== optionTexts.length ||
+          new Set(answer).size !== answer.length || !answer.every(a => optionTexts.includes(a))) {
+        return 'Answer must list every item exactly once';
+      }
+      return null;
+    
+    case 'Numeric':
+      return Number.isFinite(Number(answer)) && String(answer).trim() !== '' ?
+        null : 'Answer must be a number';
+    
+    default:
+      return typeof answer === 'string' || typeof answer === 'number' ?
+        null : 'Answer must be text';
+  }
+};
+
+// Method to check that a question is in the active section of a sectional test
+// Returns an error message, or null when the question can be accessed
+testSchema.methods.checkSectionAccess = function(questionNumber) {
+  if (this.sections.length === 0) return null;
+  
+  const section = this.getQuestionSection(questionNumber);
+  if (!section || section.status === 'Locked') {
+    return 'This section has not started yet';
+  }
+  if (section.status === 'Completed') {
+    return 'This section is closed and cannot be revisited';
+  }
+  return null;
+};
+
+// Method to grade a single question from its recorded response
+testSchema.methods.evaluateQuestion = function(question) {
+  const response = question.userResponse;
+  
+  if (question.regrade === 'award_all') {
+    question.scoreFraction = 1;
+    question.isCorrect = true;
+    question.pointsEarned = question.points;
+    return question;
+  }
+  
+  if (!response.isAnswered) {
+    question.scoreFraction = 0;
+    question.pointsEarned = 0;
+    return question;
+  }
+  
+  let fraction = 0;
+  
+  switch (question.questionType) {
+    case 'Multiple Choice': {
+      const correctOption = question.options.find(opt => opt.isCorrect);
+      fraction = correctOption && correctOption.text === response.selectedOption ? 1 : 0;
+      break;
+    }
+    
+    case 'Multiple Select': {
+      const correctTexts = question.options.filter(opt => opt.isCorrect).map(opt => opt.text);
+      const selected = response.selectedOptions || [];
+      const hits = selected.filter(text => correctTexts.includes(text)).length;
+      const misses = selected.length - hits;
+      
+      if (hits === correctTexts.length && misses === 0) {
+        fraction = 1;
+      } else if (question.partialCredit) {
+        // Each wrong pick cancels out one right pick
+        fraction = Math.max(0, (hits - misses) / correctTexts.length);
+      }
+      break;
+    }
+    
+    case 'Ordering': {
+      const expected = question.options.map(opt => opt.text);
+      const given = response.selectedOptions || [];
+      const inPlace = expected.filter((text, index) => given[index] === text).length;
+      
+      if (inPlace === expected.length) {
+        fraction = 1;
+      } else if (question.partialCredit) {
+        fraction = inPlace / expected.length;
+      }
+      break;
+    }
+    
+    case 'Numeric': {
+      const value = parseFloat(response.selectedAnswer);
+      const { value: expected, tolerance = 0, min, max } = question.numericAnswer || {};
+      
+      if (Number.isFinite(value)) {
+        if (Number.isFinite(min) && Number.isFinite(max)) {
+          fraction = value >= min && value <= max ? 1 : 0;
+        } else if (Number.isFinite(expected)) {
+          fraction = Math.abs(value - expected) <= tolerance ? 1 : 0;
+        }
+      }
+      break;
+    }
+    
+    default:
+      fraction = (question.correctAnswer || '').toLowerCase().trim() ===
+        String(response.selectedAnswer || '').toLowerCase().trim() ? 1 : 0;
+  }
+  
+  question.scoreFraction = fraction;
+  question.isCorrect = fraction === 1;
+  
+  // Calculate points
+  if (fraction > 0) {
+    question.pointsEarned = Math.round(question.points * fraction * 100) / 100;
+  } else if (this.testConfig.negativeMarking) {
+    question.pointsEarned = -this.getNegativePenalty(question);
+  } else {
+    question.pointsEarned = 0;
+  }
+  
+  return question;
+};
+
+// Method to get the penalty for a wrong answer: a fraction of the question's points under
+// proportional negative marking, otherwise the question's own negative points
+testSchema.methods.getNegativePenalty = function(question) {
+  const proportional = this.getGradingScheme().proportionalNegativeMarking;
+  
+  if (proportional && proportional.enabled) {
+    return Math.round(question.points * proportional.fraction * 100) / 100;
+  }
+  return question.negativePoints;
+};
+
+// Method to get the grading scheme snapshot (built-in bands for tests started before schemes existed)
+testSchema.methods.getGradingScheme = function() {
+  const snapshot = this.testConfig.gradingScheme;
+  return snapshot && snapshot.gradeBands && snapshot.gradeBands.length > 0 ?
+    snapshot :
+    GradingScheme.getBuiltInSnapshot();
+};
+
+// Method to map option positions as displayed to the candidate back to canonical option texts
+// Answers given as text (or to questions without options) are returned unchanged
+testSchema.methods.resolveAnswer = function(question, answer) {
+  if (question.options.length === 0) return answer;
+  
+  const displayed = getDisplayedOptions(question);
+  const toText = value => (typeof value === 'number' && displayed[value] ? displayed[value].text : value);
+  
+  return Array.isArray(answer) ? answer.map(toText) : toText(answer);
+};
+
+// Method to apply a re-grade to this test's copy of a question: a corrected answer key
+// ({ options, correctAnswer, numericAnswer }), or award_all / drop. Returns the questions changed.
+testSchema.methods.applyRegrade = function(questionId, action, key = {}) {
+  const matched = this.questions.filter(q => q.questionId.equals(questionId));
+  
+  matched.forEach(question => {
+    if (action !== 'correct_key') {
+      question.regrade = action;
+      return;
+    }
+    
+    // A corrected key replaces any earlier award_all or drop
+    question.regrade = undefined;
+    
+    if (key.options) {
+      // Keep the candidate's display order when an Ordering key moves the canonical options
+      const displayed = getDisplayedOptions(question).map(opt => opt.text);
+      question.options = key.options.map(opt => ({ text: opt.text, isCorrect: Boolean(opt.isCorrect) }));
+      if (question.optionOrder.length > 0) {
+        question.optionOrder = displayed.map(text => question.options.findIndex(opt => opt.text === text));
+      }
+    }
+    if (key.correctAnswer !== undefined) question.correctAnswer = key.correctAnswer;
+    if (key.numericAnswer) question.numericAnswer = key.numericAnswer;
+  });
+  
+  return matched;
+};
+
 // Method to submit answer
 testSchema.methods.submitAnswer = function(questionNumber, answer, timeSpent) {
   const question = this.questions.find(q => q.questionNumber === questionNumber);
@@ -424,39 +1111,373 @@ testSchema.methods.submitAnswer = function(questionNumber, answer, timeSpent) {
     throw new Error('Question not found');
   }
   
-  question.userResponse.selectedAnswer = answer;
-  question.userResponse.timeSpent = timeSpent || 0;
-  question.userResponse.answeredAt = new Date();
-  question.userResponse.isAnswered = true;
+  answer = this.resolveAnswer(question, answer);
+  
+  if (Array.isArray(answer)) {
+    question.userResponse.selectedOptions = answer;
+    question.userResponse.selectedAnswer = answer.join(', ');
+  } else {
+    question.userResponse.selectedAnswer = String(answer);
+  }
   
-  // Check if answer is correct
   if (question.questionType === 'Multiple Choice') {
-    const correctOption = question.options.find(opt => opt.isCorrect);
-    question.isCorrect = correctOption && correctOption.text === answer;
     question.userResponse.selectedOption = answer;
-  } else {
-    question.isCorrect = question.correctAnswer.toLowerCase().trim() === answer.toLowerCase().trim();
   }
   
-  // Calculate points
-  if (question.isCorrect) {
-    question.pointsEarned = question.points;
-  } else if (this.testConfig.negativeMarking && question.userResponse.isAnswered) {
-    question.pointsEarned = -question.negativePoints;
-  } else {
-    question.pointsEarned = 0;
+  question.userResponse.timeSpent = timeSpent || 0;
+  question.userResponse.answeredAt = new Date();
+  question.userResponse.isAnswered = true;
+  
+  // Check if answer is correct and calculate points
+  this.evaluateQuestion(question);
+  
+  if (this.isAdaptive()) {
+    this.recordAbility(question);
   }
   
   return this.save();
 };
 
+// Method to check whether this is an adaptive test
+testSchema.methods.isAdaptive = function() {
+  return Boolean(this.testConfig.adaptive && this.testConfig.adaptive.enabled);
+};
+
+// Method to check that only the latest question of an adaptive test is answered
+// Returns an error message, or null when the question can be answered
+testSchema.methods.checkAdaptiveAccess = function(questionNumber) {
+  if (!this.isAdaptive()) return null;
+  
+  const latest = this.questions[this.questions.length - 1];
+  if (!latest || latest.questionNumber !== questionNumber || latest.userResponse.isAnswered) {
+    return 'Adaptive tests only accept an answer to the current question, once';
+  }
+  return null;
+};
+
+// Method to add the next question drawn for an adaptive test
+testSchema.methods.addAdaptiveQuestion = function(questionData) {
+  this.questions.push({
+    ...questionData,
+    questionNumber: this.questions.length + 1
+  });
+  
+  const question = this.questions[this.questions.length - 1];
+  question.optionOrder = getOptionOrder(this.shuffleSeed, question);
+  
+  return question;
+};
+
+// Method to collect the scored responses used for ability estimation
+testSchema.methods.getAbilityResponses = function() {
+  return this.questions
+    .filter(q => q.userResponse.isAnswered && q.regrade !== 'drop' && q.irt && typeof q.irt.difficulty === 'number')
+    .map(q => ({
+      questionNumber: q.questionNumber,
+      questionId: q.questionId,
+      difficulty: q.irt.difficulty,
+      discrimination: q.irt.discrimination,
+      isCorrect: q.isCorrect === true
+    }));
+};
+
+// Method to update the ability estimate after an adaptive question is answered
+testSchema.methods.recordAbility = function(question) {
+  const responses = this.getAbilityResponses();
+  const estimate = irtModel.estimateAbility(responses);
+  const response = responses.find(r => r.questionNumber === question.questionNumber);
+  
+  if (response) {
+    this.abilityTrajectory.push({
+      ...response,
+      ability: estimate.ability,
+      standardError: estimate.standardError,
+      recordedAt: new Date()
+    });
+  }
+  
+  return estimate;
+};
+
+// Method to get the latest ability estimate (the prior before any answer)
+testSchema.methods.getAbilityEstimate = function() {
+  const latest = this.abilityTrajectory[this.abilityTrajectory.length - 1];
+  return latest ?
+    { ability: latest.ability, standardError: latest.standardError } :
+    irtModel.estimateAbility([]);
+};
+
+// Method to check whether an adaptive test should end: the estimate is precise
+// enough after the minimum number of questions, or the maximum has been reached
+testSchema.methods.isAdaptiveComplete = function() {
+  const { minQuestions, maxQuestions, targetStandardError } = this.testConfig.adaptive;
+  const answered = this.abilityTrajectory.length;
+  
+  if (answered >= maxQuestions) return true;
+  return answered >= minQuestions && this.getAbilityEstimate().standardError <= targetStandardError;
+};
+
+// Method to get the questions as shown to the candidate (answer keys removed)
+// For sectional tests pass a section number to get only that section's questions
+// Pass includeResponses to add the candidate's saved answers and flags (used on resume)
+testSchema.methods.getCandidateQuestions = function(sectionNumber, { includeResponses = false } = {}) {
+  const section = sectionNumber ? this.sections.find(s => s.sectionNumber === sectionNumber) : null;
+  const questions = section ?
+    this.questions.filter(q => section.questionNumbers.includes(q.questionNumber)) :
+    this.questions;
+  
+  return questions.map(q => {
+    // Options are shown in the test's seeded order (Ordering items are stored in the
+    // correct sequence, so this order is also what keeps them from giving the answer away)
+    const options = getDisplayedOptions(q).map((opt, position) => ({
+      position: position,
+      text: opt.text
+    }));
+    
+    return {
+      questionNumber: q.questionNumber,
+      sectionNumber: section ? section.sectionNumber : undefined,
+      questionText: q.questionText,
+      questionType: q.questionType,
+      category: q.category,
+      difficulty: q.difficulty,
+      points: q.points,
+      options: options,
+      savedResponse: includeResponses ? {
+        isAnswered: q.userResponse.isAnswered,
+        answer: q.userResponse.isAnswered ?
+          (q.userResponse.selectedOptions && q.userResponse.selectedOptions.length > 0 ?
+            q.userResponse.selectedOptions : q.userResponse.selectedAnswer) :
+          null,
+        flaggedForReview: q.userResponse.flaggedForReview,
+        timeSpent: q.userResponse.timeSpent
+      } : undefined
+    };
+  });
+};
+
+// Method to get the candidate-facing summary of the sections
+testSchema.methods.getSectionSummary = function(now = new Date()) {
+  return this.sections.map(section => {
+    const sectionDeadline = this.getSectionDeadline(section);
+    return {
+      sectionNumber: section.sectionNumber,
+      name: section.name,
+      totalQuestions: section.questionNumbers.length,
+      durationMinutes: section.durationMinutes,
+      cutoffPercentage: section.cutoffPercentage,
+      status: section.status,
+      timeRemaining: section.status === 'Active' && sectionDeadline ?
+        Math.max(0, Math.round((sectionDeadline.getTime() - now.getTime()) / 1000)) :
+        (section.status === 'Locked' ? section.durationMinutes * 60 : 0)
+    };
+  });
+};
+
+// Method to check whether a result is still waiting for an admin decision: the blueprint moderates
+// every result, or proctoring flagged this one
+testSchema.methods.isResultHeld = function() {
+  const needsReview = Boolean(this.testConfig.resultModeration) || Boolean(this.proctoring.flaggedForReview);
+  return this.status === 'Evaluated' && needsReview && !this.resultReleasedAt;
+};
+
+// Method to check whether the result was invalidated in moderation
+testSchema.methods.isResultInvalidated = function() {
+  return this.reviewStatus === 'Rejected';
+};
+
+// Method to get the result status shown to the candidate
+testSchema.methods.getResultStatus = function() {
+  if (this.isResultInvalidated()) return 'Invalidated';
+  if (this.isResultHeld()) return 'Under Review';
+  return this.status === 'Evaluated' ? 'Released' : 'Pending';
+};
+
+// Method to get the proctoring policy this test runs under
+testSchema.methods.getProctoringPolicy = function() {
+  return proctoringPolicy.resolvePolicy(this.testConfig.proctoringPolicy);
+};
+
+// Method to get the candidate's connection state from heartbeats
+// connected: heartbeats arriving and answers recent; idle: heartbeats arriving but no answer lately;
+// offline: no heartbeat within the offline threshold
+testSchema.methods.getConnectionState = function({ offlineAfterSeconds, idleAfterSeconds }, now = new Date()) {
+  const { lastHeartbeatAt, totalOfflineSeconds = 0 } = this.proctoring || {};
+  const lastAnswerAt = this.questions.reduce((latest, q) => {
+    const answeredAt = q.userResponse.answeredAt;
+    return answeredAt && (!latest || answeredAt > latest) ? answeredAt : latest;
+  }, null);
+  const lastActivityAt = lastAnswerAt || this.startTime;
+  
+  let state = 'offline';
+  if (lastHeartbeatAt && now - lastHeartbeatAt < offlineAfterSeconds * 1000) {
+    state = lastActivityAt && now - lastActivityAt >= idleAfterSeconds * 1000 ? 'idle' : 'connected';
+  }
+  
+  // A gap still open is not in totalOfflineSeconds until the next heartbeat closes it
+  const offlineSince = state === 'offline' ? (lastHeartbeatAt || null) : null;
+  
+  return {
+    state,
+    lastHeartbeatAt: lastHeartbeatAt || null,
+    lastActivityAt: lastActivityAt || null,
+    offlineSince,
+    totalOfflineSeconds
+  };
+};
+
+// Method to summarize identity checks against the profile photo
+testSchema.methods.getIdentitySummary = function() {
+  const checks = (this.proctoring && this.proctoring.identityChecks) || [];
+  
+  return {
+    checks: checks.length,
+    mismatches: checks.filter(check => !check.matched).length,
+    lowestSimilarity: checks.length > 0 ? Math.min(...checks.map(check => check.similarity)) : null,
+    lastCheckedAt: checks.length > 0 ? checks[checks.length - 1].checkedAt : null
+  };
+};
+
+// Method to summarize proctoring events and the policy's risk score
+testSchema.methods.getProctoringSummary = function() {
+  const { fullScreenViolations = 0, tabSwitchViolations = 0, suspiciousActivities = [] } = this.proctoring || {};
+  // Resumes and device or IP changes are listed with the violations but are not scored
+  const violations = suspiciousActivities.filter(activity => !proctoringPolicy.isSessionEvent(activity.type));
+  const evaluation = proctoringPolicy.evaluate(violations, this.getProctoringPolicy());
+  
+  return {
+    fullScreenViolations,
+    tabSwitchViolations,
+    totalViolations: evaluation.totalViolations,
+    violationCounts: evaluation.counts,
+    riskScore: evaluation.score,
+    riskLevel: evaluation.riskLevel,
+    flaggedForReview: Boolean(this.proctoring.flaggedForReview),
+    totalOfflineSeconds: this.proctoring.totalOfflineSeconds || 0,
+    identity: this.getIdentitySummary()
+  };
+};
+
+// Method to check whether the candidate may see the answer review now
+testSchema.methods.getAnswerReviewStatus = function(now = new Date()) {
+  const { policy = 'never', releaseDate } = this.testConfig.answerReview || {};
+  
+  if (this.status !== 'Evaluated' || this.isResultHeld()) {
+    return { available: false, reason: 'Results are not available yet' };
+  }
+  
+  if (this.isResultInvalidated()) {
+    return { available: false, reason: 'This result was invalidated after review' };
+  }
+  
+  if (policy === 'never') {
+    return { available: false, reason: 'Answer review is not available for this test' };
+  }
+  
+  if (policy === 'after_date' && (!releaseDate || now < releaseDate)) {
+    return {
+      available: false,
+      reason: 'Answer review has not been released yet',
+      releaseDate: releaseDate
+    };
+  }
+  
+  return { available: true };
+};
+
+// Method to build the answer sheet review, with explanations keyed by question ID
+testSchema.methods.buildAnswerReview = function(questionDetails = {}) {
+  return this.questions.map(q => {
+    const details = questionDetails[q.questionId.toString()] || {};
+    const response = q.userResponse;
+    
+    return {
+      questionNumber: q.questionNumber,
+      questionText: q.questionText,
+      questionType: q.questionType,
+      category: q.category,
+      difficulty: q.difficulty,
+      options: getDisplayedOptions(q).map(opt => opt.text),
+      yourAnswer: response.isAnswered ?
+        (response.selectedOptions && response.selectedOptions.length > 0 ?
+          response.selectedOptions : response.selectedAnswer) :
+        null,
+      correctAnswer: formatCorrectAnswer(q),
+      isCorrect: response.isAnswered ? q.isCorrect : null,
+      regrade: q.regrade || null,
+      pointsEarned: q.pointsEarned,
+      points: q.points,
+      explanation: details.explanation || null,
+      hints: details.hints || [],
+      relatedTopics: details.relatedTopics || []
+    };
+  });
+};
+
+// Method to record that the candidate re-entered the session, flagging device or network changes
+// Returns the list of activity types recorded
+testSchema.methods.recordResume = function(device, now = new Date()) {
+  const previous = this.proctoring.currentDevice && this.proctoring.currentDevice.userAgent ?
+    this.proctoring.currentDevice :
+    { userAgent: this.proctoring.browserInfo.userAgent, ipAddress: this.proctoring.ipAddress };
+  
+  const recorded = ['session_resumed'];
+  if (previous.userAgent && device.userAgent !== previous.userAgent) {
+    recorded.push('device_changed');
+  }
+  if (previous.ipAddress && device.ipAddress !== previous.ipAddress) {
+    recorded.push('ip_changed');
+  }
+  
+  const descriptions = {
+    session_resumed: `Session resumed (resume #${this.proctoring.resumeCount + 1})`,
+    device_changed: `Browser/device changed from "${previous.userAgent}"`,
+    ip_changed: `IP address changed from ${previous.ipAddress}`
+  };
+  
+  recorded.forEach(type => {
+    this.proctoring.suspiciousActivities.push({
+      type: type,
+      timestamp: now,
+      description: descriptions[type],
+      ipAddress: device.ipAddress,
+      userAgent: device.userAgent
+    });
+  });
+  
+  this.proctoring.resumeCount += 1;
+  this.proctoring.currentDevice = {
+    userAgent: device.userAgent,
+    ipAddress: device.ipAddress,
+    since: now
+  };
+  
+  return recorded;
+};
+
+// Method to assign the shuffle seed and each question's option order
+// The same seed always produces the same option order, so what a candidate saw can be rebuilt
+testSchema.methods.applyShuffle = function(seed = seededShuffle.generateSeed()) {
+  this.shuffleSeed = seed;
+  
+  this.questions.forEach(question => {
+    question.optionOrder = getOptionOrder(seed, question);
+  });
+  
+  return seed;
+};
+
 // Method to calculate final score
 testSchema.methods.calculateScore = function() {
+  // Questions dropped by a re-grade do not count at all
+  const questions = this.questions.filter(q => q.regrade !== 'drop');
+  
   const score = {
-    totalQuestions: this.questions.length,
+    totalQuestions: questions.length,
     attemptedQuestions: 0,
     correctAnswers: 0,
     wrongAnswers: 0,
+    partiallyCorrectAnswers: 0,
     unansweredQuestions: 0,
     totalPoints: 0,
     pointsEarned: 0,
@@ -464,11 +1485,14 @@ testSchema.methods.calculateScore = function() {
     netScore: 0,
     percentage: 0,
     categoryWiseScore: [],
-    difficultyWiseScore: []
+    difficultyWiseScore: [],
+    sectionWiseScore: [],
+    failedRules: []
   };
   
   // Calculate basic metrics
-  this.questions.forEach(question => {
+  questions.forEach(question => {
+    this.evaluateQuestion(question);
     score.totalPoints += question.points;
     
     if (question.userResponse.isAnswered) {
@@ -476,78 +1500,134 @@ testSchema.methods.calculateScore = function() {
       
       if (question.isCorrect) {
         score.correctAnswers++;
-        score.pointsEarned += question.points;
+      } else if (question.scoreFraction > 0) {
+        score.partiallyCorrectAnswers++;
       } else {
         score.wrongAnswers++;
-        if (this.testConfig.negativeMarking) {
-          score.negativePoints += question.negativePoints;
-        }
+      }
+      
+      if (question.pointsEarned >= 0) {
+        score.pointsEarned += question.pointsEarned;
+      } else {
+        score.negativePoints -= question.pointsEarned;
       }
     } else {
       score.unansweredQuestions++;
+      // Questions awarded to everyone by a re-grade also score when left unanswered
+      score.pointsEarned += question.pointsEarned;
     }
   });
   
   // Calculate net score and percentage
-  score.netScore = score.pointsEarned - score.negativePoints;
-  score.percentage = Math.round((score.netScore / score.totalPoints) * 100);
-  
-  // Determine grade
-  if (score.percentage >= 90) score.grade = 'A+';
-  else if (score.percentage >= 80) score.grade = 'A';
-  else if (score.percentage >= 70) score.grade = 'B+';
-  else if (score.percentage >= 60) score.grade = 'B';
-  else if (score.percentage >= 50) score.grade = 'C+';
-  else if (score.percentage >= 40) score.grade = 'C';
-  else if (score.percentage >= 30) score.grade = 'D';
-  else score.grade = 'F';
+  score.pointsEarned = Math.round(score.pointsEarned * 100) / 100;
+  score.netScore = Math.round((score.pointsEarned - score.negativePoints) * 100) / 100;
+  score.percentage = score.totalPoints > 0 ? Math.round((score.netScore / score.totalPoints) * 100) : 0;
+  
+  // Determine grade from the scheme's bands (highest band first)
+  const gradingScheme = this.getGradingScheme();
+  const gradeBands = [...gradingScheme.gradeBands].sort((a, b) => b.minPercentage - a.minPercentage);
+  const gradeBand = gradeBands.find(band => score.percentage >= band.minPercentage) ||
+    gradeBands[gradeBands.length - 1];
+  score.grade = gradeBand.grade;
   
   // Calculate category-wise score
-  const categories = [...new Set(this.questions.map(q => q.category))];
+  const categories = [...new Set(questions.map(q => q.category))];
   categories.forEach(category => {
-    const categoryQuestions = this.questions.filter(q => q.category === category);
-    const categoryCorrect = categoryQuestions.filter(q => q.isCorrect).length;
-    const categoryPoints = categoryQuestions.reduce((sum, q) => sum + (q.isCorrect ? q.points : (q.userResponse.isAnswered ? -q.negativePoints : 0)), 0);
-    
     score.categoryWiseScore.push({
       category,
-      totalQuestions: categoryQuestions.length,
-      correctAnswers: categoryCorrect,
-      percentage: Math.round((categoryCorrect / categoryQuestions.length) * 100),
-      points: categoryPoints
+      ...summarizeQuestions(questions.filter(q => q.category === category))
     });
   });
   
   // Calculate difficulty-wise score
-  const difficulties = [...new Set(this.questions.map(q => q.difficulty))];
+  const difficulties = [...new Set(questions.map(q => q.difficulty))];
   difficulties.forEach(difficulty => {
-    const difficultyQuestions = this.questions.filter(q => q.difficulty === difficulty);
-    const difficultyCorrect = difficultyQuestions.filter(q => q.isCorrect).length;
-    const difficultyPoints = difficultyQuestions.reduce((sum, q) => sum + (q.isCorrect ? q.points : (q.userResponse.isAnswered ? -q.negativePoints : 0)), 0);
-    
     score.difficultyWiseScore.push({
       difficulty,
-      totalQuestions: difficultyQuestions.length,
-      correctAnswers: difficultyCorrect,
-      percentage: Math.round((difficultyCorrect / difficultyQuestions.length) * 100),
-      points: difficultyPoints
+      ...summarizeQuestions(questions.filter(q => q.difficulty === difficulty))
+    });
+  });
+  
+  // Calculate section-wise score with sectional cutoffs
+  this.sections.forEach(section => {
+    const sectionScore = summarizeQuestions(
+      questions.filter(q => section.questionNumbers.includes(q.questionNumber))
+    );
+    
+    score.sectionWiseScore.push({
+      sectionNumber: section.sectionNumber,
+      name: section.name,
+      category: section.category,
+      ...sectionScore,
+      cutoffPercentage: section.cutoffPercentage,
+      isPassed: section.cutoffPercentage === undefined || section.cutoffPercentage === null ||
+        sectionScore.percentage >= section.cutoffPercentage
     });
   });
   
+  // Report ability alongside the percentage for adaptive tests, where candidates see
+  // questions of different difficulty and the percentage alone is not comparable
+  const failedRules = [];
+  const { passingAbility } = this.testConfig.adaptive || {};
+  
+  if (this.isAdaptive()) {
+    const estimate = irtModel.estimateAbility(this.getAbilityResponses());
+    score.ability = {
+      estimate: estimate.ability,
+      standardError: estimate.standardError,
+      scaledScore: irtModel.toScaledScore(estimate.ability)
+    };
+  }
+  
+  if (this.isAdaptive() && typeof passingAbility === 'number') {
+    if (score.ability.estimate < passingAbility) {
+      failedRules.push(`Ability ${score.ability.estimate} is below the required ${passingAbility}`);
+    }
+  } else if (score.percentage < this.testConfig.passingPercentage) {
+    failedRules.push(`Score ${score.percentage}% is below the passing ${this.testConfig.passingPercentage}%`);
+  }
+  
+  score.sectionWiseScore.filter(section => !section.isPassed).forEach(section => {
+    failedRules.push(`${section.name}: ${section.percentage}% is below the section cutoff of ${section.cutoffPercentage}%`);
+  });
+  
+  // Pass rules from the grading scheme
+  gradingScheme.categoryMinimums.forEach(({ category, minPercentage }) => {
+    const categoryScore = score.categoryWiseScore.find(c => c.category === category);
+    if (categoryScore && categoryScore.percentage < minPercentage) {
+      failedRules.push(`${category}: ${categoryScore.percentage}% is below the minimum of ${minPercentage}%`);
+    }
+  });
+  
+  if (gradingScheme.minAttempted && score.attemptedQuestions < gradingScheme.minAttempted) {
+    failedRules.push(`${score.attemptedQuestions} questions attempted, at least ${gradingScheme.minAttempted} required`);
+  }
+  
+  score.failedRules = failedRules;
   this.score = score;
-  this.isPassed = score.percentage >= this.testConfig.passingPercentage;
+  this.isPassed = failedRules.length === 0;
   
   return score;
 };
 
 // Method to complete test
-testSchema.methods.completeTest = function() {
-  if (this.status !== 'In Progress') {
+// 'Submitted' is accepted so a session claimed for evaluation can be completed
+testSchema.methods.completeTest = function(reason = 'submitted', endTime = new Date()) {
+  if (!['In Progress', 'Submitted'].includes(this.status)) {
     throw new Error('Test is not in progress');
   }
   
-  this.endTime = new Date();
+  this.endTime = endTime;
   this.submittedAt = new Date();
+  this.completionReason = reason;
+  
+  this.sections.forEach(section => {
+    if (section.status !== 'Completed') {
+      section.status = 'Completed';
+      section.endedAt = section.endedAt || endTime;
+    }
+  });
+  this.timeRemaining = this.getTimeRemaining(endTime);
   this.status = 'Completed';
   
   // Calculate score
@@ -607,6 +1687,16 @@ testSchema.methods.calculateAnalytics = function() {
   }));
 };
 
+// Static method to get the IDs of questions whose answers a candidate has already seen
+testSchema.statics.getReviewedQuestionIds = async function(userId) {
+  const reviewedTests = await this.find({
+    user: userId,
+    answerReviewReleasedAt: { $exists: true }
+  }).select('questions.questionId');
+  
+  return reviewedTests.flatMap(test => test.questions.map(q => q.questionId));
+};
+
 // Static method to get test statistics
 testSchema.statics.getTestStats = async function(filters = {}) {
   const pipeline = [
@@ -649,10 +1739,16 @@ testSchema.statics.getTestStats = async function(filters = {}) {
 // Indexes for performance
 testSchema.index({ user: 1, createdAt: -1 });
 testSchema.index({ status: 1 });
+testSchema.index({ status: 1, startTime: 1 });
 testSchema.index({ testId: 1 });
 testSchema.index({ userPhone: 1 });
 testSchema.index({ 'score.percentage': -1 });
 testSchema.index({ isPassed: 1 });
 testSchema.index({ createdAt: -1 });
+testSchema.index({ 'testConfig.blueprint': 1 });
+testSchema.index({ status: 1, 'score.percentage': -1 });
+testSchema.index({ certificateNumber: 1 }, { unique: true, sparse: true });
+testSchema.index({ 'testConfig.resultModeration': 1, resultReleasedAt: 1, reviewStatus: 1 });
+testSchema.index({ 'questions.questionId': 1, status: 1 });
 
 module.exports = mongoose.model('Test', testSchema); 
\ No newline at end of file
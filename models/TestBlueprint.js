@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const Question = require('./Question');
+const User = require('./User');
+const proctoringPolicy = require('../utils/proctoringPolicy');
+
+const QUESTION_CATEGORIES = Question.schema.path('category').enumValues;
+const QUALIFICATIONS = User.schema.path('profile.education.qualification').enumValues;
+const { severityWeights: DEFAULT_WEIGHTS, ...DEFAULT_THRESHOLDS } = proctoringPolicy.defaultPolicy;
+
+const testBlueprintSchema = new mongoose.Schema({
+  // Blueprint Identity
+  name: {
+    type: String,
+    required: [true, 'Blueprint name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Blueprint name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Question Selection
+  totalQuestions: {
+    type: Number,
+    min: [1, 'A test must have at least 1 question'],
+    max: [200, 'A test cannot exceed 200 questions'],
+    default: 30
+  },
+
+  categoryDistribution: [{
+    category: {
+      type: String,
+      enum: QUESTION_CATEGORIES,
+      required: [true, 'Category is required']
+    },
+    questionCount: {
+      type: Number,
+      required: [true, 'Question count is required'],
+      min: [1, 'Question count must be at least 1']
+    },
+    // Used only by sectional blueprints
+    sectionDurationMinutes: {
+      type: Number,
+      min: [1, 'Section duration must be at least 1 minute']
+    },
+    cutoffPercentage: {
+      type: Number,
+      min: [0, 'Cutoff cannot be less than 0'],
+      max: [100, 'Cutoff cannot exceed 100']
+    }
+  }],
+  
+  // Sectional tests run each category as a separately timed section, in the order listed
+  sectional: {
+    type: Boolean,
+    default: false
+  },
+
+  difficultyDistribution: {
+    easy: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 30 // percentage
+    },
+    moderate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 30 // percentage
+    },
+    hard: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 40 // percentage
+    }
+  },
+
+  // Adaptive tests choose each question from the candidate's running ability estimate
+  adaptive: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    minQuestions: {
+      type: Number,
+      min: [1, 'Minimum questions must be at least 1'],
+      default: 10
+    },
+    maxQuestions: {
+      type: Number,
+      min: [1, 'Maximum questions must be at least 1'],
+      max: [200, 'Maximum questions cannot exceed 200'],
+      default: 30
+    },
+    // The test ends once the ability estimate's standard error is at or below this
+    targetStandardError: {
+      type: Number,
+      min: [0.1, 'Target standard error cannot be less than 0.1'],
+      max: [1, 'Target standard error cannot exceed 1'],
+      default: 0.3
+    },
+    // Ability (θ) needed to pass; the passing percentage is used when not set
+    passingAbility: {
+      type: Number,
+      min: [-4, 'Passing ability cannot be less than -4'],
+      max: [4, 'Passing ability cannot exceed 4']
+    }
+  },
+
+  // Timing and Scoring
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Test duration is required'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [300, 'Duration cannot exceed 300 minutes'],
+    default: 30
+  },
+
+  passingPercentage: {
+    type: Number,
+    min: [0, 'Passing percentage cannot be less than 0'],
+    max: [100, 'Passing percentage cannot exceed 100'],
+    default: 65
+  },
+
+  // Grade bands and extra pass rules; the default scheme applies when not set
+  gradingScheme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScheme'
+  },
+
+  negativeMarking: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Overrides each question's own negativePoints when set
+    penaltyOverride: {
+      type: Number,
+      min: [0, 'Penalty cannot be less than 0'],
+      max: [5, 'Penalty cannot exceed 5']
+    }
+  },
+
+  // Answer Review
+  answerReview: {
+    policy: {
+      type: String,
+      enum: ['immediate', 'after_date', 'never'],
+      default: 'never'
+    },
+    releaseDate: Date
+  },
+
+  // Result Release (moderated results are held until an admin approves or rejects them)
+  resultModeration: {
+    type: Boolean,
+    default: false
+  },
+
+  // Proctoring Policy (violations add their severity weight to a risk score; each threshold
+  // warns the candidate, flags the result for review or ends the test)
+  proctoringPolicy: {
+    severityWeights: {
+      minor: {
+        type: Number,
+        min: [0, 'Weight cannot be negative'],
+        default: DEFAULT_WEIGHTS.minor
+      },
+      major: {
+        type: Number,
+        min: [0, 'Weight cannot be negative'],
+        default: DEFAULT_WEIGHTS.major
+      },
+      critical: {
+        type: Number,
+        min: [0, 'Weight cannot be negative'],
+        default: DEFAULT_WEIGHTS.critical
+      }
+    },
+    typeSeverities: [{
+      type: {
+        type: String,
+        enum: proctoringPolicy.getViolationTypes(),
+        required: [true, 'Violation type is required']
+      },
+      severity: {
+        type: String,
+        enum: proctoringPolicy.severities,
+        required: [true, 'Severity is required']
+      }
+    }],
+    warningScore: {
+      type: Number,
+      min: [1, 'Warning score must be at least 1'],
+      default: DEFAULT_THRESHOLDS.warningScore
+    },
+    flagScore: {
+      type: Number,
+      min: [1, 'Flag score must be at least 1'],
+      default: DEFAULT_THRESHOLDS.flagScore
+    },
+    terminateScore: {
+      type: Number,
+      min: [1, 'Terminate score must be at least 1'],
+      default: DEFAULT_THRESHOLDS.terminateScore
+    }
+  },
+
+  // Candidate Targeting
+  cohorts: [{
+    type: String,
+    trim: true
+  }],
+
+  qualifications: [{
+    type: String,
+    enum: QUALIFICATIONS
+  }],
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  status: {
+    type: String,
+    enum: ['Active', 'Inactive'],
+    default: 'Active'
+  },
+
+  // Admin Information
+  createdBy: {
+    type: String,
+    required: [true, 'Creator information is required']
+  },
+
+  lastModifiedBy: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the number of questions this blueprint will draw
+testBlueprintSchema.virtual('questionCount').get(function() {
+  if (this.categoryDistribution && this.categoryDistribution.length > 0) {
+    return this.categoryDistribution.reduce((sum, c) => sum + c.questionCount, 0);
+  }
+  return this.totalQuestions;
+});
+
+// Pre-save middleware for validation
+testBlueprintSchema.pre('save', async function(next) {
+  const { easy, moderate, hard } = this.difficultyDistribution;
+  if (easy + moderate + hard !== 100) {
+    return next(new Error('Difficulty distribution must add up to 100'));
+  }
+
+  const categories = this.categoryDistribution.map(c => c.category);
+  if (new Set(categories).size !== categories.length) {
+    return next(new Error('Each category can appear only once in the distribution'));
+  }
+
+  // Keep totalQuestions in sync with the per-category counts
+  if (this.categoryDistribution.length > 0) {
+    this.totalQuestions = this.questionCount;
+  }
+
+  if (this.answerReview.policy === 'after_date' && !this.answerReview.releaseDate) {
+    return next(new Error('A release date is required when answer review opens after a date'));
+  }
+
+  const policyError = proctoringPolicy.validatePolicy(this.proctoringPolicy);
+  if (policyError) {
+    return next(new Error(policyError));
+  }
+
+  // Sectional tests take their total duration from the section timers
+  if (this.sectional) {
+    if (this.categoryDistribution.length === 0) {
+      return next(new Error('Sectional blueprints need at least one category section'));
+    }
+    if (this.categoryDistribution.some(c => !c.sectionDurationMinutes)) {
+      return next(new Error('Each section needs a duration'));
+    }
+    this.durationMinutes = this.categoryDistribution.reduce((sum, c) => sum + c.sectionDurationMinutes, 0);
+  }
+
+  // Adaptive tests pick questions one at a time, so fixed sections and category quotas do not apply
+  if (this.adaptive.enabled) {
+    if (this.sectional || this.categoryDistribution.length > 0) {
+      return next(new Error('Adaptive blueprints cannot have sections or category question counts'));
+    }
+    if (this.adaptive.minQuestions > this.adaptive.maxQuestions) {
+      return next(new Error('Adaptive minimum questions cannot exceed the maximum'));
+    }
+    this.totalQuestions = this.adaptive.maxQuestions;
+  }
+
+  // Only one blueprint can be the default
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  next();
+});
+
+// Method to build the testConfig snapshot stored on a Test
+testBlueprintSchema.methods.buildTestConfig = function() {
+  return {
+    blueprint: this._id,
+    blueprintName: this.name,
+    totalQuestions: this.questionCount,
+    durationMinutes: this.durationMinutes,
+    difficultyDistribution: {
+      easy: this.difficultyDistribution.easy,
+      moderate: this.difficultyDistribution.moderate,
+      hard: this.difficultyDistribution.hard
+    },
+    categoryDistribution: this.categoryDistribution.map(c => ({
+      category: c.category,
+      questionCount: c.questionCount,
+      sectionDurationMinutes: c.sectionDurationMinutes,
+      cutoffPercentage: c.cutoffPercentage
+    })),
+    sectional: this.sectional,
+    categories: this.categoryDistribution.map(c => c.category),
+    adaptive: {
+      enabled: this.adaptive.enabled,
+      minQuestions: this.adaptive.minQuestions,
+      maxQuestions: this.adaptive.maxQuestions,
+      targetStandardError: this.adaptive.targetStandardError,
+      passingAbility: this.adaptive.passingAbility
+    },
+    passingPercentage: this.passingPercentage,
+    negativeMarking: this.negativeMarking.enabled,
+    negativePenaltyOverride: this.negativeMarking.penaltyOverride,
+    answerReview: {
+      policy: this.answerReview.policy,
+      releaseDate: this.answerReview.releaseDate
+    },
+    resultModeration: this.resultModeration,
+    proctoringPolicy: proctoringPolicy.resolvePolicy(this.proctoringPolicy)
+  };
+};
+
+// Static method for the environment-based configuration used when no blueprint applies
+testBlueprintSchema.statics.getDefaultTestConfig = function() {
+  return {
+    totalQuestions: parseInt(process.env.QUESTIONS_PER_TEST) || 30,
+    durationMinutes: parseInt(process.env.TEST_DURATION_MINUTES) || 30,
+    difficultyDistribution: {
+      easy: 30,    // 30% easy questions
+      moderate: 30, // 30% moderate questions
+      hard: 40     // 40% hard questions
+    },
+    categoryDistribution: [],
+    categories: [],
+    passingPercentage: parseInt(process.env.PASSING_PERCENTAGE) || 65,
+    negativeMarking: true,
+    answerReview: {
+      policy: process.env.ANSWER_REVIEW_POLICY || 'never'
+    },
+    resultModeration: process.env.RESULT_MODERATION === 'true',
+    proctoringPolicy: proctoringPolicy.resolvePolicy()
+  };
+};
+
+// Static method to find the blueprint that applies to a candidate
+// Order of precedence: explicit assignment, cohort match, qualification match, default
+testBlueprintSchema.statics.findForCandidate = async function(user) {
+  const testInfo = user.testInfo || {};
+
+  if (testInfo.assignedBlueprint) {
+    const assigned = await this.findOne({ _id: testInfo.assignedBlueprint, status: 'Active' });
+    if (assigned) return assigned;
+  }
+
+  if (testInfo.cohort) {
+    const cohortMatch = await this.findOne({ cohorts: testInfo.cohort, status: 'Active' })
+      .sort({ updatedAt: -1 });
+    if (cohortMatch) return cohortMatch;
+  }
+
+  const qualification = user.profile?.education?.qualification;
+  if (qualification) {
+    const qualificationMatch = await this.findOne({ qualifications: qualification, status: 'Active' })
+      .sort({ updatedAt: -1 });
+    if (qualificationMatch) return qualificationMatch;
+  }
+
+  return this.findOne({ isDefault: true, status: 'Active' });
+};
+
+// Indexes for performance
+testBlueprintSchema.index({ status: 1 });
+testBlueprintSchema.index({ cohorts: 1 });
+testBlueprintSchema.index({ qualifications: 1 });
+testBlueprintSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('TestBlueprint', testBlueprintSchema);
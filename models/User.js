@@ -138,6 +138,22 @@ const userSchema = new mongoose.Schema({
     idCard: String
   },
   
+  // Face embedding of the profile photo, for identity checks during proctored tests
+  faceEnrollment: {
+    status: {
+      type: String,
+      enum: ['Enrolled', 'NoFace', 'MultipleFaces', 'Failed']
+    },
+    descriptor: {
+      type: [Number],
+      select: false, // biometric data, loaded only for identity checks
+      default: undefined
+    },
+    photo: String, // the profile photo the embedding was made from
+    detector: String,
+    enrolledAt: Date
+  },
+  
   // Test Related Information
   testInfo: {
     totalAttempts: {
@@ -155,7 +171,17 @@ const userSchema = new mongoose.Schema({
     },
     qualificationDate: Date,
     blockedUntil: Date,
-    blockedReason: String
+    blockedReason: String,
+    
+    // Test blueprint targeting
+    cohort: {
+      type: String,
+      trim: true
+    },
+    assignedBlueprint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TestBlueprint'
+    }
   },
   
   // Consent and Agreement
@@ -275,6 +301,7 @@ userSchema.index({ phone: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ 'testInfo.hasQualified': 1 });
+userSchema.index({ 'testInfo.cohort': 1 });
 userSchema.index({ status: 1 });
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
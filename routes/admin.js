@@ -9,8 +9,24 @@ const User = require('../models/User');
 const Question = require('../models/Question');
 const Test = require('../models/Test');
 const Admin = require('../models/Admin');
+const TestBlueprint = require('../models/TestBlueprint');
+const GradingScheme = require('../models/GradingScheme');
+const CollusionCluster = require('../models/CollusionCluster');
+const ProctoringSession = require('../models/ProctoringSession');
 const emailService = require('../utils/emailService');
+const questionRowParser = require('../utils/questionRowParser');
+const irtCalibrationService = require('../utils/irtCalibrationService');
+const collusionDetectionService = require('../utils/collusionDetectionService');
+const evidenceTimelineService = require('../utils/evidenceTimelineService');
+const mediaStore = require('../utils/mediaStore');
+const mediaRetentionService = require('../utils/mediaRetentionService');
+const regradeService = require('../utils/regradeService');
+const proctoringService = require('../utils/proctoringService');
+const proctoringPolicy = require('../utils/proctoringPolicy');
+const socketService = require('../utils/socketService');
 const smsService = require('../utils/smsService');
+const sessionStore = require('../utils/sessionStore');
+const testCompletionService = require('../utils/testCompletionService');
 const { protectAdmin, checkPermission, checkRole } = require('../middleware/auth');
 
 const router = express.Router();
@@ -372,7 +388,7 @@ router.get('/candidate/:id', protectAdmin, checkPermission('users', 'view'), asy
     
     // Get candidate's test history
     const testHistory = await Test.find({ user: candidate._id })
-      .select('testId status score isPassed createdAt submittedAt actualDurationMinutes')
+      .select('testId status score isPassed rank percentile ranking createdAt submittedAt actualDurationMinutes')
       .sort({ createdAt: -1 });
     
     res.status(200).json({
@@ -474,6 +490,262 @@ router.put('/candidate/:id/status',
   }
 );
 
+// @route   GET /api/admin/candidate/:id/sessions
+// @desc    List a candidate's active sessions
+// @access  Private (Admin)
+router.get('/candidate/:id/sessions', protectAdmin, checkPermission('users', 'view'), async (req, res) => {
+  try {
+    const candidate = await User.findById(req.params.id).select('_id');
+    
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Candidate not found'
+      });
+    }
+    
+    const sessions = await sessionStore.listSessions(`user:${candidate._id}`);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Candidate Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get candidate sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/candidate/:id/sessions
+// @desc    Terminate every session of a candidate, including a running test's
+// @access  Private (Admin)
+router.delete('/candidate/:id/sessions', protectAdmin, checkPermission('users', 'edit'), async (req, res) => {
+  try {
+    const candidate = await User.findById(req.params.id).select('fullName');
+    
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Candidate not found'
+      });
+    }
+    
+    const principal = `user:${candidate._id}`;
+    const sessionsEnded = await sessionStore.revokeAll(principal);
+    socketService.disconnectSessions(principal);
+    
+    await req.admin.logActivity('candidate_sessions_terminated', {
+      candidateId: candidate._id,
+      candidateName: candidate.fullName,
+      sessionsEnded
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Candidate sessions terminated',
+      data: {
+        sessionsEnded
+      }
+    });
+    
+  } catch (error) {
+    console.error('Terminate Candidate Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to terminate candidate sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/candidate/:id/sessions/:jti
+// @desc    Terminate one session of a candidate
+// @access  Private (Admin)
+router.delete('/candidate/:id/sessions/:jti', protectAdmin, checkPermission('users', 'edit'), async (req, res) => {
+  try {
+    const principal = `user:${req.params.id}`;
+    const revoked = await sessionStore.revokeSession(principal, req.params.jti);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    socketService.disconnectSessions(principal, req.params.jti);
+    
+    await req.admin.logActivity('candidate_session_terminated', {
+      candidateId: req.params.id,
+      jti: req.params.jti
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Candidate session terminated'
+    });
+    
+  } catch (error) {
+    console.error('Terminate Candidate Session Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to terminate candidate session'
+    });
+  }
+});
+
+// @route   GET /api/admin/admins/:id/sessions
+// @desc    List another admin's active sessions
+// @access  Private (Super Admin)
+router.get('/admins/:id/sessions', protectAdmin, checkRole('Super Admin'), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id).select('_id');
+    
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+    
+    const sessions = await sessionStore.listSessions(`admin:${admin._id}`);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Admin Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get admin sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/admins/:id/sessions
+// @desc    Terminate every session of another admin
+// @access  Private (Super Admin)
+router.delete('/admins/:id/sessions', protectAdmin, checkRole('Super Admin'), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id).select('fullName');
+    
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+    
+    const principal = `admin:${admin._id}`;
+    const sessionsEnded = await sessionStore.revokeAll(principal);
+    socketService.disconnectSessions(principal);
+    
+    await req.admin.logActivity('admin_sessions_terminated', {
+      adminId: admin._id,
+      adminName: admin.fullName,
+      sessionsEnded
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Admin sessions terminated',
+      data: {
+        sessionsEnded
+      }
+    });
+    
+  } catch (error) {
+    console.error('Terminate Admin Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to terminate admin sessions'
+    });
+  }
+});
+
+// @route   PUT /api/admin/candidate/:id/blueprint
+// @desc    Assign a candidate to a cohort and/or a specific test blueprint
+// @access  Private (Admin)
+router.put('/candidate/:id/blueprint',
+  protectAdmin,
+  checkPermission('users', 'edit'),
+  [
+    body('cohort')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Cohort must be at most 100 characters'),
+    body('blueprintId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Valid blueprint ID is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { cohort, blueprintId } = req.body;
+      
+      const candidate = await User.findById(req.params.id);
+      
+      if (!candidate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Candidate not found'
+        });
+      }
+      
+      if (blueprintId) {
+        const blueprint = await TestBlueprint.findById(blueprintId);
+        if (!blueprint || blueprint.status !== 'Active') {
+          return res.status(400).json({
+            success: false,
+            error: 'Blueprint not found or inactive'
+          });
+        }
+      }
+      
+      if (cohort !== undefined) candidate.testInfo.cohort = cohort || undefined;
+      if (blueprintId !== undefined) candidate.testInfo.assignedBlueprint = blueprintId || undefined;
+      
+      await candidate.save();
+      
+      await req.admin.logActivity('candidate_blueprint_assignment', {
+        candidateId: candidate._id,
+        candidateName: candidate.fullName,
+        cohort: candidate.testInfo.cohort,
+        blueprintId: candidate.testInfo.assignedBlueprint
+      }, req);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Candidate blueprint assignment updated successfully',
+        data: {
+          candidateId: candidate._id,
+          cohort: candidate.testInfo.cohort,
+          assignedBlueprint: candidate.testInfo.assignedBlueprint
+        }
+      });
+      
+    } catch (error) {
+      console.error('Assign Candidate Blueprint Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update candidate blueprint assignment'
+      });
+    }
+  }
+);
+
 // @route   POST /api/admin/bulk-notification
 // @desc    Send bulk notifications to candidates
 // @access  Private (Admin)
@@ -935,73 +1207,11 @@ router.get('/dashboard/realtime', protectAdmin, async (req, res) => {
 // @access  Private (Admin)
 router.get('/monitoring/live-tests', protectAdmin, async (req, res) => {
   try {
-    const activeTests = await Test.find({ 
-      status: { $in: ['In Progress', 'Scheduled'] } 
-    })
-      .populate('user', 'fullName email phone profile.photo')
-      .sort({ startTime: -1 });
-
-    const monitoringData = activeTests.map(test => {
-      const now = new Date();
-      const timeElapsed = test.startTime ? Math.floor((now - test.startTime) / (1000 * 60)) : 0;
-      const progress = test.questions.filter(q => q.userResponse.isAnswered).length;
-      const flagged = test.questions.filter(q => q.userResponse.flaggedForReview).length;
-      
-      // Calculate risk score based on violations and time
-      let riskScore = 0;
-      riskScore += test.proctoring.tabSwitchViolations * 10;
-      riskScore += test.proctoring.fullScreenViolations * 15;
-      riskScore += test.proctoring.suspiciousActivities.length * 5;
-      
-      if (timeElapsed > test.testConfig.durationMinutes + 5) riskScore += 20;
-      
-      const riskLevel = riskScore > 50 ? 'high' : riskScore > 20 ? 'medium' : 'low';
-
-      return {
-        testId: test.testId,
-        candidate: {
-          name: test.user.fullName,
-          email: test.user.email,
-          phone: test.user.phone,
-          photo: test.user.profile?.photo
-        },
-        status: test.status,
-        startTime: test.startTime,
-        timeElapsed,
-        timeRemaining: Math.max(0, test.testConfig.durationMinutes - timeElapsed),
-        progress: {
-          answered: progress,
-          total: test.questions.length,
-          percentage: Math.round((progress / test.questions.length) * 100),
-          flagged
-        },
-        proctoring: {
-          tabSwitches: test.proctoring.tabSwitchViolations,
-          fullScreenExits: test.proctoring.fullScreenViolations,
-          suspiciousActivities: test.proctoring.suspiciousActivities.length,
-          riskScore,
-          riskLevel
-        },
-        location: test.proctoring.location,
-        browser: test.proctoring.browserInfo.browser,
-        lastActivity: test.questions
-          .filter(q => q.userResponse.answeredAt)
-          .sort((a, b) => new Date(b.userResponse.answeredAt) - new Date(a.userResponse.answeredAt))[0]?.userResponse.answeredAt
-      };
-    });
+    const liveTests = await socketService.getLiveTests();
 
     res.status(200).json({
       success: true,
-      data: {
-        activeTests: monitoringData,
-        summary: {
-          total: monitoringData.length,
-          inProgress: monitoringData.filter(t => t.status === 'In Progress').length,
-          scheduled: monitoringData.filter(t => t.status === 'Scheduled').length,
-          highRisk: monitoringData.filter(t => t.proctoring.riskLevel === 'high').length,
-          mediumRisk: monitoringData.filter(t => t.proctoring.riskLevel === 'medium').length
-        }
-      }
+      data: liveTests
     });
 
   } catch (error) {
@@ -1074,73 +1284,27 @@ router.post('/questions/bulk-upload-excel',
             continue;
           }
 
-          // Parse options for multiple choice questions
-          let options = [];
-          const questionType = row.questionType || 'Multiple Choice';
-          
-          if (questionType === 'Multiple Choice') {
-            if (row.option1 && row.option2) {
-              // Format: option1, option2, option3, option4, correctOption
-              const opts = [row.option1, row.option2, row.option3, row.option4].filter(Boolean);
-              const correctIndex = parseInt(row.correctOption) - 1;
-              
-              if (opts.length < 2) {
-                errors.push({
-                  line: lineNumber,
-                  error: 'Multiple choice questions must have at least 2 options'
-                });
-                continue;
-              }
-
-              options = opts.map((opt, index) => ({
-                text: opt.trim(),
-                isCorrect: index === correctIndex
-              }));
-            } else if (row.options) {
-              // JSON format
-              try {
-                const optionData = JSON.parse(row.options);
-                options = optionData.map(opt => ({
-                  text: opt.text,
-                  isCorrect: opt.isCorrect === true || opt.isCorrect === 'true'
-                }));
-              } catch (parseError) {
-                errors.push({
-                  line: lineNumber,
-                  error: 'Invalid options format. Use option1, option2, etc. columns or valid JSON'
-                });
-                continue;
-              }
-            } else {
-              errors.push({
-                line: lineNumber,
-                error: 'Options are required for multiple choice questions'
-              });
-              continue;
-            }
-
-            // Validate correct answer count
-            const correctOptions = options.filter(opt => opt.isCorrect);
-            if (correctOptions.length !== 1) {
-              errors.push({
-                line: lineNumber,
-                error: 'Multiple choice questions must have exactly one correct answer'
-              });
-              continue;
-            }
+          // Parse options and answer key for the question type
+          let answerKey;
+          try {
+            answerKey = questionRowParser.parseAnswerKey(row);
+          } catch (parseError) {
+            errors.push({
+              line: lineNumber,
+              error: parseError.message
+            });
+            continue;
           }
 
           // Create question object
           const questionData = {
             questionText: row.questionText.trim(),
-            questionType: questionType,
+            ...answerKey,
             category: row.category,
             subcategory: row.subcategory || '',
             difficulty: row.difficulty,
             points: parseInt(row.points) || (row.difficulty === 'Easy' ? 2 : row.difficulty === 'Hard' ? 4 : 3),
             negativePoints: parseInt(row.negativePoints) || 1,
-            options: options,
-            correctAnswer: row.correctAnswer || '',
             explanation: row.explanation || '',
             hints: row.hints ? row.hints.split(',').map(h => h.trim()) : [],
             tags: row.tags ? row.tags.split(',').map(tag => tag.trim()) : [],
@@ -1730,38 +1894,1502 @@ router.get('/candidates/performance-tracking', protectAdmin, checkPermission('us
   }
 });
 
-// @route   GET /api/admin/templates/download/:type
-// @desc    Download Excel/CSV templates for bulk operations
+// Test blueprint validation rules shared by create and update
+const blueprintFieldValidation = [
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('totalQuestions')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Total questions must be between 1 and 200'),
+  body('categoryDistribution')
+    .optional()
+    .isArray()
+    .withMessage('Category distribution must be an array'),
+  body('categoryDistribution.*.category')
+    .isIn(Question.schema.path('category').enumValues)
+    .withMessage('Invalid category'),
+  body('categoryDistribution.*.questionCount')
+    .isInt({ min: 1 })
+    .withMessage('Question count must be at least 1'),
+  body('categoryDistribution.*.sectionDurationMinutes')
+    .optional()
+    .isInt({ min: 1, max: 300 })
+    .withMessage('Section duration must be between 1 and 300 minutes'),
+  body('categoryDistribution.*.cutoffPercentage')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Section cutoff must be between 0 and 100'),
+  body('sectional')
+    .optional()
+    .isBoolean()
+    .withMessage('Sectional flag must be boolean'),
+  body('adaptive.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Adaptive flag must be boolean'),
+  body('adaptive.minQuestions')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Adaptive minimum questions must be between 1 and 200'),
+  body('adaptive.maxQuestions')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Adaptive maximum questions must be between 1 and 200'),
+  body('adaptive.targetStandardError')
+    .optional()
+    .isFloat({ min: 0.1, max: 1 })
+    .withMessage('Target standard error must be between 0.1 and 1'),
+  body('adaptive.passingAbility')
+    .optional({ nullable: true })
+    .isFloat({ min: -4, max: 4 })
+    .withMessage('Passing ability must be between -4 and 4'),
+  body('answerReview.policy')
+    .optional()
+    .isIn(['immediate', 'after_date', 'never'])
+    .withMessage('Answer review policy must be immediate, after_date or never'),
+  body('answerReview.releaseDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid release date'),
+  body('resultModeration')
+    .optional()
+    .isBoolean()
+    .withMessage('Result moderation flag must be boolean'),
+  body('proctoringPolicy.severityWeights.*')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Severity weights must be between 0 and 100'),
+  body('proctoringPolicy.typeSeverities')
+    .optional()
+    .isArray()
+    .withMessage('Violation type severities must be an array'),
+  body('proctoringPolicy.typeSeverities.*.type')
+    .isIn(proctoringPolicy.getViolationTypes())
+    .withMessage('Invalid violation type'),
+  body('proctoringPolicy.typeSeverities.*.severity')
+    .isIn(proctoringPolicy.severities)
+    .withMessage('Severity must be minor, major or critical'),
+  body('proctoringPolicy.warningScore')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Warning score must be at least 1'),
+  body('proctoringPolicy.flagScore')
+    .optional({ nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Flag score must be at least 1'),
+  body('proctoringPolicy.terminateScore')
+    .optional({ nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Terminate score must be at least 1'),
+  body('difficultyDistribution.easy')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Easy percentage must be between 0 and 100'),
+  body('difficultyDistribution.moderate')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Moderate percentage must be between 0 and 100'),
+  body('difficultyDistribution.hard')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Hard percentage must be between 0 and 100'),
+  body('passingPercentage')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Passing percentage must be between 0 and 100'),
+  body('gradingScheme')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid grading scheme ID'),
+  body('negativeMarking.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Negative marking flag must be boolean'),
+  body('negativeMarking.penaltyOverride')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Penalty must be between 0 and 5'),
+  body('cohorts')
+    .optional()
+    .isArray()
+    .withMessage('Cohorts must be an array'),
+  body('qualifications')
+    .optional()
+    .isArray()
+    .withMessage('Qualifications must be an array'),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('Default flag must be boolean'),
+  body('status')
+    .optional()
+    .isIn(['Active', 'Inactive'])
+    .withMessage('Invalid status')
+];
+
+// A new blueprint needs a name and duration
+const blueprintValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Blueprint name must be between 2 and 100 characters'),
+  body('durationMinutes')
+    .isInt({ min: 1, max: 300 })
+    .withMessage('Duration must be between 1 and 300 minutes'),
+  ...blueprintFieldValidation
+];
+
+// An update may change any subset of fields
+const blueprintUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Blueprint name must be between 2 and 100 characters'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1, max: 300 })
+    .withMessage('Duration must be between 1 and 300 minutes'),
+  ...blueprintFieldValidation
+];
+
+const BLUEPRINT_FIELDS = [
+  'name',
+  'description',
+  'totalQuestions',
+  'categoryDistribution',
+  'sectional',
+  'adaptive',
+  'difficultyDistribution',
+  'durationMinutes',
+  'passingPercentage',
+  'gradingScheme',
+  'negativeMarking',
+  'answerReview',
+  'resultModeration',
+  'proctoringPolicy',
+  'cohorts',
+  'qualifications',
+  'isDefault',
+  'status'
+];
+
+// @route   GET /api/admin/blueprints
+// @desc    Get all test blueprints
 // @access  Private (Admin)
-router.get('/templates/download/:type', protectAdmin, (req, res) => {
+router.get('/blueprints', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
   try {
-    const { type } = req.params;
-    const { format = 'xlsx' } = req.query;
+    const { status, cohort } = req.query;
+    
+    const query = {};
+    if (status) query.status = status;
+    if (cohort) query.cohorts = cohort;
+    
+    const blueprints = await TestBlueprint.find(query).sort({ isDefault: -1, name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        blueprints: blueprints
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Blueprints Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get blueprints'
+    });
+  }
+});
 
-    let templateData = [];
-    let filename = '';
+// @route   GET /api/admin/blueprints/:id
+// @desc    Get a single test blueprint with usage counts
+// @access  Private (Admin)
+router.get('/blueprints/:id', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
+  try {
+    const blueprint = await TestBlueprint.findById(req.params.id);
+    
+    if (!blueprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blueprint not found'
+      });
+    }
+    
+    const [testsTaken, assignedCandidates] = await Promise.all([
+      Test.countDocuments({ 'testConfig.blueprint': blueprint._id }),
+      User.countDocuments({ 'testInfo.assignedBlueprint': blueprint._id })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        blueprint: blueprint,
+        usage: {
+          testsTaken,
+          assignedCandidates
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Blueprint Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get blueprint'
+    });
+  }
+});
 
-    switch (type) {
-      case 'questions':
-        templateData = [
-          {
-            questionText: 'What is the capital of India?',
-            questionType: 'Multiple Choice',
-            category: 'General Knowledge',
-            subcategory: 'Geography',
-            difficulty: 'Easy',
-            points: 2,
-            negativePoints: 1,
-            option1: 'New Delhi',
-            option2: 'Mumbai',
-            option3: 'Kolkata',
-            option4: 'Chennai',
-            correctOption: 1,
-            explanation: 'New Delhi is the capital of India',
-            tags: 'geography,india,capital',
-            source: 'Sample Source',
-            author: 'Sample Author',
-            autoApprove: false
+// @route   POST /api/admin/blueprints
+// @desc    Create a test blueprint
+// @access  Private (Admin)
+router.post('/blueprints',
+  protectAdmin,
+  checkPermission('tests', 'manage'),
+  blueprintValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const blueprintData = {};
+      BLUEPRINT_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) blueprintData[field] = req.body[field];
+      });
+      
+      const blueprint = new TestBlueprint({
+        ...blueprintData,
+        createdBy: req.admin.fullName,
+        lastModifiedBy: req.admin.fullName
+      });
+      
+      await blueprint.save();
+      
+      await req.admin.logActivity('blueprint_created', {
+        blueprintId: blueprint._id,
+        name: blueprint.name
+      }, req);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Blueprint created successfully',
+        data: {
+          blueprint: blueprint
+        }
+      });
+      
+    } catch (error) {
+      console.error('Create Blueprint Error:', error);
+      
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'A blueprint with this name already exists'
+        });
+      }
+      
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to create blueprint'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/blueprints/:id
+// @desc    Update a test blueprint (tests already started keep their snapshot)
+// @access  Private (Admin)
+router.put('/blueprints/:id',
+  protectAdmin,
+  checkPermission('tests', 'manage'),
+  blueprintUpdateValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const blueprint = await TestBlueprint.findById(req.params.id);
+      
+      if (!blueprint) {
+        return res.status(404).json({
+          success: false,
+          error: 'Blueprint not found'
+        });
+      }
+      
+      BLUEPRINT_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) blueprint[field] = req.body[field];
+      });
+      blueprint.lastModifiedBy = req.admin.fullName;
+      
+      await blueprint.save();
+      
+      await req.admin.logActivity('blueprint_updated', {
+        blueprintId: blueprint._id,
+        name: blueprint.name
+      }, req);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Blueprint updated successfully',
+        data: {
+          blueprint: blueprint
+        }
+      });
+      
+    } catch (error) {
+      console.error('Update Blueprint Error:', error);
+      
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'A blueprint with this name already exists'
+        });
+      }
+      
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to update blueprint'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/blueprints/:id
+// @desc    Delete a test blueprint (deactivated instead if tests reference it)
+// @access  Private (Admin)
+router.delete('/blueprints/:id', protectAdmin, checkPermission('tests', 'manage'), async (req, res) => {
+  try {
+    const blueprint = await TestBlueprint.findById(req.params.id);
+    
+    if (!blueprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blueprint not found'
+      });
+    }
+    
+    const testsTaken = await Test.countDocuments({ 'testConfig.blueprint': blueprint._id });
+    
+    // Soft delete when past tests reference the blueprint so their history stays intact
+    if (testsTaken > 0) {
+      blueprint.status = 'Inactive';
+      blueprint.isDefault = false;
+      blueprint.lastModifiedBy = req.admin.fullName;
+      await blueprint.save();
+    } else {
+      await blueprint.deleteOne();
+    }
+    
+    // Candidates explicitly assigned to it fall back to cohort or default matching
+    await User.updateMany(
+      { 'testInfo.assignedBlueprint': blueprint._id },
+      { $unset: { 'testInfo.assignedBlueprint': 1 } }
+    );
+    
+    await req.admin.logActivity('blueprint_deleted', {
+      blueprintId: blueprint._id,
+      name: blueprint.name,
+      softDeleted: testsTaken > 0
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: testsTaken > 0 ?
+        'Blueprint deactivated because existing tests reference it' :
+        'Blueprint deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete Blueprint Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete blueprint'
+    });
+  }
+});
+
+// Grading scheme validation rules
+const gradingSchemeValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Scheme name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('gradeBands')
+    .isArray({ min: 1 })
+    .withMessage('At least one grade band is required'),
+  body('gradeBands.*.grade')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Grade name must be between 1 and 20 characters'),
+  body('gradeBands.*.minPercentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Grade minimum must be between 0 and 100'),
+  body('categoryMinimums')
+    .optional()
+    .isArray()
+    .withMessage('Category minimums must be an array'),
+  body('categoryMinimums.*.category')
+    .isIn(Question.schema.path('category').enumValues)
+    .withMessage('Invalid category'),
+  body('categoryMinimums.*.minPercentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Category minimum must be between 0 and 100'),
+  body('minAttempted')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum attempted questions must be 0 or more'),
+  body('proportionalNegativeMarking.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Proportional negative marking flag must be boolean'),
+  body('proportionalNegativeMarking.fraction')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Negative marking fraction must be between 0 and 1'),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('Default flag must be boolean'),
+  body('status')
+    .optional()
+    .isIn(['Active', 'Inactive'])
+    .withMessage('Invalid status')
+];
+
+const GRADING_SCHEME_FIELDS = [
+  'name',
+  'description',
+  'gradeBands',
+  'categoryMinimums',
+  'minAttempted',
+  'proportionalNegativeMarking',
+  'isDefault',
+  'status'
+];
+
+// @route   GET /api/admin/grading-schemes
+// @desc    Get all grading schemes
+// @access  Private (Admin)
+router.get('/grading-schemes', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    
+    const schemes = await GradingScheme.find(query).sort({ isDefault: -1, name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        schemes: schemes
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Grading Schemes Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get grading schemes'
+    });
+  }
+});
+
+// @route   GET /api/admin/grading-schemes/:id
+// @desc    Get a single grading scheme with usage counts
+// @access  Private (Admin)
+router.get('/grading-schemes/:id', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
+  try {
+    const scheme = await GradingScheme.findById(req.params.id);
+    
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Grading scheme not found'
+      });
+    }
+    
+    const [blueprints, testsGraded] = await Promise.all([
+      TestBlueprint.countDocuments({ gradingScheme: scheme._id }),
+      Test.countDocuments({ 'testConfig.gradingScheme.scheme': scheme._id })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        scheme: scheme,
+        usage: {
+          blueprints,
+          testsGraded
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Grading Scheme Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get grading scheme'
+    });
+  }
+});
+
+// @route   POST /api/admin/grading-schemes
+// @desc    Create a grading scheme
+// @access  Private (Admin)
+router.post('/grading-schemes',
+  protectAdmin,
+  checkPermission('tests', 'manage'),
+  gradingSchemeValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const schemeData = {};
+      GRADING_SCHEME_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) schemeData[field] = req.body[field];
+      });
+      
+      const scheme = new GradingScheme({
+        ...schemeData,
+        createdBy: req.admin.fullName,
+        lastModifiedBy: req.admin.fullName
+      });
+      
+      await scheme.save();
+      
+      await req.admin.logActivity('grading_scheme_created', {
+        schemeId: scheme._id,
+        name: scheme.name
+      }, req);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Grading scheme created successfully',
+        data: {
+          scheme: scheme
+        }
+      });
+      
+    } catch (error) {
+      console.error('Create Grading Scheme Error:', error);
+      
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'A grading scheme with this name already exists'
+        });
+      }
+      
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to create grading scheme'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/grading-schemes/:id
+// @desc    Update a grading scheme (tests already started keep their snapshot)
+// @access  Private (Admin)
+router.put('/grading-schemes/:id',
+  protectAdmin,
+  checkPermission('tests', 'manage'),
+  gradingSchemeValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const scheme = await GradingScheme.findById(req.params.id);
+      
+      if (!scheme) {
+        return res.status(404).json({
+          success: false,
+          error: 'Grading scheme not found'
+        });
+      }
+      
+      GRADING_SCHEME_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) scheme[field] = req.body[field];
+      });
+      scheme.lastModifiedBy = req.admin.fullName;
+      
+      await scheme.save();
+      
+      await req.admin.logActivity('grading_scheme_updated', {
+        schemeId: scheme._id,
+        name: scheme.name
+      }, req);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Grading scheme updated successfully',
+        data: {
+          scheme: scheme
+        }
+      });
+      
+    } catch (error) {
+      console.error('Update Grading Scheme Error:', error);
+      
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'A grading scheme with this name already exists'
+        });
+      }
+      
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to update grading scheme'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/grading-schemes/:id
+// @desc    Delete a grading scheme (graded tests keep their snapshot)
+// @access  Private (Admin)
+router.delete('/grading-schemes/:id', protectAdmin, checkPermission('tests', 'manage'), async (req, res) => {
+  try {
+    const scheme = await GradingScheme.findById(req.params.id);
+    
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Grading scheme not found'
+      });
+    }
+    
+    await scheme.deleteOne();
+    
+    // Blueprints that used it fall back to the default scheme
+    await TestBlueprint.updateMany(
+      { gradingScheme: scheme._id },
+      { $unset: { gradingScheme: 1 } }
+    );
+    
+    await req.admin.logActivity('grading_scheme_deleted', {
+      schemeId: scheme._id,
+      name: scheme.name
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Grading scheme deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete Grading Scheme Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete grading scheme'
+    });
+  }
+});
+
+// @route   GET /api/admin/tests/:testId/proctoring-report
+// @desc    Get the proctoring report of a test, live or past
+// @access  Private (Admin)
+router.get('/tests/:testId/proctoring-report', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
+  try {
+    const report = await proctoringService.generateProctoringReport(req.params.testId);
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        report
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Proctoring Report Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get proctoring report'
+    });
+  }
+});
+
+const EVIDENCE_FORMATS = ['json', 'pdf', 'zip'];
+
+// @route   GET /api/admin/tests/:testId/evidence
+// @desc    Chronological evidence timeline of a test as JSON, a PDF with screenshot thumbnails, or a ZIP bundle
+// @access  Private (Admin)
+router.get('/tests/:testId/evidence', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const format = req.query.format || 'json';
+    
+    if (!EVIDENCE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${EVIDENCE_FORMATS.join(', ')}`
+      });
+    }
+    
+    const timeline = await evidenceTimelineService.buildTimeline(testId);
+    
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+    
+    await req.admin.logActivity('evidence_exported', { testId, format }, req);
+    
+    if (format === 'pdf') {
+      const pdf = await evidenceTimelineService.generatePdf(timeline);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="evidence-${testId}.pdf"`);
+      return res.send(pdf);
+    }
+    
+    if (format === 'zip') {
+      const archive = await evidenceTimelineService.createArchive(timeline);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="evidence-${testId}.zip"`);
+      archive.on('error', error => {
+        console.error('Evidence Archive Error:', error);
+        res.destroy(error);
+      });
+      archive.pipe(res);
+      return archive.finalize();
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        timeline
+      }
+    });
+    
+  } catch (error) {
+    console.error('Export Evidence Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export evidence'
+    });
+  }
+});
+
+// @route   GET /api/admin/tests/:testId/screenshots
+// @desc    Webcam snapshots of a test, each with a short-lived signed URL for its image
+// @access  Private (Admin)
+router.get('/tests/:testId/screenshots', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+    
+    const session = await ProctoringSession.findOne({ testId }).select('screenshots').lean();
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'No proctoring session found for this test'
+      });
+    }
+    
+    // Purged images keep their metadata but have nothing left to link to
+    const screenshots = session.screenshots.map(screenshot => {
+      const { url = null, expiresAt = null } = screenshot.purgedAt ?
+        {} :
+        mediaStore.getSignedUrl(mediaStore.getScreenshotKey(screenshot));
+      const { storageKey, filepath, ...metadata } = screenshot;
+      return { ...metadata, url, expiresAt };
+    });
+    
+    await req.admin.logActivity('screenshots_viewed', { testId, count: screenshots.length }, req);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        screenshots,
+        retentionDays: mediaRetentionService.retentionDays
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Screenshots Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get screenshots'
+    });
+  }
+});
+
+// @route   POST /api/admin/tests/:testId/warn
+// @desc    Push a warning to the candidate's test screen
+// @access  Private (Admin)
+router.post('/tests/:testId/warn',
+  protectAdmin,
+  checkPermission('tests', 'manage'),
+  [
+    body('message')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Warning must be between 1 and 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await socketService.warnCandidate(req.params.testId, req.body.message, req.admin, req);
+      
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Test is not in progress'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: result.delivered ? 'Warning sent' : 'Warning sent, but the candidate is not connected',
+        data: result
+      });
+      
+    } catch (error) {
+      console.error('Warn Candidate Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to warn candidate'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/tests/:testId/force-submit
+// @desc    Submit a candidate's running test now
+// @access  Private (Admin)
+router.post('/tests/:testId/force-submit',
+  protectAdmin,
+  checkPermission('tests', 'manage'),
+  [
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const test = await socketService.forceSubmit(req.params.testId, req.admin, req.body.reason || '', req);
+      
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          error: 'Test is not in progress'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'Test submitted',
+        data: {
+          testId: test.testId,
+          status: test.status,
+          completionReason: test.completionReason
+        }
+      });
+      
+    } catch (error) {
+      console.error('Force Submit Test Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to submit test'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/proctoring/policy
+// @desc    Get the violation types with their default severities and the default proctoring policy
+// @access  Private (Admin)
+router.get('/proctoring/policy', protectAdmin, checkPermission('tests', 'view'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      violationTypes: proctoringPolicy.getViolationTypes().map(type => ({
+        type,
+        defaultSeverity: proctoringPolicy.violationSeverities[type]
+      })),
+      severities: proctoringPolicy.severities,
+      defaultPolicy: proctoringPolicy.defaultPolicy
+    }
+  });
+});
+
+// @route   GET /api/admin/results/pending
+// @desc    Get moderated or proctoring-flagged results waiting for review, with their proctoring summary
+// @access  Private (Admin)
+router.get('/results/pending', protectAdmin, checkPermission('tests', 'results'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const { reviewStatus, blueprint } = req.query;
+    
+    const query = {
+      status: 'Evaluated',
+      $or: [{ 'testConfig.resultModeration': true }, { 'proctoring.flaggedForReview': true }],
+      resultReleasedAt: null
+    };
+    if (reviewStatus) query.reviewStatus = reviewStatus;
+    if (blueprint) query['testConfig.blueprint'] = blueprint;
+    
+    const tests = await Test.find(query)
+      .select('testId user userName userPhone testConfig.blueprintName score.percentage score.grade score.failedRules isPassed completionReason proctoring reviewStatus reviewComments reviewedBy reviewedAt submittedAt')
+      .sort({ submittedAt: 1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const totalResults = await Test.countDocuments(query);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        results: tests.map(test => {
+          const { proctoring, ...result } = test.toObject();
+          return {
+            ...result,
+            proctoringSummary: test.getProctoringSummary()
+          };
+        }),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalResults / limit),
+          totalResults: totalResults,
+          hasNextPage: page < Math.ceil(totalResults / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Pending Results Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get pending results'
+    });
+  }
+});
+
+const RESULT_REVIEW_ACTIVITIES = {
+  approve: 'results_approved',
+  flag: 'results_flagged',
+  reject: 'results_rejected'
+};
+
+// @route   POST /api/admin/results/review
+// @desc    Approve (release), flag or reject held results in bulk
+// @access  Private (Admin)
+router.post('/results/review',
+  protectAdmin,
+  checkPermission('tests', 'results'),
+  [
+    body('testIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Provide between 1 and 100 test IDs'),
+    body('testIds.*')
+      .isString()
+      .withMessage('Test IDs must be strings'),
+    body('action')
+      .isIn(['approve', 'flag', 'reject'])
+      .withMessage('Action must be approve, flag or reject'),
+    body('comments')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Comments cannot exceed 1000 characters'),
+    body('comments')
+      .if(body('action').isIn(['flag', 'reject']))
+      .notEmpty()
+      .withMessage('Comments are required when flagging or rejecting a result')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { testIds, action, comments } = req.body;
+      const review = {
+        approve: (test) => testCompletionService.releaseResult(test, req.admin.fullName, comments),
+        flag: (test) => testCompletionService.flagResult(test, req.admin.fullName, comments),
+        reject: (test) => testCompletionService.invalidateResult(test, req.admin.fullName, comments)
+      }[action];
+      
+      const tests = await Test.find({ testId: { $in: testIds } });
+      const testsById = new Map(tests.map(test => [test.testId, test]));
+      
+      const results = { reviewed: [], skipped: [] };
+      
+      for (const testId of testIds) {
+        const test = testsById.get(testId);
+        
+        if (!test) {
+          results.skipped.push({ testId, reason: 'Test not found' });
+          continue;
+        }
+        
+        if (!test.isResultHeld()) {
+          results.skipped.push({ testId, reason: 'Result is not waiting for review' });
+          continue;
+        }
+        
+        const reviewed = await review(test);
+        
+        if (reviewed) {
+          results.reviewed.push({ testId, reviewStatus: reviewed.reviewStatus });
+        } else {
+          results.skipped.push({ testId, reason: 'Result was reviewed by someone else' });
+        }
+      }
+      
+      if (results.reviewed.length > 0) {
+        await req.admin.logActivity(RESULT_REVIEW_ACTIVITIES[action], {
+          testIds: results.reviewed.map(r => r.testId),
+          comments
+        }, req);
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: `${results.reviewed.length} result(s) reviewed, ${results.skipped.length} skipped`,
+        data: results
+      });
+      
+    } catch (error) {
+      console.error('Review Results Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to review results'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/collusion/clusters
+// @desc    List clusters of candidates suspected of sharing answers, strongest evidence first
+// @access  Private (Admin)
+router.get('/collusion/clusters', protectAdmin, checkPermission('tests', 'results'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const { status = 'Open', testId } = req.query;
+    
+    const query = { status };
+    if (testId) query['members.testId'] = testId;
+    
+    const clusters = await CollusionCluster.find(query)
+      .sort({ score: -1, detectedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const totalClusters = await CollusionCluster.countDocuments(query);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        clusters,
+        lastRun: collusionDetectionService.lastRun,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalClusters / limit),
+          totalClusters: totalClusters,
+          hasNextPage: page < Math.ceil(totalClusters / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Collusion Clusters Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get collusion clusters'
+    });
+  }
+});
+
+// @route   GET /api/admin/collusion/clusters/:id
+// @desc    Get a collusion cluster with the evidence for each flagged pair
+// @access  Private (Admin)
+router.get('/collusion/clusters/:id', protectAdmin, checkPermission('tests', 'results'), async (req, res) => {
+  try {
+    const cluster = await CollusionCluster.findById(req.params.id)
+      .populate('pairs.examples.questionId', 'questionText questionType options');
+    
+    if (!cluster) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cluster not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        cluster
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Collusion Cluster Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get collusion cluster'
+    });
+  }
+});
+
+// @route   POST /api/admin/collusion/clusters/:id/review
+// @desc    Confirm a collusion cluster (rejecting its members' results) or dismiss it
+// @access  Private (Admin)
+router.post('/collusion/clusters/:id/review',
+  protectAdmin,
+  checkPermission('tests', 'results'),
+  [
+    body('action')
+      .isIn(['confirm', 'dismiss'])
+      .withMessage('Action must be confirm or dismiss'),
+    body('comments')
+      .trim()
+      .notEmpty()
+      .withMessage('Comments are required')
+      .isLength({ max: 1000 })
+      .withMessage('Comments cannot exceed 1000 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { action, comments } = req.body;
+      
+      const cluster = await collusionDetectionService.reviewCluster(req.params.id, action, req.admin.fullName, comments);
+      
+      if (!cluster) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cluster not found or already reviewed'
+        });
+      }
+      
+      await req.admin.logActivity(action === 'confirm' ? 'collusion_confirmed' : 'collusion_dismissed', {
+        clusterId: cluster._id,
+        testIds: cluster.members.map(member => member.testId),
+        comments
+      }, req);
+      
+      res.status(200).json({
+        success: true,
+        message: action === 'confirm' ?
+          `Collusion confirmed; ${cluster.members.length} result(s) rejected` :
+          'Cluster dismissed',
+        data: {
+          cluster
+        }
+      });
+      
+    } catch (error) {
+      console.error('Review Collusion Cluster Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to review collusion cluster'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/collusion/run
+// @desc    Run collusion detection now instead of waiting for the scheduled job
+// @access  Private (Admin)
+router.post('/collusion/run', protectAdmin, checkPermission('tests', 'results'), async (req, res) => {
+  try {
+    const result = await collusionDetectionService.detect();
+    
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    await req.admin.logActivity('collusion_detection_run', {
+      testsCompared: result.testsCompared,
+      clustersFound: result.clustersFound
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Collusion detection completed',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Run Collusion Detection Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run collusion detection'
+    });
+  }
+});
+
+// @route   POST /api/admin/system/media/purge
+// @desc    Purge proctoring media past the retention window now instead of waiting for the scheduled job
+// @access  Private (Admin)
+router.post('/system/media/purge', protectAdmin, checkPermission('system', 'settings'), async (req, res) => {
+  try {
+    const result = await mediaRetentionService.purge();
+    
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    await req.admin.logActivity('media_purge_run', {
+      screenshotsPurged: result.screenshotsPurged,
+      sessionsHeld: result.sessionsHeld
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Media purge completed',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Run Media Purge Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge media'
+    });
+  }
+});
+
+// @route   GET /api/admin/questions/calibration
+// @desc    List questions flagged by IRT calibration (difficulty mismatch or negative discrimination)
+// @access  Private (Admin)
+router.get('/questions/calibration', protectAdmin, checkPermission('questions', 'view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const { flag, category, difficulty } = req.query;
+    
+    const query = flag ? { 'irt.flags': flag } : { 'irt.flags.0': { $exists: true } };
+    if (category) query.category = category;
+    if (difficulty) query.difficulty = difficulty;
+    
+    // Most negative discrimination first, as those are the likeliest wrong answer keys
+    const questions = await Question.find(query)
+      .select('questionText category difficulty questionType status irt difficultyScore timesUsed correctAttempts totalAttempts')
+      .sort({ 'irt.discrimination': 1, 'irt.sampleSize': -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const totalQuestions = await Question.countDocuments(query);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        questions: questions.map(question => ({
+          ...question.toObject(),
+          calibratedDifficulty: irtCalibrationService.getDifficultyLabel(question.irt.difficulty)
+        })),
+        lastRun: irtCalibrationService.lastRun,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalQuestions / limit),
+          totalQuestions: totalQuestions,
+          hasNextPage: page < Math.ceil(totalQuestions / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Calibration Flags Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get calibration results'
+    });
+  }
+});
+
+// @route   POST /api/admin/questions/calibration/run
+// @desc    Run IRT calibration now instead of waiting for the scheduled job
+// @access  Private (Admin)
+router.post('/questions/calibration/run', protectAdmin, checkPermission('questions', 'edit'), async (req, res) => {
+  try {
+    const result = await irtCalibrationService.calibrate();
+    
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    await req.admin.logActivity('questions_calibrated', {
+      questionsCalibrated: result.questionsCalibrated,
+      questionsFlagged: result.questionsFlagged
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Question calibration completed',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Run Calibration Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run question calibration'
+    });
+  }
+});
+
+// @route   POST /api/admin/questions/:id/regrade
+// @desc    Correct a question's answer key (or award it to all / drop it) and re-score every test that used it
+// @access  Private (Admin)
+router.post('/questions/:id/regrade',
+  protectAdmin,
+  checkPermission('questions', 'edit'),
+  checkPermission('tests', 'results'),
+  [
+    body('action')
+      .isIn(['correct_key', 'award_all', 'drop'])
+      .withMessage('Action must be correct_key, award_all or drop'),
+    body('options')
+      .optional()
+      .isArray({ min: 2 })
+      .withMessage('Options must be an array of at least 2 options'),
+    body('options.*.isCorrect')
+      .optional()
+      .isBoolean()
+      .withMessage('Option isCorrect must be boolean'),
+    body('correctAnswer')
+      .optional()
+      .isString()
+      .withMessage('Correct answer must be a string'),
+    body('numericAnswer')
+      .optional()
+      .isObject()
+      .withMessage('Numeric answer must be an object'),
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Reason must be between 5 and 500 characters'),
+    body('notifyCandidates')
+      .optional()
+      .isBoolean()
+      .withMessage('Notify flag must be boolean'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('Dry run flag must be boolean')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { action, options, correctAnswer, numericAnswer, reason, notifyCandidates, dryRun } = req.body;
+      
+      const result = await regradeService.regradeQuestion(
+        req.params.id,
+        { action, options, correctAnswer, numericAnswer },
+        {
+          regradedBy: req.admin.fullName,
+          reason,
+          notify: notifyCandidates === true,
+          dryRun: dryRun === true
+        }
+      );
+      
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          error: result.error
+        });
+      }
+      
+      const { report } = result;
+      
+      if (!report.dryRun) {
+        await req.admin.logActivity('question_regraded', {
+          questionId: req.params.id,
+          action,
+          reason,
+          testsRegraded: report.testsRegraded,
+          resultsChanged: report.resultsChanged,
+          passedToFailed: report.passedToFailed,
+          failedToPassed: report.failedToPassed
+        }, req);
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: report.dryRun ?
+          `Re-grade preview: ${report.resultsChanged} of ${report.testsRegraded} results would change` :
+          `Re-grade completed: ${report.resultsChanged} of ${report.testsRegraded} results changed`,
+        data: report
+      });
+      
+    } catch (error) {
+      console.error('Regrade Question Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to re-grade question'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/templates/download/:type
+// @desc    Download Excel/CSV templates for bulk operations
+// @access  Private (Admin)
+router.get('/templates/download/:type', protectAdmin, (req, res) => {
+  try {
+    const { type } = req.params;
+    const { format = 'xlsx' } = req.query;
+
+    let templateData = [];
+    let filename = '';
+
+    switch (type) {
+      case 'questions':
+        templateData = [
+          {
+            questionText: 'What is the capital of India?',
+            questionType: 'Multiple Choice',
+            category: 'General Knowledge',
+            subcategory: 'Geography',
+            difficulty: 'Easy',
+            points: 2,
+            negativePoints: 1,
+            option1: 'New Delhi',
+            option2: 'Mumbai',
+            option3: 'Kolkata',
+            option4: 'Chennai',
+            correctOption: 1,
+            explanation: 'New Delhi is the capital of India',
+            tags: 'geography,india,capital',
+            source: 'Sample Source',
+            author: 'Sample Author',
+            autoApprove: false
           },
           {
             questionText: 'The Earth is round',
@@ -1777,6 +3405,60 @@ router.get('/templates/download/:type', protectAdmin, (req, res) => {
             source: 'Sample Source',
             author: 'Sample Author',
             autoApprove: false
+          },
+          {
+            questionText: 'Which of these are prime numbers?',
+            questionType: 'Multiple Select',
+            category: 'Quantitative Aptitude',
+            subcategory: 'Number System',
+            difficulty: 'Moderate',
+            points: 3,
+            negativePoints: 1,
+            option1: '2',
+            option2: '9',
+            option3: '11',
+            option4: '15',
+            correctOptions: '1,3',
+            partialCredit: true,
+            explanation: '2 and 11 have no divisors other than 1 and themselves',
+            tags: 'primes,numbers',
+            source: 'Sample Source',
+            author: 'Sample Author',
+            autoApprove: false
+          },
+          {
+            questionText: 'A train covers 150 km in 2.5 hours. What is its speed in km/h?',
+            questionType: 'Numeric',
+            category: 'Quantitative Aptitude',
+            subcategory: 'Speed and Distance',
+            difficulty: 'Easy',
+            points: 2,
+            negativePoints: 1,
+            correctAnswer: 60,
+            numericTolerance: 0.5,
+            explanation: 'Speed = 150 / 2.5 = 60 km/h',
+            tags: 'speed,distance',
+            source: 'Sample Source',
+            author: 'Sample Author',
+            autoApprove: false
+          },
+          {
+            questionText: 'Arrange the planets by distance from the Sun',
+            questionType: 'Ordering',
+            category: 'General Knowledge',
+            subcategory: 'Science',
+            difficulty: 'Moderate',
+            points: 3,
+            negativePoints: 1,
+            option1: 'Mercury',
+            option2: 'Venus',
+            option3: 'Earth',
+            option4: 'Mars',
+            explanation: 'Options are listed in the correct order; candidates see them shuffled',
+            tags: 'planets,science',
+            source: 'Sample Source',
+            author: 'Sample Author',
+            autoApprove: false
           }
         ];
         filename = 'questions_template';
@@ -1807,8 +3489,10 @@ router.get('/templates/download/:type', protectAdmin, (req, res) => {
     }
 
     if (format === 'csv') {
-      const csv = require('csv-stringify');
-      csv(templateData, { header: true }, (err, output) => {
+      const { stringify } = require('csv-stringify');
+      // Rows for different question types use different columns, so take the union for the header
+      const columns = [...new Set(templateData.flatMap(row => Object.keys(row)))];
+      stringify(templateData, { header: true, columns: columns }, (err, output) => {
         if (err) {
           return res.status(500).json({
             success: false,
@@ -4,6 +4,8 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Admin = require('../models/Admin');
 const jwtUtils = require('../utils/jwtUtils');
+const sessionStore = require('../utils/sessionStore');
+const socketService = require('../utils/socketService');
 const { protectUser, protectAdmin, logAuthAttempt } = require('../middleware/auth');
 const emailService = require('../utils/emailService');
 
@@ -101,8 +103,8 @@ router.post('/register',
       await user.save();
       
       // Generate tokens
-      const accessToken = jwtUtils.generateAccessToken(user);
-      const refreshToken = jwtUtils.generateRefreshToken(user);
+      const accessToken = await jwtUtils.generateAccessToken(user, req);
+      const refreshToken = await jwtUtils.generateRefreshToken(user, req);
       
       if (!accessToken.success || !refreshToken.success) {
         return res.status(500).json({
@@ -225,7 +227,7 @@ router.post('/admin/login',
       await admin.save();
       
       // Generate admin token
-      const adminToken = jwtUtils.generateAdminToken(admin);
+      const adminToken = await jwtUtils.generateAdminToken(admin, req);
       
       if (!adminToken.success) {
         return res.status(500).json({
@@ -272,7 +274,11 @@ router.post('/admin/login',
 router.post('/logout', protectUser, async (req, res) => {
   try {
     // Blacklist the token
-    jwtUtils.blacklistToken(req.token);
+    const result = await jwtUtils.blacklistToken(req.token);
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
     
     res.status(200).json({
       success: true,
@@ -294,7 +300,11 @@ router.post('/logout', protectUser, async (req, res) => {
 router.post('/admin/logout', protectAdmin, async (req, res) => {
   try {
     // Blacklist the token
-    jwtUtils.blacklistToken(req.token);
+    const result = await jwtUtils.blacklistToken(req.token);
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
     
     // Log activity
     await req.admin.logActivity('logout', {
@@ -316,6 +326,170 @@ router.post('/admin/logout', protectAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions (devices and running tests)
+// @access  Private
+router.get('/sessions', protectUser, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listSessions(sessionStore.getPrincipal(req.tokenData));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({ ...session, current: session.jti === req.tokenData.jti }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:jti
+// @desc    Log out one of the user's sessions
+// @access  Private
+router.delete('/sessions/:jti', protectUser, async (req, res) => {
+  try {
+    const principal = sessionStore.getPrincipal(req.tokenData);
+    const revoked = await sessionStore.revokeSession(principal, req.params.jti);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    socketService.disconnectSessions(principal, req.params.jti);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session logged out successfully'
+    });
+    
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out session'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log the user out on every device, including this one
+// @access  Private
+router.post('/logout-all', protectUser, async (req, res) => {
+  try {
+    const principal = sessionStore.getPrincipal(req.tokenData);
+    const sessionsEnded = await sessionStore.revokeAll(principal);
+    socketService.disconnectSessions(principal);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out on all devices',
+      data: {
+        sessionsEnded
+      }
+    });
+    
+  } catch (error) {
+    console.error('Logout All Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/admin/sessions
+// @desc    List the admin's active sessions
+// @access  Private
+router.get('/admin/sessions', protectAdmin, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listSessions(sessionStore.getPrincipal(req.tokenData));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({ ...session, current: session.jti === req.tokenData.jti }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get Admin Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/admin/sessions/:jti
+// @desc    Log out one of the admin's sessions
+// @access  Private
+router.delete('/admin/sessions/:jti', protectAdmin, async (req, res) => {
+  try {
+    const principal = sessionStore.getPrincipal(req.tokenData);
+    const revoked = await sessionStore.revokeSession(principal, req.params.jti);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    socketService.disconnectSessions(principal, req.params.jti);
+    
+    await req.admin.logActivity('session_revoked', { jti: req.params.jti }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session logged out successfully'
+    });
+    
+  } catch (error) {
+    console.error('Revoke Admin Session Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out session'
+    });
+  }
+});
+
+// @route   POST /api/auth/admin/logout-all
+// @desc    Log the admin out on every device, including this one
+// @access  Private
+router.post('/admin/logout-all', protectAdmin, async (req, res) => {
+  try {
+    const principal = sessionStore.getPrincipal(req.tokenData);
+    const sessionsEnded = await sessionStore.revokeAll(principal);
+    socketService.disconnectSessions(principal);
+    
+    await req.admin.logActivity('logout_all', { sessionsEnded }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out on all devices',
+      data: {
+        sessionsEnded
+      }
+    });
+    
+  } catch (error) {
+    console.error('Admin Logout All Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
 // @route   POST /api/auth/refresh
 // @desc    Refresh access token
 // @access  Public
@@ -331,7 +505,7 @@ router.post('/refresh', async (req, res) => {
     }
     
     // Refresh the access token
-    const result = jwtUtils.refreshAccessToken(refreshToken);
+    const result = await jwtUtils.refreshAccessToken(refreshToken, req);
     
     if (!result.success) {
       return res.status(401).json({
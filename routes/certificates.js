@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Test = require('../models/Test');
+const certificateService = require('../utils/certificateService');
+const { protectUser, protectAdmin, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Helper to send a certificate PDF as a download
+const sendCertificatePdf = (res, certificateNumber, pdf) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="YugaYatra-Certificate-${certificateNumber}.pdf"`);
+  res.send(pdf);
+};
+
+// @route   GET /api/certificates/verify/:number
+// @desc    Check that a certificate is genuine and not revoked
+// @access  Public
+router.get('/verify/:number', async (req, res) => {
+  try {
+    const result = await certificateService.verify(certificateService.normalizeNumber(req.params.number));
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'No certificate exists with this number',
+        data: result
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Verify Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify certificate'
+    });
+  }
+});
+
+// @route   GET /api/certificates/my
+// @desc    Get the candidate's certificates
+// @access  Private (User)
+router.get('/my', protectUser, async (req, res) => {
+  try {
+    const tests = await Test.find({ user: req.user._id, certificateIssued: true })
+      .select('testId testConfig.blueprintName score.percentage score.grade certificateNumber certificateIssuedAt certificateRevokedAt')
+      .sort({ certificateIssuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        certificates: tests.map(test => ({
+          certificateNumber: test.certificateNumber,
+          testId: test.testId,
+          assessment: test.testConfig.blueprintName,
+          percentage: test.score.percentage,
+          grade: test.score.grade,
+          issuedAt: test.certificateIssuedAt,
+          revoked: Boolean(test.certificateRevokedAt),
+          verifyUrl: certificateService.getVerifyUrl(test.certificateNumber)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Certificates Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get certificates'
+    });
+  }
+});
+
+// @route   GET /api/certificates/:number/download
+// @desc    Download the candidate's certificate PDF
+// @access  Private (User)
+router.get('/:number/download', protectUser, async (req, res) => {
+  try {
+    const test = await Test.findOne({
+      certificateNumber: certificateService.normalizeNumber(req.params.number),
+      certificateIssued: true,
+      user: req.user._id
+    });
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+
+    if (test.certificateRevokedAt) {
+      return res.status(410).json({
+        success: false,
+        error: 'This certificate has been revoked'
+      });
+    }
+
+    const pdf = await certificateService.generatePdf(test);
+    sendCertificatePdf(res, test.certificateNumber, pdf);
+
+  } catch (error) {
+    console.error('Download Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download certificate'
+    });
+  }
+});
+
+// @route   POST /api/certificates/admin/issue/:testId
+// @desc    Issue (and email) the certificate of a passed test that does not have one yet
+// @access  Private (Admin)
+router.post('/admin/issue/:testId', protectAdmin, checkPermission('tests', 'manage'), async (req, res) => {
+  try {
+    const test = await Test.findOne({ testId: req.params.testId });
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+
+    if (test.certificateIssued) {
+      return res.status(409).json({
+        success: false,
+        error: 'A certificate has already been issued for this test',
+        data: {
+          certificateNumber: test.certificateNumber
+        }
+      });
+    }
+
+    const issued = await certificateService.issueCertificate(test);
+
+    if (!issued) {
+      return res.status(400).json({
+        success: false,
+        error: 'Certificates are only issued for passed tests whose result has been released'
+      });
+    }
+
+    await req.admin.logActivity('certificate_issued', {
+      testId: test.testId,
+      certificateNumber: issued.test.certificateNumber
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Certificate issued successfully',
+      data: {
+        certificateNumber: issued.test.certificateNumber,
+        issuedAt: issued.test.certificateIssuedAt,
+        verifyUrl: certificateService.getVerifyUrl(issued.test.certificateNumber)
+      }
+    });
+
+  } catch (error) {
+    console.error('Issue Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue certificate'
+    });
+  }
+});
+
+// @route   POST /api/certificates/admin/:number/revoke
+// @desc    Revoke a certificate
+// @access  Private (Admin)
+router.post('/admin/:number/revoke',
+  protectAdmin,
+  checkPermission('tests', 'manage'),
+  [
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Revocation reason must be between 5 and 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const test = await certificateService.revoke(certificateService.normalizeNumber(req.params.number), req.admin.fullName, req.body.reason);
+
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          error: 'Certificate not found or already revoked'
+        });
+      }
+
+      await req.admin.logActivity('certificate_revoked', {
+        testId: test.testId,
+        certificateNumber: test.certificateNumber,
+        reason: req.body.reason
+      }, req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Certificate revoked successfully',
+        data: {
+          certificateNumber: test.certificateNumber,
+          revokedAt: test.certificateRevokedAt
+        }
+      });
+
+    } catch (error) {
+      console.error('Revoke Certificate Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke certificate'
+      });
+    }
+  }
+);
+
+// @route   GET /api/certificates/admin/:number/download
+// @desc    Download any certificate PDF
+// @access  Private (Admin)
+router.get('/admin/:number/download', protectAdmin, checkPermission('tests', 'view'), async (req, res) => {
+  try {
+    const test = await Test.findOne({ certificateNumber: certificateService.normalizeNumber(req.params.number), certificateIssued: true });
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+
+    const pdf = await certificateService.generatePdf(test);
+    sendCertificatePdf(res, test.certificateNumber, pdf);
+
+  } catch (error) {
+    console.error('Admin Download Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download certificate'
+    });
+  }
+});
+
+module.exports = router;
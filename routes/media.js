@@ -0,0 +1,44 @@
+const express = require('express');
+const path = require('path');
+const mediaStore = require('../utils/mediaStore');
+
+const router = express.Router();
+
+// @route   GET /api/media/:key
+// @desc    Serve proctoring media through a signed URL issued by an admin route
+// @access  Public (signed URL)
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const error = mediaStore.verifySignedUrl(key, req.query.expires, req.query.signature);
+
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        error
+      });
+    }
+
+    const media = await mediaStore.read(key);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        error: 'Media not found'
+      });
+    }
+
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(media);
+
+  } catch (error) {
+    console.error('Get Media Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get media'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const Question = require('../models/Question');
+const questionRowParser = require('../utils/questionRowParser');
 const { protectAdmin, checkPermission } = require('../middleware/auth');
 
 const router = express.Router();
@@ -45,7 +46,7 @@ const questionValidation = [
     .isLength({ min: 10, max: 1000 })
     .withMessage('Question text must be between 10 and 1000 characters'),
   body('questionType')
-    .isIn(['Multiple Choice', 'True/False', 'Fill in the Blank'])
+    .isIn(['Multiple Choice', 'Multiple Select', 'True/False', 'Fill in the Blank', 'Numeric', 'Ordering'])
     .withMessage('Invalid question type'),
   body('category')
     .isIn([
@@ -202,29 +203,12 @@ router.post('/',
         lastModifiedBy: req.admin.fullName
       };
       
-      // Validate options for multiple choice questions
-      if (questionData.questionType === 'Multiple Choice') {
-        if (!questionData.options || questionData.options.length < 2) {
-          return res.status(400).json({
-            success: false,
-            error: 'Multiple choice questions must have at least 2 options'
-          });
-        }
-        
-        const correctOptions = questionData.options.filter(opt => opt.isCorrect);
-        if (correctOptions.length !== 1) {
-          return res.status(400).json({
-            success: false,
-            error: 'Multiple choice questions must have exactly one correct answer'
-          });
-        }
-      }
-      
-      // Validate correct answer for other question types
-      if (questionData.questionType !== 'Multiple Choice' && !questionData.correctAnswer) {
+      // Validate options / correct answer for the question type
+      const answerKeyError = Question.validateAnswerKey(questionData);
+      if (answerKeyError) {
         return res.status(400).json({
           success: false,
-          error: 'Correct answer is required for this question type'
+          error: answerKeyError
         });
       }
       
@@ -486,61 +470,27 @@ router.post('/bulk-upload',
             continue;
           }
           
-          // Parse options for multiple choice questions
-          let options = [];
-          if (row.questionType === 'Multiple Choice') {
-            if (!row.options) {
-              errors.push({
-                line: row.lineNumber,
-                error: 'Options are required for multiple choice questions'
-              });
-              continue;
-            }
-            
-            try {
-              const optionData = JSON.parse(row.options);
-              options = optionData.map(opt => ({
-                text: opt.text,
-                isCorrect: opt.isCorrect === true || opt.isCorrect === 'true'
-              }));
-              
-              // Validate options
-              if (options.length < 2) {
-                errors.push({
-                  line: row.lineNumber,
-                  error: 'Multiple choice questions must have at least 2 options'
-                });
-                continue;
-              }
-              
-              const correctOptions = options.filter(opt => opt.isCorrect);
-              if (correctOptions.length !== 1) {
-                errors.push({
-                  line: row.lineNumber,
-                  error: 'Multiple choice questions must have exactly one correct answer'
-                });
-                continue;
-              }
-            } catch (parseError) {
-              errors.push({
-                line: row.lineNumber,
-                error: 'Invalid options format. Expected JSON array.'
-              });
-              continue;
-            }
+          // Parse options and answer key for the question type
+          let answerKey;
+          try {
+            answerKey = questionRowParser.parseAnswerKey(row);
+          } catch (parseError) {
+            errors.push({
+              line: row.lineNumber,
+              error: parseError.message
+            });
+            continue;
           }
           
           // Create question object
           const questionData = {
             questionText: row.questionText.trim(),
-            questionType: row.questionType || 'Multiple Choice',
+            ...answerKey,
             category: row.category,
             subcategory: row.subcategory || '',
             difficulty: row.difficulty,
             points: parseInt(row.points) || (row.difficulty === 'Easy' ? 2 : row.difficulty === 'Hard' ? 4 : 3),
             negativePoints: parseInt(row.negativePoints) || 1,
-            options: options,
-            correctAnswer: row.correctAnswer || '',
             explanation: row.explanation || '',
             tags: row.tags ? row.tags.split(',').map(tag => tag.trim()) : [],
             source: row.source || '',
@@ -616,7 +566,8 @@ router.post('/bulk-upload',
 // @access  Private (Admin)
 router.get('/template/download', protectAdmin, checkPermission('questions', 'bulkUpload'), (req, res) => {
   try {
-    const templatePath = path.join(__dirname, '..', 'templates', 'questions_template.csv');
+    // Versioned file name so templates cached before new question types were added get replaced
+    const templatePath = path.join(__dirname, '..', 'templates', 'questions_template_v2.csv');
     
     // Create template if it doesn't exist
     if (!fs.existsSync(templatePath)) {
@@ -625,9 +576,12 @@ router.get('/template/download', protectAdmin, checkPermission('questions', 'bul
         fs.mkdirSync(templateDir, { recursive: true });
       }
       
-      const templateContent = `questionText,questionType,category,subcategory,difficulty,points,negativePoints,options,correctAnswer,explanation,tags,source,author
-"What is the capital of India?","Multiple Choice","General Knowledge","Geography","Easy",2,1,"[{""text"":""New Delhi"",""isCorrect"":true},{""text"":""Mumbai"",""isCorrect"":false},{""text"":""Kolkata"",""isCorrect"":false},{""text"":""Chennai"",""isCorrect"":false}]","","Delhi is the capital and New Delhi is the seat of government","geography,india,capital","Sample Source","Sample Author"
-"The Earth is flat","True/False","General Knowledge","Science","Easy",2,1,"","False","The Earth is approximately spherical in shape","science,earth,geography","Sample Source","Sample Author"`;
+      const templateContent = `questionText,questionType,category,subcategory,difficulty,points,negativePoints,options,correctAnswer,partialCredit,numericTolerance,numericMin,numericMax,explanation,tags,source,author
+"What is the capital of India?","Multiple Choice","General Knowledge","Geography","Easy",2,1,"[{""text"":""New Delhi"",""isCorrect"":true},{""text"":""Mumbai"",""isCorrect"":false},{""text"":""Kolkata"",""isCorrect"":false},{""text"":""Chennai"",""isCorrect"":false}]","","","","","","Delhi is the capital and New Delhi is the seat of government","geography,india,capital","Sample Source","Sample Author"
+"The Earth is flat","True/False","General Knowledge","Science","Easy",2,1,"","False","","","","","The Earth is approximately spherical in shape","science,earth,geography","Sample Source","Sample Author"
+"Which of these are prime numbers?","Multiple Select","Quantitative Aptitude","Number System","Moderate",3,1,"[{""text"":""2"",""isCorrect"":true},{""text"":""9"",""isCorrect"":false},{""text"":""11"",""isCorrect"":true},{""text"":""15"",""isCorrect"":false}]","","true","","","","2 and 11 have no divisors other than 1 and themselves","primes,numbers","Sample Source","Sample Author"
+"A train covers 150 km in 2.5 hours. What is its speed in km/h?","Numeric","Quantitative Aptitude","Speed and Distance","Easy",2,1,"","60","","0.5","","","Speed = 150 / 2.5 = 60 km/h","speed,distance","Sample Source","Sample Author"
+"Arrange the planets by distance from the Sun","Ordering","General Knowledge","Science","Moderate",3,1,"[""Mercury"",""Venus"",""Earth"",""Mars""]","","false","","","","Mercury is closest to the Sun, followed by Venus, Earth and Mars","planets,science","Sample Source","Sample Author"`;
       
       fs.writeFileSync(templatePath, templateContent);
     }
@@ -3,9 +3,16 @@ const { body, validationResult } = require('express-validator');
 const Test = require('../models/Test');
 const Question = require('../models/Question');
 const User = require('../models/User');
+const TestBlueprint = require('../models/TestBlueprint');
+const GradingScheme = require('../models/GradingScheme');
 const jwtUtils = require('../utils/jwtUtils');
-const emailService = require('../utils/emailService');
-const smsService = require('../utils/smsService');
+const testCompletionService = require('../utils/testCompletionService');
+const proctoringService = require('../utils/proctoringService');
+const proctoringPolicy = require('../utils/proctoringPolicy');
+const socketService = require('../utils/socketService');
+const testActivityLimiter = require('../utils/testActivityLimiter');
+const seededShuffle = require('../utils/seededShuffle');
+const irtModel = require('../utils/irtModel');
 const { protectUser, protectTest, protectAdmin, requireCompleteProfile } = require('../middleware/auth');
 
 const router = express.Router();
@@ -23,6 +30,60 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Helper to copy a drawn question onto a test (answer keys are kept for evaluation
+// and removed by getCandidateQuestions before anything reaches the candidate)
+const buildTestQuestion = (question, questionNumber, testConfig) => ({
+  questionId: question._id,
+  questionNumber: questionNumber,
+  questionText: question.questionText,
+  questionType: question.questionType,
+  category: question.category,
+  difficulty: question.difficulty,
+  points: question.points,
+  negativePoints: testConfig.negativePenaltyOverride != null ?
+    testConfig.negativePenaltyOverride : question.negativePoints,
+  options: question.options ? question.options.map(opt => ({
+    text: opt.text,
+    isCorrect: opt.isCorrect // This will be used for evaluation
+  })) : [],
+  correctAnswer: question.correctAnswer,
+  partialCredit: question.partialCredit,
+  numericAnswer: question.numericAnswer,
+  irt: irtModel.getItemParameters(question),
+  userResponse: {
+    selectedOption: '',
+    selectedAnswer: '',
+    timeSpent: 0,
+    answeredAt: null,
+    isAnswered: false,
+    flaggedForReview: false
+  },
+  isCorrect: null,
+  pointsEarned: 0
+});
+
+// Helper to draw the adaptive question best matched to the candidate's current ability
+// Returns null when the question bank has nothing left to offer
+const drawAdaptiveQuestion = async (test, excludeIds = []) => {
+  const [question] = await Question.getRandomQuestions({
+    count: 1,
+    targetAbility: test.getAbilityEstimate().ability,
+    categories: test.testConfig.categories,
+    excludeIds: [...excludeIds, ...test.questions.map(q => q.questionId)],
+    seed: `${test.shuffleSeed}:${test.questions.length + 1}`
+  });
+  
+  return question ? buildTestQuestion(question, test.questions.length + 1, test.testConfig) : null;
+};
+
+// Helper for the completion payload of a result held for moderation (no score until it is released)
+const getHeldResultData = (test) => ({
+  testId: test.testId,
+  resultStatus: test.getResultStatus(),
+  submittedAt: test.submittedAt,
+  completionReason: test.completionReason
+});
+
 // @route   POST /api/tests/start
 // @desc    Start a new test session
 // @access  Private (Verified User with Complete Profile)
@@ -48,7 +109,8 @@ router.post('/start',
         status: { $in: ['Scheduled', 'In Progress'] }
       });
       
-      if (activeTest) {
+      // Abandoned sessions past their deadline are closed rather than blocking a new attempt
+      if (activeTest && !(await testCompletionService.closeIfOverdue(activeTest))) {
         return res.status(400).json({
           success: false,
           error: 'You have an active test session. Please complete it first.',
@@ -59,62 +121,55 @@ router.post('/start',
         });
       }
       
-      // Get test configuration
-      const testConfig = {
-        totalQuestions: parseInt(process.env.QUESTIONS_PER_TEST) || 30,
-        durationMinutes: parseInt(process.env.TEST_DURATION_MINUTES) || 30,
-        difficultyDistribution: {
-          easy: 30,    // 30% easy questions
-          moderate: 30, // 30% moderate questions
-          hard: 40     // 40% hard questions
-        },
-        passingPercentage: parseInt(process.env.PASSING_PERCENTAGE) || 65,
-        negativeMarking: true
-      };
+      // Get test configuration from the candidate's blueprint, falling back to environment defaults
+      const blueprint = await TestBlueprint.findForCandidate(user);
+      const testConfig = blueprint ? blueprint.buildTestConfig() : TestBlueprint.getDefaultTestConfig();
+      testConfig.gradingScheme = await GradingScheme.resolveSnapshot(blueprint ? blueprint.gradingScheme : null);
+      
+      // Questions whose answers the candidate has already reviewed are never drawn again
+      const reviewedQuestionIds = await Test.getReviewedQuestionIds(user._id);
+      
+      // Per-candidate seed for question and option order
+      const shuffleSeed = seededShuffle.generateSeed();
       
-      // Get random questions based on difficulty distribution
-      const questions = await Question.getRandomQuestions({
+      // Adaptive tests start with one question at average ability and draw the rest as answers come in
+      const isAdaptive = Boolean(testConfig.adaptive && testConfig.adaptive.enabled);
+      const questionsNeeded = isAdaptive ? 1 : testConfig.totalQuestions;
+      
+      // Get random questions based on category counts and difficulty distribution
+      const questions = isAdaptive ? await Question.getRandomQuestions({
+        count: 1,
+        targetAbility: irtModel.estimateAbility([]).ability,
+        categories: testConfig.categories,
+        excludeIds: reviewedQuestionIds,
+        seed: `${shuffleSeed}:1`
+      }) : await Question.getRandomQuestions({
         count: testConfig.totalQuestions,
         difficulty: {
           Easy: testConfig.difficultyDistribution.easy,
           Moderate: testConfig.difficultyDistribution.moderate,
           Hard: testConfig.difficultyDistribution.hard
-        }
+        },
+        categoryCounts: testConfig.categoryDistribution,
+        excludeIds: reviewedQuestionIds,
+        seed: shuffleSeed
       });
       
-      if (questions.length < testConfig.totalQuestions) {
+      if (questions.length < questionsNeeded) {
         return res.status(500).json({
           success: false,
           error: 'Insufficient questions available. Please contact support.'
         });
       }
       
+      // Sectional tests keep each section's questions together, in section order
+      if (testConfig.sectional) {
+        const sectionOrder = testConfig.categoryDistribution.map(c => c.category);
+        questions.sort((a, b) => sectionOrder.indexOf(a.category) - sectionOrder.indexOf(b.category));
+      }
+      
       // Prepare questions for test (hide correct answers)
-      const testQuestions = questions.map((question, index) => ({
-        questionId: question._id,
-        questionNumber: index + 1,
-        questionText: question.questionText,
-        questionType: question.questionType,
-        category: question.category,
-        difficulty: question.difficulty,
-        points: question.points,
-        negativePoints: question.negativePoints,
-        options: question.options ? question.options.map(opt => ({
-          text: opt.text,
-          isCorrect: opt.isCorrect // This will be used for evaluation
-        })) : [],
-        correctAnswer: question.correctAnswer,
-        userResponse: {
-          selectedOption: '',
-          selectedAnswer: '',
-          timeSpent: 0,
-          answeredAt: null,
-          isAnswered: false,
-          flaggedForReview: false
-        },
-        isCorrect: null,
-        pointsEarned: 0
-      }));
+      const testQuestions = questions.map((question, index) => buildTestQuestion(question, index + 1, testConfig));
       
       // Create new test
       const test = new Test({
@@ -146,6 +201,8 @@ router.post('/start',
         }
       });
       
+      test.applyShuffle(shuffleSeed);
+      test.initializeSections();
       await test.save();
       
       // Update user test info
@@ -154,7 +211,7 @@ router.post('/start',
       await user.save();
       
       // Generate test session token
-      const testToken = jwtUtils.generateTestToken(user, test.testId);
+      const testToken = await jwtUtils.generateTestToken(user, test.testId, req, testCompletionService.getTokenLifetimeSeconds(test));
       
       if (!testToken.success) {
         return res.status(500).json({
@@ -166,23 +223,30 @@ router.post('/start',
       // Return test information (without answers)
       const testData = {
         testId: test.testId,
+        blueprintName: test.testConfig.blueprintName,
         totalQuestions: test.testConfig.totalQuestions,
         durationMinutes: test.testConfig.durationMinutes,
         passingPercentage: test.testConfig.passingPercentage,
-        questions: test.questions.map(q => ({
-          questionNumber: q.questionNumber,
-          questionText: q.questionText,
-          questionType: q.questionType,
-          category: q.category,
-          difficulty: q.difficulty,
-          points: q.points,
-          options: q.questionType === 'Multiple Choice' ? 
-            q.options.map(opt => ({ text: opt.text })) : [] // Hide correct answers
-        })),
+        adaptive: test.isAdaptive(),
+        sections: test.getSectionSummary(),
+        questions: test.getCandidateQuestions(test.sections.length > 0 ? 1 : undefined), // Hide correct answers
         startTime: test.startTime,
         timeRemaining: test.timeRemaining
       };
       
+      // Describe how wrong answers are penalized
+      const proportionalMarking = test.getGradingScheme().proportionalNegativeMarking;
+      let negativeMarking = 'No';
+      if (test.testConfig.negativeMarking) {
+        if (proportionalMarking && proportionalMarking.enabled) {
+          negativeMarking = `Yes (-${proportionalMarking.fraction * 100}% of the question's marks for wrong answers)`;
+        } else if (test.testConfig.negativePenaltyOverride != null) {
+          negativeMarking = `Yes (-${test.testConfig.negativePenaltyOverride} for wrong answers)`;
+        } else {
+          negativeMarking = 'Yes (as marked on each question)';
+        }
+      }
+      
       res.status(201).json({
         success: true,
         message: 'Test session created successfully',
@@ -191,9 +255,11 @@ router.post('/start',
           testToken: testToken.token,
           instructions: {
             duration: `${test.testConfig.durationMinutes} minutes`,
-            totalQuestions: test.testConfig.totalQuestions,
+            totalQuestions: test.isAdaptive() ?
+              `Up to ${test.testConfig.totalQuestions} (each question depends on your previous answers)` :
+              test.testConfig.totalQuestions,
             passingMarks: `${test.testConfig.passingPercentage}%`,
-            negativeMarking: 'Yes (-1 for wrong answers)',
+            negativeMarking: negativeMarking,
             rules: [
               'Do not refresh or close the browser',
               'Do not switch tabs or minimize window',
@@ -215,51 +281,194 @@ router.post('/start',
   }
 );
 
-// @route   POST /api/tests/begin/:testId
-// @desc    Begin the test (start timer)
-// @access  Private (Test Token)
-router.post('/begin/:testId', protectTest, async (req, res) => {
-  try {
-    const { testId } = req.params;
-    
-    const test = await Test.findOne({ testId, user: req.user._id });
-    
-    if (!test) {
-      return res.status(404).json({
+// @route   POST /api/tests/resume
+// @desc    Re-enter an active test session after a crash, restart or device change
+// @access  Private (Verified User)
+router.post('/resume',
+  protectUser,
+  [
+    body('testId')
+      .optional()
+      .isString()
+      .withMessage('Invalid test ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const query = {
+        user: req.user._id,
+        status: { $in: ['Scheduled', 'In Progress'] }
+      };
+      if (req.body.testId) query.testId = req.body.testId;
+      
+      const test = await Test.findOne(query).sort({ createdAt: -1 });
+      
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          error: 'No active test session to resume'
+        });
+      }
+      
+      // Sessions past their deadline are closed instead of resumed
+      if (await testCompletionService.closeIfOverdue(test)) {
+        return res.status(410).json({
+          success: false,
+          error: 'Test session has expired',
+          testCompleted: true,
+          data: {
+            testId: test.testId
+          }
+        });
+      }
+      
+      if (test.sections.length > 0 && test.status === 'In Progress') {
+        test.syncSections(testCompletionService.gracePeriodSeconds);
+      }
+      
+      const recordedEvents = test.recordResume({
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      });
+      
+      if (test.status === 'In Progress') {
+        test.timeRemaining = test.getTimeRemaining();
+      }
+      
+      await test.save();
+      
+      // Reopen the stored proctoring session, e.g. when this server did not start it
+      if (test.status === 'In Progress') {
+        await proctoringService.startProctoring(test);
+      }
+      
+      // Issue a fresh test token for the new browser session
+      const user = await User.findById(req.user._id);
+      const testToken = await jwtUtils.generateTestToken(user, test.testId, req, testCompletionService.getTokenLifetimeSeconds(test));
+      
+      if (!testToken.success) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to generate test token'
+        });
+      }
+      
+      const currentSectionNumber = test.sections.length > 0 ? test.currentSection : undefined;
+      
+      res.status(200).json({
+        success: true,
+        message: 'Test session resumed successfully',
+        data: {
+          test: {
+            testId: test.testId,
+            status: test.status,
+            blueprintName: test.testConfig.blueprintName,
+            totalQuestions: test.testConfig.totalQuestions,
+            durationMinutes: test.testConfig.durationMinutes,
+            passingPercentage: test.testConfig.passingPercentage,
+            startTime: test.startTime,
+            deadline: test.status === 'In Progress' ? test.getDeadline() : null,
+            timeRemaining: test.timeRemaining,
+            currentSection: test.currentSection,
+            sections: test.getSectionSummary(),
+            questions: test.getCandidateQuestions(currentSectionNumber, { includeResponses: true })
+          },
+          testToken: testToken.token,
+          heartbeatIntervalSeconds: proctoringService.heartbeatInterval,
+          deviceChanged: recordedEvents.includes('device_changed'),
+          ipChanged: recordedEvents.includes('ip_changed')
+        }
+      });
+      
+    } catch (error) {
+      console.error('Resume Test Error:', error);
+      res.status(500).json({
         success: false,
-        error: 'Test not found'
+        error: 'Failed to resume test'
       });
     }
-    
-    if (test.status !== 'Scheduled') {
-      return res.status(400).json({
+  }
+);
+
+// @route   POST /api/tests/begin/:testId
+// @desc    Begin the test (start timer), optionally with a webcam snapshot for the identity check
+// @access  Private (Test Token)
+router.post('/begin/:testId',
+  protectTest,
+  [
+    body('snapshot')
+      .optional()
+      .isString()
+      .isLength({ min: 100, max: 5 * 1024 * 1024 })
+      .withMessage('Snapshot must be a base64 image of at most 5 MB')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { testId } = req.params;
+      
+      const test = await Test.findOne({ testId, user: req.user._id });
+      
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          error: 'Test not found'
+        });
+      }
+      
+      if (test.status !== 'Scheduled') {
+        return res.status(400).json({
+          success: false,
+          error: 'Test cannot be started in current state'
+        });
+      }
+      
+      // Start the test
+      await test.startTest();
+      
+      const proctoring = await proctoringService.startProctoring(test);
+      
+      // The first snapshot is checked against the profile photo straight away
+      let snapshot = null;
+      if (proctoring.success && req.body.snapshot) {
+        snapshot = await testCompletionService.captureSnapshot(test, req.body.snapshot);
+        if (snapshot.violation) {
+          socketService.publishViolation(test.testId, snapshot);
+        }
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'Test started successfully',
+        testCompleted: Boolean(snapshot && snapshot.completed),
+        data: {
+          testId: test.testId,
+          status: test.status,
+          startTime: test.startTime,
+          timeRemaining: test.timeRemaining,
+          currentSection: test.currentSection,
+          sections: test.getSectionSummary(),
+          proctoring: {
+            enabled: proctoring.success,
+            screenshotIntervalSeconds: proctoring.success ? proctoringService.screenshotInterval : null,
+            heartbeatIntervalSeconds: proctoringService.heartbeatInterval,
+            identityCheck: snapshot && snapshot.identity ? {
+              similarity: snapshot.identity.similarity,
+              matched: snapshot.identity.matched
+            } : null
+          }
+        }
+      });
+      
+    } catch (error) {
+      console.error('Begin Test Error:', error);
+      res.status(500).json({
         success: false,
-        error: 'Test cannot be started in current state'
+        error: 'Failed to begin test'
       });
     }
-    
-    // Start the test
-    await test.startTest();
-    
-    res.status(200).json({
-      success: true,
-      message: 'Test started successfully',
-      data: {
-        testId: test.testId,
-        status: test.status,
-        startTime: test.startTime,
-        timeRemaining: test.timeRemaining
-      }
-    });
-    
-  } catch (error) {
-    console.error('Begin Test Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to begin test'
-    });
   }
-});
+);
 
 // @route   PUT /api/tests/answer/:testId
 // @desc    Submit answer for a question
@@ -271,7 +480,7 @@ router.put('/answer/:testId',
       .isInt({ min: 1 })
       .withMessage('Valid question number is required'),
     body('answer')
-      .notEmpty()
+      .custom(value => Array.isArray(value) ? value.length > 0 : String(value ?? '').trim() !== '')
       .withMessage('Answer is required'),
     body('timeSpent')
       .optional()
@@ -300,13 +509,14 @@ router.put('/answer/:testId',
         });
       }
       
-      // Check if test time has expired
-      const timeElapsed = (new Date() - test.startTime) / 1000; // in seconds
-      const timeLimit = test.testConfig.durationMinutes * 60;
+      // Close any section whose timer has run out before checking the answer
+      const hasOpenSection = test.sections.length === 0 ||
+        test.syncSections(testCompletionService.gracePeriodSeconds);
       
-      if (timeElapsed > timeLimit) {
+      // Reject answers received after the deadline plus the network grace period
+      if (!hasOpenSection || test.isPastDeadline(testCompletionService.gracePeriodSeconds)) {
         // Auto-submit test
-        await test.completeTest();
+        await testCompletionService.expireTest(test);
         
         return res.status(400).json({
           success: false,
@@ -315,19 +525,65 @@ router.put('/answer/:testId',
         });
       }
       
+      const answerError = test.validateAnswer(questionNumber, answer);
+      if (answerError) {
+        if (test.isModified('sections')) await test.save();
+        
+        return res.status(400).json({
+          success: false,
+          error: answerError,
+          currentSection: test.currentSection
+        });
+      }
+      
+      // Update time remaining from the server-side deadline
+      test.timeRemaining = test.getTimeRemaining();
+      
       // Submit the answer
       await test.submitAnswer(questionNumber, answer, timeSpent);
       
-      // Update time remaining
-      test.timeRemaining = Math.max(0, timeLimit - timeElapsed);
-      await test.save();
+      // Adaptive tests either end here or continue with a question matched to the new estimate
+      if (test.isAdaptive()) {
+        const reviewedQuestionIds = await Test.getReviewedQuestionIds(req.user._id);
+        const nextQuestion = test.isAdaptiveComplete() ? null : await drawAdaptiveQuestion(test, reviewedQuestionIds);
+        
+        if (!nextQuestion) {
+          await testCompletionService.finalizeTest(test);
+          
+          return res.status(200).json({
+            success: true,
+            message: 'Answer submitted successfully. The test is complete.',
+            testCompleted: true,
+            data: {
+              questionNumber: questionNumber,
+              questionsAnswered: test.abilityTrajectory.length
+            }
+          });
+        }
+        
+        test.addAdaptiveQuestion(nextQuestion);
+        await test.save();
+        
+        return res.status(200).json({
+          success: true,
+          message: 'Answer submitted successfully',
+          data: {
+            questionNumber: questionNumber,
+            timeRemaining: test.timeRemaining,
+            questionsAnswered: test.abilityTrajectory.length,
+            maxQuestions: test.testConfig.adaptive.maxQuestions,
+            nextQuestion: test.getCandidateQuestions().pop()
+          }
+        });
+      }
       
       res.status(200).json({
         success: true,
         message: 'Answer submitted successfully',
         data: {
           questionNumber: questionNumber,
-          timeRemaining: test.timeRemaining
+          timeRemaining: test.timeRemaining,
+          currentSection: test.currentSection
         }
       });
       
@@ -378,6 +634,21 @@ router.put('/flag/:testId',
         });
       }
       
+      // Questions in closed or upcoming sections cannot be flagged
+      if (test.sections.length > 0) {
+        test.syncSections(testCompletionService.gracePeriodSeconds);
+        
+        const lockError = test.checkSectionAccess(questionNumber);
+        if (lockError) {
+          await test.save();
+          return res.status(400).json({
+            success: false,
+            error: lockError,
+            currentSection: test.currentSection
+          });
+        }
+      }
+      
       question.userResponse.flaggedForReview = flagged;
       
       // Add to attempt pattern
@@ -408,10 +679,10 @@ router.put('/flag/:testId',
   }
 );
 
-// @route   POST /api/tests/submit/:testId
-// @desc    Submit test for evaluation
+// @route   POST /api/tests/section/next/:testId
+// @desc    Close the current section and move to the next one (no return to a closed section)
 // @access  Private (Test Token)
-router.post('/submit/:testId', protectTest, async (req, res) => {
+router.post('/section/next/:testId', protectTest, async (req, res) => {
   try {
     const { testId } = req.params;
     
@@ -431,65 +702,125 @@ router.post('/submit/:testId', protectTest, async (req, res) => {
       });
     }
     
-    // Complete the test
-    await test.completeTest();
+    if (test.sections.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This test does not have sections'
+      });
+    }
     
-    // Update user test info
-    const user = await User.findById(req.user._id);
-    if (test.score.percentage > user.testInfo.bestScore) {
-      user.testInfo.bestScore = test.score.percentage;
+    // Sections that already timed out are closed first; if that moved the candidate on,
+    // the request is satisfied by the newly opened section rather than skipping it too
+    const sectionBefore = test.currentSection;
+    const hasOpenSection = test.syncSections(testCompletionService.gracePeriodSeconds);
+    let nextSection = null;
+    if (hasOpenSection) {
+      nextSection = test.currentSection !== sectionBefore ? test.getCurrentSection() : test.advanceSection();
     }
     
-    if (test.isPassed) {
-      user.testInfo.hasQualified = true;
-      user.testInfo.qualificationDate = new Date();
+    // Leaving the last section ends the test
+    if (!nextSection) {
+      const reason = hasOpenSection ? 'submitted' : 'time_expired';
+      const completedTest = reason === 'time_expired' ?
+        await testCompletionService.expireTest(test) :
+        await testCompletionService.finalizeTest(test, { reason });
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Final section completed. Test submitted successfully',
+        testCompleted: true,
+        data: completedTest ? (completedTest.isResultHeld() ? getHeldResultData(completedTest) : {
+          testId: completedTest.testId,
+          score: completedTest.score,
+          isPassed: completedTest.isPassed,
+          submittedAt: completedTest.submittedAt
+        }) : null
+      });
     }
     
-    await user.save();
-    
-    // Send results via email and SMS
-    const resultData = {
-      testId: test.testId,
-      percentage: test.score.percentage,
-      grade: test.score.grade,
-      isPassed: test.isPassed,
-      correctAnswers: test.score.correctAnswers,
-      wrongAnswers: test.score.wrongAnswers,
-      totalQuestions: test.score.totalQuestions,
-      attemptedQuestions: test.score.attemptedQuestions,
-      netScore: test.score.netScore,
-      totalPoints: test.score.totalPoints,
-      completedAt: test.submittedAt,
-      actualDuration: test.actualDurationMinutes,
-      percentile: test.percentile || 'Calculating...'
-    };
+    await test.save();
     
-    // Send notifications
-    await Promise.all([
-      emailService.sendTestResults(user.email, user.fullName, resultData),
-      smsService.sendTestResults(user.phone, user.fullName, resultData),
-      emailService.sendAdminNotification('test_completed', {
-        name: user.fullName,
+    res.status(200).json({
+      success: true,
+      message: `Moved to section ${nextSection.sectionNumber}: ${nextSection.name}`,
+      data: {
         testId: test.testId,
-        percentage: test.score.percentage,
-        isPassed: test.isPassed,
-        completedAt: test.submittedAt
-      })
-    ]);
+        currentSection: test.currentSection,
+        sections: test.getSectionSummary(),
+        questions: test.getCandidateQuestions(nextSection.sectionNumber),
+        timeRemaining: test.getTimeRemaining()
+      }
+    });
+    
+  } catch (error) {
+    console.error('Next Section Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move to next section'
+    });
+  }
+});
+
+// @route   POST /api/tests/submit/:testId
+// @desc    Submit test for evaluation
+// @access  Private (Test Token)
+router.post('/submit/:testId', protectTest, async (req, res) => {
+  try {
+    const { testId } = req.params;
+    
+    const test = await Test.findOne({ testId, user: req.user._id });
+    
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+    
+    if (test.status !== 'In Progress') {
+      return res.status(400).json({
+        success: false,
+        error: 'Test is not in progress'
+      });
+    }
+    
+    // Late submissions are evaluated as of the deadline
+    const completedTest = test.isPastDeadline(testCompletionService.gracePeriodSeconds) ?
+      await testCompletionService.expireTest(test) :
+      await testCompletionService.finalizeTest(test, { reason: 'submitted' });
+    
+    if (!completedTest) {
+      return res.status(409).json({
+        success: false,
+        error: 'Test has already been submitted'
+      });
+    }
+    
+    if (completedTest.isResultHeld()) {
+      return res.status(200).json({
+        success: true,
+        message: 'Test submitted successfully. Your result will be shared once it has been reviewed',
+        data: getHeldResultData(completedTest)
+      });
+    }
     
     res.status(200).json({
       success: true,
       message: 'Test submitted successfully',
       data: {
-        testId: test.testId,
-        score: test.score,
-        isPassed: test.isPassed,
-        rank: test.rank,
-        percentile: test.percentile,
-        submittedAt: test.submittedAt,
-        certificate: test.isPassed ? {
+        testId: completedTest.testId,
+        score: completedTest.score,
+        isPassed: completedTest.isPassed,
+        rank: completedTest.rank,
+        percentile: completedTest.percentile,
+        submittedAt: completedTest.submittedAt,
+        completionReason: completedTest.completionReason,
+        certificate: completedTest.isPassed ? {
           eligible: true,
-          message: 'Certificate will be generated within 24 hours'
+          certificateNumber: completedTest.certificateNumber,
+          message: completedTest.certificateIssued ?
+            'Your certificate has been emailed to you' :
+            'Your certificate will be emailed to you shortly'
         } : null
       }
     });
@@ -510,7 +841,7 @@ router.get('/status/:testId', protectTest, async (req, res) => {
   try {
     const { testId } = req.params;
     
-    const test = await Test.findOne({ testId, user: req.user._id });
+    let test = await Test.findOne({ testId, user: req.user._id });
     
     if (!test) {
       return res.status(404).json({
@@ -521,13 +852,16 @@ router.get('/status/:testId', protectTest, async (req, res) => {
     
     // Calculate time remaining
     if (test.status === 'In Progress') {
-      const timeElapsed = (new Date() - test.startTime) / 1000;
-      const timeLimit = test.testConfig.durationMinutes * 60;
-      test.timeRemaining = Math.max(0, timeLimit - timeElapsed);
+      if (test.sections.length > 0) {
+        test.syncSections(testCompletionService.gracePeriodSeconds);
+        if (test.isModified('sections')) await test.save();
+      }
+      
+      test.timeRemaining = test.getTimeRemaining();
       
-      // Auto-submit if time expired
-      if (test.timeRemaining <= 0 && test.status === 'In Progress') {
-        await test.completeTest();
+      // Auto-submit once the grace period after the deadline is over, so answers still in flight are accepted
+      if (await testCompletionService.closeIfOverdue(test)) {
+        test = await Test.findById(test._id);
       }
     }
     
@@ -543,6 +877,9 @@ router.get('/status/:testId', protectTest, async (req, res) => {
         testId: test.testId,
         status: test.status,
         timeRemaining: test.timeRemaining,
+        deadline: test.getDeadline(),
+        currentSection: test.currentSection,
+        sections: test.getSectionSummary(),
         progress: progress,
         startTime: test.startTime,
         canSubmit: progress.answeredQuestions > 0
@@ -558,19 +895,70 @@ router.get('/status/:testId', protectTest, async (req, res) => {
   }
 });
 
+// @route   POST /api/tests/heartbeat/:testId
+// @desc    Heartbeat from the test client (clients connected to the proctoring socket send it there instead)
+// @access  Private (Test Token)
+router.post('/heartbeat/:testId', protectTest, testActivityLimiter.middleware, async (req, res) => {
+  try {
+    const test = await Test.findOne({ testId: req.params.testId, user: req.user._id });
+    
+    if (!test || test.status !== 'In Progress') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid test session',
+        status: test ? test.status : null
+      });
+    }
+    
+    const now = new Date();
+    const heartbeat = await testCompletionService.recordHeartbeat(test, now);
+    socketService.publishHeartbeat(test.testId, now, heartbeat);
+    
+    if (heartbeat.completed) {
+      return res.status(200).json({
+        success: true,
+        message: 'Test auto-submitted due to excessive violations',
+        testCompleted: true
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        serverTime: now,
+        timeRemaining: test.getTimeRemaining(now),
+        offlineSeconds: heartbeat.offlineInterval ? heartbeat.offlineInterval.durationSeconds : 0
+      }
+    });
+    
+  } catch (error) {
+    console.error('Heartbeat Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record heartbeat'
+    });
+  }
+});
+
 // @route   POST /api/tests/proctoring/:testId
 // @desc    Report proctoring violations
 // @access  Private (Test Token)
 router.post('/proctoring/:testId',
   protectTest,
+  testActivityLimiter.middleware,
   [
     body('violationType')
-      .isIn(['tab_switch', 'full_screen_exit', 'suspicious_activity'])
+      .isIn(proctoringPolicy.getReportableTypes())
       .withMessage('Invalid violation type'),
     body('timestamp')
       .optional()
       .isISO8601()
-      .withMessage('Invalid timestamp format')
+      .withMessage('Invalid timestamp format'),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters')
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -587,41 +975,44 @@ router.post('/proctoring/:testId',
         });
       }
       
-      // Record violation
-      if (violationType === 'tab_switch') {
-        test.proctoring.tabSwitchViolations += 1;
-      } else if (violationType === 'full_screen_exit') {
-        test.proctoring.fullScreenViolations += 1;
-      }
-      
-      test.proctoring.suspiciousActivities.push({
-        type: violationType,
-        timestamp: timestamp ? new Date(timestamp) : new Date(),
-        description: description || ''
+      // Record violation in the proctoring session; the service mirrors it onto the test,
+      // applies the test's proctoring policy and auto-submits the test when it says terminate
+      const recorded = await testCompletionService.reportViolation(test, violationType, {
+        description: description || '',
+        occurredAt: timestamp ? new Date(timestamp) : new Date(),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
       });
+      const { violation, evaluation } = recorded;
       
-      await test.save();
-      
-      // Check if violations exceed threshold
-      const totalViolations = test.proctoring.tabSwitchViolations + test.proctoring.fullScreenViolations;
+      socketService.publishViolation(test.testId, recorded);
       
-      if (totalViolations >= 5) {
-        // Auto-submit test due to violations
-        await test.completeTest();
-        
+      if (evaluation.actions.terminate) {
         return res.status(200).json({
           success: true,
           message: 'Test auto-submitted due to excessive violations',
-          testCompleted: true
+          testCompleted: true,
+          data: {
+            riskScore: evaluation.score,
+            riskLevel: evaluation.riskLevel
+          }
         });
       }
       
       res.status(200).json({
         success: true,
-        message: 'Violation recorded',
+        message: evaluation.actions.warn
+          ? 'Violation recorded. Further violations may end your test'
+          : 'Violation recorded',
         data: {
-          totalViolations: totalViolations,
-          warningThreshold: 5
+          severity: violation.severity,
+          totalViolations: evaluation.totalViolations,
+          violationCounts: evaluation.counts,
+          riskScore: evaluation.score,
+          riskLevel: evaluation.riskLevel,
+          warning: evaluation.actions.warn,
+          flaggedForReview: evaluation.actions.flag,
+          terminateScore: evaluation.thresholds.terminateScore
         }
       });
       
@@ -635,6 +1026,67 @@ router.post('/proctoring/:testId',
   }
 );
 
+// @route   POST /api/tests/proctoring/:testId/screenshot
+// @desc    Upload a proctoring screenshot (base64 image, optionally as a data URL)
+// @access  Private (Test Token)
+router.post('/proctoring/:testId/screenshot',
+  protectTest,
+  testActivityLimiter.middleware,
+  [
+    body('image')
+      .isString()
+      .isLength({ min: 100, max: 5 * 1024 * 1024 })
+      .withMessage('A base64 image of at most 5 MB is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { testId } = req.params;
+      
+      const test = await Test.findOne({ testId, user: req.user._id });
+      
+      if (!test || test.status !== 'In Progress') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid test session'
+        });
+      }
+      
+      const result = await testCompletionService.captureSnapshot(test, req.body.image);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.message || 'Failed to process screenshot'
+        });
+      }
+      
+      if (result.violation) {
+        socketService.publishViolation(test.testId, result);
+      }
+      
+      res.status(201).json({
+        success: true,
+        message: 'Screenshot recorded',
+        testCompleted: Boolean(result.completed),
+        data: {
+          filename: result.screenshot.filename,
+          capturedAt: result.screenshot.capturedAt,
+          faceCount: result.screenshot.faceCount,
+          identityMatched: result.identity ? result.identity.matched : null
+        }
+      });
+      
+    } catch (error) {
+      console.error('Screenshot Upload Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record screenshot'
+      });
+    }
+  }
+);
+
 // Admin Routes
 
 // @route   GET /api/tests/admin/all
@@ -673,7 +1125,7 @@ router.get('/admin/all', protectAdmin, async (req, res) => {
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
     
     const tests = await Test.find(query)
-      .select('testId userName userPhone status score isPassed createdAt submittedAt actualDurationMinutes')
+      .select('testId userName userPhone status score isPassed rank percentile ranking createdAt submittedAt actualDurationMinutes')
       .sort(sort)
       .skip(skip)
       .limit(limit)
@@ -724,7 +1176,9 @@ router.get('/admin/:testId', protectAdmin, async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        test: test
+        test: test,
+        // Questions and options exactly as the candidate saw them (rebuilt from shuffleSeed)
+        candidateView: test.getCandidateQuestions()
       }
     });
     
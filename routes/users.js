@@ -1,12 +1,15 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Test = require('../models/Test');
+const Question = require('../models/Question');
 const { protectUser } = require('../middleware/auth');
 const emailService = require('../utils/emailService');
 const smsService = require('../utils/smsService');
+const identityVerificationService = require('../utils/identityVerificationService');
 
 const router = express.Router();
 
@@ -173,6 +176,17 @@ router.put('/profile',
       user.profile.lastUpdated = new Date();
       await user.save();
 
+      // Enroll the new photo for identity checks during tests; the update stands either way
+      let faceEnrollment = null;
+      if (req.files && req.files.profilePhoto) {
+        try {
+          const enrollment = await identityVerificationService.enrollProfilePhoto(user);
+          faceEnrollment = enrollment && { status: enrollment.status, enrolledAt: enrollment.enrolledAt };
+        } catch (error) {
+          console.error('Face enrollment error:', error);
+        }
+      }
+
       res.status(200).json({
         success: true,
         message: 'Profile updated successfully',
@@ -180,7 +194,8 @@ router.put('/profile',
           user: {
             ...user.toObject(),
             profileCompletion: calculateProfileCompletion(user)
-          }
+          },
+          faceEnrollment
         }
       });
 
@@ -279,20 +294,40 @@ router.get('/test-history', protectUser, async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const tests = await Test.find({ candidate: req.user._id })
-      .select('score percentage status timeTaken violationsCount createdAt startedAt completedAt')
+    const tests = await Test.find({ user: req.user._id })
+      .select('testId status completionReason score.percentage score.grade score.ability isPassed rank percentile ranking testConfig.blueprintName testConfig.resultModeration proctoring.flaggedForReview reviewStatus resultReleasedAt startTime submittedAt actualDurationMinutes createdAt')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const totalTests = await Test.countDocuments({ candidate: req.user._id });
+    const totalTests = await Test.countDocuments({ user: req.user._id });
 
     const user = await User.findById(req.user._id).select('testInfo');
 
+    // Results under review or invalidated in moderation are listed without their scores
+    const history = tests.map(test => {
+      const resultStatus = test.getResultStatus();
+      const { reviewStatus, resultReleasedAt, testConfig, ...entry } = test.toObject();
+
+      if (resultStatus === 'Under Review' || resultStatus === 'Invalidated') {
+        delete entry.score;
+        delete entry.isPassed;
+        delete entry.rank;
+        delete entry.percentile;
+        delete entry.ranking;
+      }
+
+      return {
+        ...entry,
+        testConfig: { blueprintName: testConfig.blueprintName },
+        resultStatus
+      };
+    });
+
     res.status(200).json({
       success: true,
       data: {
-        tests,
+        tests: history,
         testInfo: user.testInfo,
         pagination: {
           currentPage: parseInt(page),
@@ -313,15 +348,21 @@ router.get('/test-history', protectUser, async (req, res) => {
   }
 });
 
+// Helper to find one of the user's tests by its test ID (or document ID)
+const findUserTest = (testId, userId) => {
+  const idQuery = [{ testId: testId }];
+  if (mongoose.isValidObjectId(testId)) {
+    idQuery.push({ _id: testId });
+  }
+  return Test.findOne({ $or: idQuery, user: userId });
+};
+
 // @route   GET /api/users/test-result/:testId
 // @desc    Get detailed test result
 // @access  Private
 router.get('/test-result/:testId', protectUser, async (req, res) => {
   try {
-    const test = await Test.findOne({
-      _id: req.params.testId,
-      candidate: req.user._id
-    }).populate('questions.question', 'questionText options correctAnswer difficulty category');
+    const test = await findUserTest(req.params.testId, req.user._id);
 
     if (!test) {
       return res.status(404).json({
@@ -330,66 +371,163 @@ router.get('/test-result/:testId', protectUser, async (req, res) => {
       });
     }
 
+    if (test.status !== 'Evaluated') {
+      return res.status(400).json({
+        success: false,
+        error: 'Test result is not available yet',
+        data: {
+          status: test.status
+        }
+      });
+    }
+
+    if (test.isResultHeld()) {
+      return res.status(202).json({
+        success: true,
+        message: 'Your result is under review and will be shared once it is released',
+        data: {
+          testId: test.testId,
+          status: test.status,
+          resultStatus: test.getResultStatus(),
+          submittedAt: test.submittedAt
+        }
+      });
+    }
+
+    if (test.isResultInvalidated()) {
+      return res.status(403).json({
+        success: false,
+        error: 'This test result was invalidated after review',
+        data: {
+          testId: test.testId,
+          resultStatus: test.getResultStatus(),
+          reviewedAt: test.reviewedAt
+        }
+      });
+    }
+
+    const answeredQuestions = test.questions.filter(q => q.userResponse.isAnswered);
+    const totalTimeSpent = answeredQuestions.reduce((sum, q) => sum + (q.userResponse.timeSpent || 0), 0);
+
     // Calculate detailed analytics
     const analytics = {
       totalQuestions: test.questions.length,
-      correctAnswers: test.questions.filter(q => q.isCorrect).length,
-      wrongAnswers: test.questions.filter(q => q.userAnswer !== undefined && !q.isCorrect).length,
-      unanswered: test.questions.filter(q => q.userAnswer === undefined).length,
-      categoryWise: {},
-      difficultyWise: {},
+      correctAnswers: test.score.correctAnswers,
+      wrongAnswers: test.score.wrongAnswers,
+      partiallyCorrectAnswers: test.score.partiallyCorrectAnswers,
+      unanswered: test.score.unansweredQuestions,
+      categoryWise: test.score.categoryWiseScore,
+      difficultyWise: test.score.difficultyWiseScore,
+      sectionWise: test.score.sectionWiseScore,
       timeAnalysis: {
-        totalTime: test.timeTaken,
-        averageTimePerQuestion: test.timeTaken / test.questions.length,
-        timeManagement: test.timeTaken <= 30 * 60 ? 'Good' : 'Needs Improvement'
+        totalTime: test.actualDurationMinutes,
+        averageTimePerQuestion: answeredQuestions.length > 0 ?
+          Math.round(totalTimeSpent / answeredQuestions.length) : 0,
+        timeManagement: test.timeUtilization <= 100 ? 'Good' : 'Needs Improvement'
       }
     };
 
-    // Category-wise analysis
-    test.questions.forEach(q => {
-      const category = q.question.category;
-      if (!analytics.categoryWise[category]) {
-        analytics.categoryWise[category] = { total: 0, correct: 0, percentage: 0 };
+    // Answer keys stay out of the result; they are only served by the answer review
+    res.status(200).json({
+      success: true,
+      data: {
+        test: {
+          testId: test.testId,
+          status: test.status,
+          blueprintName: test.testConfig.blueprintName,
+          score: test.score,
+          isPassed: test.isPassed,
+          rank: test.rank,
+          percentile: test.percentile,
+          startTime: test.startTime,
+          endTime: test.endTime,
+          submittedAt: test.submittedAt,
+          actualDurationMinutes: test.actualDurationMinutes,
+          completionReason: test.completionReason,
+          attemptNumber: test.attemptNumber
+        },
+        analytics,
+        answerReview: test.getAnswerReviewStatus()
       }
-      analytics.categoryWise[category].total++;
-      if (q.isCorrect) analytics.categoryWise[category].correct++;
     });
 
-    // Calculate percentages
-    Object.keys(analytics.categoryWise).forEach(category => {
-      const cat = analytics.categoryWise[category];
-      cat.percentage = Math.round((cat.correct / cat.total) * 100);
+  } catch (error) {
+    console.error('Get test result error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch test result'
     });
+  }
+});
 
-    // Difficulty-wise analysis
-    test.questions.forEach(q => {
-      const difficulty = q.question.difficulty;
-      if (!analytics.difficultyWise[difficulty]) {
-        analytics.difficultyWise[difficulty] = { total: 0, correct: 0, percentage: 0 };
-      }
-      analytics.difficultyWise[difficulty].total++;
-      if (q.isCorrect) analytics.difficultyWise[difficulty].correct++;
+// @route   GET /api/users/test-review/:testId
+// @desc    Get answer sheet review with correct answers and explanations
+// @access  Private
+router.get('/test-review/:testId', protectUser, async (req, res) => {
+  try {
+    const test = await findUserTest(req.params.testId, req.user._id);
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+
+    const reviewStatus = test.getAnswerReviewStatus();
+    if (!reviewStatus.available) {
+      return res.status(403).json({
+        success: false,
+        error: reviewStatus.reason,
+        data: {
+          releaseDate: reviewStatus.releaseDate
+        }
+      });
+    }
+
+    // Never reveal answers to questions that are part of a test the candidate is still taking
+    const questionIds = test.questions.map(q => q.questionId);
+    const overlappingActiveTest = await Test.exists({
+      user: req.user._id,
+      status: { $in: ['Scheduled', 'In Progress', 'Submitted'] },
+      'questions.questionId': { $in: questionIds }
     });
 
-    // Calculate percentages
-    Object.keys(analytics.difficultyWise).forEach(difficulty => {
-      const diff = analytics.difficultyWise[difficulty];
-      diff.percentage = Math.round((diff.correct / diff.total) * 100);
+    if (overlappingActiveTest) {
+      return res.status(409).json({
+        success: false,
+        error: 'Answer review is unavailable while you have an active test session'
+      });
+    }
+
+    // From now on these questions are excluded from the candidate's future tests
+    if (!test.answerReviewReleasedAt) {
+      test.answerReviewReleasedAt = new Date();
+      await test.save();
+    }
+
+    const questionDocs = await Question.find({ _id: { $in: questionIds } })
+      .select('explanation hints relatedTopics');
+    const questionDetails = {};
+    questionDocs.forEach(doc => {
+      questionDetails[doc._id.toString()] = doc;
     });
 
     res.status(200).json({
       success: true,
       data: {
-        test,
-        analytics
+        testId: test.testId,
+        score: test.score,
+        isPassed: test.isPassed,
+        questions: test.buildAnswerReview(questionDetails)
       }
     });
 
   } catch (error) {
-    console.error('Get test result error:', error);
+    console.error('Get test review error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch test result'
+      error: 'Failed to fetch answer review'
     });
   }
 });
@@ -7,6 +7,15 @@ require('dotenv').config();
 
 // Import database configuration
 const databaseConfig = require('./config/database');
+const testExpiryService = require('./utils/testExpiryService');
+const irtCalibrationService = require('./utils/irtCalibrationService');
+const rankingService = require('./utils/rankingService');
+const collusionDetectionService = require('./utils/collusionDetectionService');
+const responseTimeService = require('./utils/responseTimeService');
+const mediaRetentionService = require('./utils/mediaRetentionService');
+const socketService = require('./utils/socketService');
+const sessionStore = require('./utils/sessionStore');
+const mediaStore = require('./utils/mediaStore');
 
 const app = express();
 
@@ -17,11 +26,45 @@ const testRoutes = require('./routes/tests');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const interviewRoutes = require('./routes/interviews');
+const certificateRoutes = require('./routes/certificates');
+const mediaRoutes = require('./routes/media');
+
+// Connect to the session store (Redis when REDIS_URL is set, otherwise in memory)
+sessionStore.connect().catch(error => {
+  console.error('Session Store Connection Error:', error.message);
+});
+
+// Move proctoring media kept under ./uploads by earlier versions out of the public mount
+mediaStore.migrateLegacyMedia().then(moved => {
+  if (moved > 0) {
+    console.log(`📦 Moved ${moved} proctoring media files out of ./uploads`);
+  }
+}).catch(error => {
+  console.error('Media Migration Error:', error);
+});
 
 // Connect to database
 databaseConfig.connect().then(() => {
   // Create database indexes after connection
   databaseConfig.createIndexes();
+  
+  // Close overdue test sessions in the background
+  testExpiryService.start();
+  
+  // Recalibrate question difficulty from candidate responses
+  irtCalibrationService.start();
+  
+  // Keep ranks and percentiles current as new results come in
+  rankingService.start();
+  
+  // Look for groups of candidates sharing answers
+  collusionDetectionService.start();
+  
+  // Keep each question's answer time distribution current for response time scoring
+  responseTimeService.start();
+  
+  // Delete proctoring media past the retention window
+  mediaRetentionService.start();
 });
 
 // Security middleware
@@ -34,23 +77,26 @@ const limiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.'
-  }
+  },
+  // Heartbeats and proctoring reports arrive all through a test, and are limited per test instead
+  skip: (req) => /^\/tests\/(heartbeat|proctoring)\//.test(req.path)
 });
 app.use('/api/', limiter);
 
-// CORS configuration
-app.use(cors({
+// CORS configuration (shared with the Socket.IO channels)
+const corsOptions = {
   origin: process.env.NODE_ENV === 'production' 
     ? [process.env.FRONTEND_URL, 'https://yugayatraretail.in', 'https://www.yugayatraretail.in']
     : ['http://localhost:3000', 'http://localhost:5173'],
   credentials: true
-}));
+};
+app.use(cors(corsOptions));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving for uploads
+// Static file serving for uploads (proctoring media is kept outside it, and only served through signed URLs, see /api/media)
 app.use('/uploads', express.static('uploads'));
 app.use('/reports', express.static('reports'));
 
@@ -74,6 +120,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/questions', questionRoutes);
 app.use('/api/tests', testRoutes);
 app.use('/api/interviews', interviewRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -119,6 +167,14 @@ app.use('*', (req, res) => {
 const gracefulShutdown = async (signal) => {
   console.log(`${signal} received. Shutting down gracefully...`);
   try {
+    testExpiryService.stop();
+    irtCalibrationService.stop();
+    rankingService.stop();
+    collusionDetectionService.stop();
+    responseTimeService.stop();
+    mediaRetentionService.stop();
+    socketService.close();
+    await sessionStore.close();
     await databaseConfig.disconnect();
     process.exit(0);
   } catch (error) {
@@ -132,7 +188,7 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 🚀 YugaYatra Test System API Server Running
 📍 Port: ${PORT}
@@ -143,4 +199,7 @@ app.listen(PORT, () => {
   `);
 });
 
+// Real-time proctoring and live monitoring
+socketService.attach(server, corsOptions);
+
 module.exports = app; 
\ No newline at end of file
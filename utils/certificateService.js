@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+const BRAND_COLOR = '#f59e0b';
+const TEXT_COLOR = '#1f2937';
+
+class CertificateService {
+  constructor() {
+    this.verifyBaseUrl = process.env.CERTIFICATE_VERIFY_URL ||
+      `http://localhost:${process.env.PORT || 5000}/api/certificates/verify`;
+    this.issuerName = process.env.CERTIFICATE_ISSUER || 'YugaYatra Retail (OPC) Pvt Ltd';
+  }
+
+  /**
+   * Generate a certificate serial, e.g. YY-2026-4F1A9C3E
+   * The random part keeps serials from being guessed by counting up
+   */
+  generateCertificateNumber(issuedAt = new Date()) {
+    return `YY-${issuedAt.getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  getVerifyUrl(certificateNumber) {
+    return `${this.verifyBaseUrl}/${encodeURIComponent(certificateNumber)}`;
+  }
+
+  /**
+   * Issue a certificate for a passed, evaluated test and email it to the candidate.
+   * The test is claimed atomically, so a test never gets two serials.
+   * Returns { test, pdf }, or null when the test is not eligible or already has a certificate.
+   */
+  async issueCertificate(test, { sendEmail = true } = {}) {
+    if (test.status !== 'Evaluated' || !test.isPassed || test.certificateIssued ||
+        test.isResultHeld() || test.isResultInvalidated()) {
+      return null;
+    }
+
+    const issuedAt = new Date();
+    let issued = null;
+
+    // Retry on the rare serial collision (certificateNumber is uniquely indexed)
+    for (let attempt = 0; attempt < 3 && !issued; attempt++) {
+      try {
+        issued = await Test.findOneAndUpdate(
+          { _id: test._id, status: 'Evaluated', isPassed: true, certificateIssued: { $ne: true } },
+          {
+            $set: {
+              certificateIssued: true,
+              certificateNumber: this.generateCertificateNumber(issuedAt),
+              certificateIssuedAt: issuedAt
+            }
+          },
+          { new: true }
+        );
+
+        if (!issued) {
+          return null;
+        }
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    if (!issued) {
+      throw new Error('Could not generate a unique certificate number');
+    }
+
+    test.set({
+      certificateIssued: issued.certificateIssued,
+      certificateNumber: issued.certificateNumber,
+      certificateIssuedAt: issued.certificateIssuedAt
+    });
+
+    const pdf = await this.generatePdf(issued);
+
+    if (sendEmail) {
+      const user = await User.findById(issued.user).select('email fullName');
+      if (user && user.email) {
+        await emailService.sendCertificate(user.email, user.fullName, {
+          certificateNumber: issued.certificateNumber,
+          issuedAt: issued.certificateIssuedAt,
+          percentage: issued.score.percentage,
+          grade: issued.score.grade,
+          verifyUrl: this.getVerifyUrl(issued.certificateNumber)
+        }, pdf);
+      }
+    }
+
+    return { test: issued, pdf };
+  }
+
+  /**
+   * Render the certificate PDF for a test into a buffer.
+   * The PDF is rebuilt from the test on each download rather than stored.
+   */
+  async generatePdf(test) {
+    const qrImage = await QRCode.toBuffer(this.getVerifyUrl(test.certificateNumber), {
+      margin: 1,
+      width: 240
+    });
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { width, height } = doc.page;
+
+        // Border
+        doc.lineWidth(6).strokeColor(BRAND_COLOR).rect(20, 20, width - 40, height - 40).stroke();
+        doc.lineWidth(1).strokeColor(TEXT_COLOR).rect(32, 32, width - 64, height - 64).stroke();
+
+        // Header
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(34)
+          .text('YugaYatra', 0, 70, { align: 'center' });
+        doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(14)
+          .text('Internship Assessment', 0, 112, { align: 'center' });
+
+        doc.font('Helvetica-Bold').fontSize(26)
+          .text('Certificate of Qualification', 0, 160, { align: 'center' });
+
+        // Candidate and result
+        doc.font('Helvetica').fontSize(14)
+          .text('This is to certify that', 0, 215, { align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(28)
+          .text(test.userName, 0, 240, { align: 'center' });
+        doc.font('Helvetica').fontSize(14)
+          .text(
+            `has qualified in the ${test.testConfig.blueprintName || 'YugaYatra Internship'} assessment ` +
+            `with a score of ${test.score.percentage}% (Grade ${test.score.grade}).`,
+            100, 290, { align: 'center', width: width - 200 }
+          );
+
+        // Serial, date and verification QR code
+        const footerY = height - 150;
+        doc.fontSize(11)
+          .text(`Certificate No: ${test.certificateNumber}`, 70, footerY)
+          .text(`Issued on: ${new Date(test.certificateIssuedAt).toLocaleDateString('en-IN')}`, 70, footerY + 18)
+          .text(`Test ID: ${test.testId}`, 70, footerY + 36)
+          .text(`Issued by: ${this.issuerName}`, 70, footerY + 54);
+
+        doc.image(qrImage, width - 170, footerY - 20, { width: 100 });
+        doc.fontSize(8)
+          .text('Scan to verify', width - 170, footerY + 84, { width: 100, align: 'center' });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Certificate number as stored: numbers are issued in upper case, but may be typed in any case
+   */
+  normalizeNumber(certificateNumber) {
+    return String(certificateNumber).trim().toUpperCase();
+  }
+
+  /**
+   * Public verification details for a certificate number
+   */
+  async verify(certificateNumber) {
+    const test = await Test.findOne({ certificateNumber, certificateIssued: true })
+      .select('userName testId testConfig.blueprintName score.percentage score.grade certificateNumber certificateIssuedAt certificateRevokedAt certificateRevocationReason');
+
+    if (!test) {
+      return { valid: false, status: 'not_found' };
+    }
+
+    const revoked = Boolean(test.certificateRevokedAt);
+
+    return {
+      valid: !revoked,
+      status: revoked ? 'revoked' : 'valid',
+      certificate: {
+        certificateNumber: test.certificateNumber,
+        candidateName: test.userName,
+        assessment: test.testConfig.blueprintName || 'YugaYatra Internship Assessment',
+        percentage: test.score.percentage,
+        grade: test.score.grade,
+        issuedAt: test.certificateIssuedAt,
+        revokedAt: test.certificateRevokedAt,
+        revocationReason: test.certificateRevocationReason
+      }
+    };
+  }
+
+  /**
+   * Revoke a certificate; it stays on record and verification reports it as revoked
+   */
+  async revoke(certificateNumber, revokedBy, reason) {
+    return Test.findOneAndUpdate(
+      { certificateNumber, certificateIssued: true, certificateRevokedAt: null },
+      {
+        $set: {
+          certificateRevokedAt: new Date(),
+          certificateRevokedBy: revokedBy,
+          certificateRevocationReason: reason
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,512 @@
+const cron = require('node-cron');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const CollusionCluster = require('../models/CollusionCluster');
+
+// Wrong answers given by more candidates than this are too common to pair candidates on
+// (they still count once a pair is compared)
+const MAX_SHARED_ANSWER_GROUP = 200;
+const MAX_EXAMPLES = 10;
+
+const logFactorial = (n) => {
+  let sum = 0;
+  for (let i = 2; i <= n; i++) sum += Math.log(i);
+  return sum;
+};
+
+// P(X >= k) for X ~ Binomial(n, p)
+const binomialTail = (k, n, p) => {
+  if (k <= 0) return 1;
+  if (p <= 0) return 0;
+  if (p >= 1) return 1;
+
+  let tail = 0;
+  for (let i = k; i <= n; i++) {
+    tail += Math.exp(logFactorial(n) - logFactorial(i) - logFactorial(n - i) + i * Math.log(p) + (n - i) * Math.log(1 - p));
+  }
+  return Math.min(1, tail);
+};
+
+// Review statuses a new cluster moves to 'Under Review'; Flagged and Rejected results keep theirs
+const REVIEWABLE_STATUSES = ['Pending', 'Approved'];
+
+class CollusionDetectionService {
+  constructor() {
+    this.schedule = process.env.COLLUSION_DETECTION_CRON || '30 2 * * *';
+    this.lookbackDays = parseInt(process.env.COLLUSION_LOOKBACK_DAYS) || 30;
+    this.minIdenticalWrong = parseInt(process.env.COLLUSION_MIN_IDENTICAL_WRONG) || 4;
+    this.minWrongMatchRate = parseFloat(process.env.COLLUSION_MIN_WRONG_MATCH_RATE) || 0.6;
+    this.maxChanceProbability = parseFloat(process.env.COLLUSION_MAX_CHANCE_PROBABILITY) || 0.001;
+    this.timingWindowSeconds = parseInt(process.env.COLLUSION_TIMING_WINDOW_SECONDS) || 60;
+    this.job = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the nightly detection job (call once the database is connected)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    this.job = cron.schedule(this.schedule, async () => {
+      console.log('Running collusion detection job...');
+      await this.detect();
+    });
+  }
+
+  /**
+   * Stop the detection job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Compare the responses of candidates evaluated within the lookback window, and store
+   * clusters of candidates linked by pairs whose identical wrong answers are unlikely by chance
+   */
+  async detect() {
+    if (this.isRunning) {
+      return { success: false, error: 'Collusion detection is already running' };
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date();
+
+    try {
+      const since = new Date(startedAt.getTime() - this.lookbackDays * 24 * 60 * 60 * 1000);
+      const candidates = await this.loadCandidates(since);
+      const wrongAnswers = this.getWrongAnswerStats(candidates);
+
+      const flaggedPairs = [];
+      const candidatePairs = this.findCandidatePairs(candidates);
+      candidatePairs.forEach(([a, b]) => {
+        const pair = this.comparePair(candidates[a], candidates[b], wrongAnswers);
+        if (this.isSuspicious(pair)) {
+          flaggedPairs.push(pair);
+        }
+      });
+
+      const clusters = this.buildClusters(flaggedPairs);
+      const saved = await this.saveClusters(clusters, new Map(candidates.map(c => [c.testId, c])));
+
+      this.lastRun = {
+        startedAt,
+        completedAt: new Date(),
+        since,
+        testsCompared: candidates.length,
+        pairsCompared: candidatePairs.length,
+        pairsFlagged: flaggedPairs.length,
+        clustersFound: clusters.length,
+        clustersOpened: saved.opened,
+        clustersUpdated: saved.updated
+      };
+
+      console.log('Collusion detection completed:', this.lastRun);
+      return { success: true, ...this.lastRun };
+    } catch (error) {
+      console.error('Collusion detection error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * The comparable form of an answer: multiple-select choices in any order count as the same
+   * answer, ordering sequences only in the same order, and text is compared case-insensitively
+   */
+  getAnswerKey(question) {
+    const response = question.userResponse;
+    const selected = response.selectedOptions || [];
+
+    if (question.questionType === 'Multiple Select') {
+      return [...selected].sort().join('\n');
+    }
+    if (question.questionType === 'Ordering') {
+      return selected.join('\n');
+    }
+    return String(response.selectedOption || response.selectedAnswer || '').toLowerCase().trim();
+  }
+
+  /**
+   * Evaluated, non-rejected tests since a date, each with its answers by question
+   */
+  async loadCandidates(since) {
+    const candidates = [];
+    const cursor = Test.find({ status: 'Evaluated', reviewStatus: { $ne: 'Rejected' }, submittedAt: { $gte: since } })
+      .select('testId user userName submittedAt reviewStatus score.percentage proctoring.ipAddress questions.questionId questions.questionType questions.isCorrect questions.regrade questions.userResponse')
+      .lean()
+      .cursor();
+
+    for await (const test of cursor) {
+      const answers = new Map();
+      test.questions.forEach(q => {
+        // Dropped questions have no right answer left to compare against
+        if (q.userResponse && q.userResponse.isAnswered && q.regrade !== 'drop') {
+          answers.set(q.questionId.toString(), {
+            answer: this.getAnswerKey(q),
+            correct: Boolean(q.isCorrect),
+            answeredAt: q.userResponse.answeredAt
+          });
+        }
+      });
+
+      candidates.push({
+        test: test._id,
+        testId: test.testId,
+        user: test.user,
+        userName: test.userName,
+        submittedAt: test.submittedAt,
+        score: test.score ? test.score.percentage : null,
+        reviewStatus: test.reviewStatus,
+        ipAddress: test.proctoring ? test.proctoring.ipAddress : null,
+        answers
+      });
+    }
+
+    const users = await User.find({ _id: { $in: [...new Set(candidates.map(c => c.user.toString()))] } })
+      .select('profile.education.institution')
+      .lean();
+    const institutions = new Map(users.map(user => [
+      user._id.toString(),
+      user.profile && user.profile.education ? user.profile.education.institution : null
+    ]));
+    candidates.forEach(candidate => {
+      candidate.institution = institutions.get(candidate.user.toString()) || null;
+    });
+
+    return candidates;
+  }
+
+  /**
+   * For each question, how often each wrong answer was given, and the chance that two
+   * candidates who both got it wrong gave the same wrong answer independently (sum of squared shares)
+   */
+  getWrongAnswerStats(candidates) {
+    const stats = new Map();
+
+    candidates.forEach(candidate => {
+      candidate.answers.forEach(({ answer, correct }, questionId) => {
+        if (correct) return;
+        if (!stats.has(questionId)) stats.set(questionId, { total: 0, counts: new Map() });
+
+        const question = stats.get(questionId);
+        question.total++;
+        question.counts.set(answer, (question.counts.get(answer) || 0) + 1);
+      });
+    });
+
+    stats.forEach(question => {
+      question.matchChance = [...question.counts.values()]
+        .reduce((sum, count) => sum + (count / question.total) ** 2, 0);
+    });
+
+    return stats;
+  }
+
+  /**
+   * Pairs worth a full comparison: candidates sharing enough identical wrong answers, or an IP address.
+   * Comparing every pair would be quadratic in the number of tests, so pairs come from an index
+   * of who gave which wrong answer. Returns pairs of indexes into candidates.
+   */
+  findCandidatePairs(candidates) {
+    const groups = new Map();
+    const addToGroup = (key, index) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    };
+
+    candidates.forEach((candidate, index) => {
+      candidate.answers.forEach(({ answer, correct }, questionId) => {
+        if (!correct) addToGroup(`answer:${questionId}:${answer}`, index);
+      });
+      if (candidate.ipAddress) addToGroup(`ip:${candidate.ipAddress}`, index);
+    });
+
+    const sharedWrong = new Map();
+    const sharedIp = new Set();
+
+    groups.forEach((members, key) => {
+      if (members.length < 2 || members.length > MAX_SHARED_ANSWER_GROUP) return;
+      const isIp = key.startsWith('ip:');
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const pairKey = `${members[i]}:${members[j]}`;
+          if (isIp) {
+            sharedIp.add(pairKey);
+          } else {
+            sharedWrong.set(pairKey, (sharedWrong.get(pairKey) || 0) + 1);
+          }
+        }
+      }
+    });
+
+    const pairKeys = new Set(sharedIp);
+    sharedWrong.forEach((count, pairKey) => {
+      if (count >= this.minIdenticalWrong) pairKeys.add(pairKey);
+    });
+
+    return [...pairKeys].map(pairKey => pairKey.split(':').map(Number));
+  }
+
+  /**
+   * Evidence for one pair: overlap, identical (wrong) answers against what chance would give,
+   * identical answers given at nearly the same time, and a shared IP address or institution
+   */
+  comparePair(a, b, wrongAnswers) {
+    const pair = {
+      tests: [a.testId, b.testId],
+      sharedQuestions: 0,
+      identicalAnswers: 0,
+      bothWrong: 0,
+      identicalWrong: 0,
+      expectedIdenticalWrong: 0,
+      synchronousAnswers: 0,
+      sharedIpAddress: Boolean(a.ipAddress) && a.ipAddress === b.ipAddress,
+      sameInstitution: Boolean(a.institution && b.institution) &&
+        a.institution.toLowerCase().trim() === b.institution.toLowerCase().trim(),
+      examples: []
+    };
+
+    a.answers.forEach((answerA, questionId) => {
+      const answerB = b.answers.get(questionId);
+      if (!answerB) return;
+
+      pair.sharedQuestions++;
+      const identical = answerA.answer === answerB.answer;
+      const secondsApart = answerA.answeredAt && answerB.answeredAt ?
+        Math.round(Math.abs(answerA.answeredAt - answerB.answeredAt) / 1000) :
+        null;
+
+      if (identical) {
+        pair.identicalAnswers++;
+        if (secondsApart !== null && secondsApart <= this.timingWindowSeconds) {
+          pair.synchronousAnswers++;
+        }
+      }
+
+      if (answerA.correct || answerB.correct) return;
+
+      const question = wrongAnswers.get(questionId);
+      pair.bothWrong++;
+      pair.expectedIdenticalWrong += question.matchChance;
+
+      if (identical) {
+        pair.identicalWrong++;
+        pair.examples.push({
+          questionId,
+          answer: answerA.answer,
+          frequency: Math.round((question.counts.get(answerA.answer) / question.total) * 1000) / 1000,
+          secondsApart
+        });
+      }
+    });
+
+    // Chance of this many identical wrong answers between independent candidates, taking each
+    // question's match chance as the average one
+    pair.chanceProbability = pair.bothWrong > 0 ?
+      binomialTail(pair.identicalWrong, pair.bothWrong, pair.expectedIdenticalWrong / pair.bothWrong) :
+      1;
+    pair.expectedIdenticalWrong = Math.round(pair.expectedIdenticalWrong * 100) / 100;
+    pair.examples = pair.examples.sort((x, y) => x.frequency - y.frequency).slice(0, MAX_EXAMPLES);
+    pair.score = this.scorePair(pair);
+
+    return pair;
+  }
+
+  /**
+   * 0-100: mostly how unlikely the identical wrong answers are by chance (full marks at one in a
+   * million), then how many identical answers were given within the timing window, then a shared
+   * IP address. The same institution is reported but not scored, as classmates taking the test is expected.
+   */
+  scorePair(pair) {
+    const answerEvidence = Math.min(1, -Math.log10(Math.max(pair.chanceProbability, 1e-12)) / 6);
+    const timingEvidence = pair.identicalAnswers > 0 ? pair.synchronousAnswers / pair.identicalAnswers : 0;
+
+    return Math.round(100 * (0.6 * answerEvidence + 0.25 * timingEvidence + 0.15 * (pair.sharedIpAddress ? 1 : 0)));
+  }
+
+  /**
+   * A pair is flagged on its answers alone: enough identical wrong answers, making up most of the
+   * questions both got wrong, and unlikely to be that many by chance
+   */
+  isSuspicious(pair) {
+    return pair.identicalWrong >= this.minIdenticalWrong &&
+      pair.identicalWrong / pair.bothWrong >= this.minWrongMatchRate &&
+      pair.chanceProbability <= this.maxChanceProbability;
+  }
+
+  /**
+   * Group flagged pairs into clusters of connected tests (union-find on testIds)
+   */
+  buildClusters(pairs) {
+    const parent = new Map();
+    const find = (testId) => {
+      if (!parent.has(testId)) parent.set(testId, testId);
+      let root = testId;
+      while (parent.get(root) !== root) root = parent.get(root);
+      parent.set(testId, root);
+      return root;
+    };
+
+    pairs.forEach(pair => {
+      parent.set(find(pair.tests[0]), find(pair.tests[1]));
+    });
+
+    const clusters = new Map();
+    pairs.forEach(pair => {
+      const root = find(pair.tests[0]);
+      if (!clusters.has(root)) clusters.set(root, { testIds: new Set(), pairs: [] });
+      const cluster = clusters.get(root);
+      pair.tests.forEach(testId => cluster.testIds.add(testId));
+      cluster.pairs.push(pair);
+    });
+
+    return [...clusters.values()].map(cluster => ({
+      testIds: [...cluster.testIds].sort(),
+      pairs: cluster.pairs.sort((x, y) => y.score - x.score)
+    }));
+  }
+
+  /**
+   * Store clusters. A cluster already reviewed with the same members is left alone; open
+   * clusters sharing members with a new one are merged into it. Members newly under suspicion
+   * have their result's review status set to 'Under Review'.
+   */
+  async saveClusters(clusters, candidatesByTestId) {
+    const counts = { opened: 0, updated: 0 };
+
+    for (const cluster of clusters) {
+      if (await CollusionCluster.exists({ memberKey: cluster.testIds.join(','), status: { $ne: 'Open' } })) {
+        continue;
+      }
+
+      const open = await CollusionCluster.find({ status: 'Open', 'members.testId': { $in: cluster.testIds } })
+        .sort({ detectedAt: 1 });
+      const previousMembers = new Map();
+      open.forEach(c => c.members.forEach(member => previousMembers.set(member.testId, member)));
+
+      // Members submitted before the lookback window were not compared this time; keep them and their pairs
+      const retained = [...previousMembers.values()].filter(member => !candidatesByTestId.has(member.testId));
+      const testIds = [...cluster.testIds, ...retained.map(member => member.testId)].sort();
+      const pairs = [
+        ...cluster.pairs,
+        ...open.flatMap(c => c.pairs.filter(pair => pair.tests.some(testId => !candidatesByTestId.has(testId))))
+      ].sort((x, y) => y.score - x.score);
+      const memberKey = testIds.join(',');
+
+      const members = testIds.map(testId => {
+        const candidate = candidatesByTestId.get(testId);
+        const previous = previousMembers.get(testId);
+        if (!candidate) {
+          return previous.toObject();
+        }
+        return {
+          test: candidate.test,
+          testId,
+          user: candidate.user,
+          userName: candidate.userName,
+          institution: candidate.institution,
+          ipAddress: candidate.ipAddress,
+          submittedAt: candidate.submittedAt,
+          score: candidate.score,
+          previousReviewStatus: previous ? previous.previousReviewStatus : candidate.reviewStatus
+        };
+      });
+
+      const fields = {
+        members,
+        memberKey,
+        pairs,
+        score: pairs[0].score,
+        lastDetectedAt: new Date()
+      };
+
+      let saved;
+      if (open.length > 0) {
+        saved = await CollusionCluster.findByIdAndUpdate(open[0]._id, { $set: fields }, { new: true });
+        if (open.length > 1) {
+          await CollusionCluster.deleteMany({ _id: { $in: open.slice(1).map(c => c._id) } });
+        }
+        counts.updated++;
+      } else {
+        saved = await CollusionCluster.create(fields);
+        counts.opened++;
+      }
+
+      const newTestIds = testIds.filter(testId => !previousMembers.has(testId));
+      if (newTestIds.length > 0) {
+        await Test.updateMany(
+          { testId: { $in: newTestIds }, reviewStatus: { $in: REVIEWABLE_STATUSES } },
+          {
+            $set: { reviewStatus: 'Under Review' },
+            $push: { reviewComments: `Possible collusion with ${testIds.length - 1} other candidate(s) (cluster ${saved._id})` }
+          }
+        );
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Confirm an open cluster, rejecting every member's result, or dismiss it, restoring the
+   * review status members had before it was found. Returns the reviewed cluster, or null if
+   * it was not open (already reviewed by someone else).
+   */
+  async reviewCluster(clusterId, action, reviewedBy, comments) {
+    const reviewedAt = new Date();
+    const cluster = await CollusionCluster.findOneAndUpdate(
+      { _id: clusterId, status: 'Open' },
+      {
+        $set: {
+          status: action === 'confirm' ? 'Confirmed' : 'Dismissed',
+          reviewedBy,
+          reviewedAt,
+          reviewComments: comments
+        }
+      },
+      { new: true }
+    );
+    if (!cluster) {
+      return null;
+    }
+
+    const testIds = cluster.members.map(member => member.testId);
+
+    if (action === 'confirm') {
+      // Rejected results count as released, so the candidate sees them as invalidated
+      await Test.updateMany({ testId: { $in: testIds }, resultReleasedAt: null }, { $set: { resultReleasedAt: reviewedAt } });
+      await Test.updateMany(
+        { testId: { $in: testIds } },
+        {
+          $set: { reviewStatus: 'Rejected', reviewedBy, reviewedAt },
+          $push: { reviewComments: `Collusion confirmed: ${comments}` }
+        }
+      );
+      return cluster;
+    }
+
+    for (const member of cluster.members) {
+      await Test.updateOne(
+        { testId: member.testId, reviewStatus: 'Under Review' },
+        {
+          $set: { reviewStatus: member.previousReviewStatus || 'Pending' },
+          $push: { reviewComments: `Collusion dismissed: ${comments}` }
+        }
+      );
+    }
+
+    return cluster;
+  }
+}
+
+module.exports = new CollusionDetectionService();
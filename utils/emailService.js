@@ -371,6 +371,18 @@ class EmailService {
         `;
         break;
         
+      case 'result_pending_review':
+        subject = 'Result Awaiting Review - YugaYatra';
+        html = `
+          <h2>Result Awaiting Review</h2>
+          <p><strong>Candidate:</strong> ${data.name}</p>
+          <p><strong>Test ID:</strong> ${data.testId}</p>
+          <p><strong>Score:</strong> ${data.percentage}% (${data.isPassed ? 'PASSED' : 'FAILED'})</p>
+          <p><strong>Proctoring Risk:</strong> ${data.riskLevel}</p>
+          <p>This result is held until an admin approves or rejects it.</p>
+        `;
+        break;
+        
       case 'system_alert':
         subject = `System Alert - ${data.alertType}`;
         html = `
@@ -792,6 +804,103 @@ class EmailService {
     return await this.sendEmail(email, subject, html);
   }
 
+  async sendCertificate(email, candidateName, certificate, pdfBuffer) {
+    const subject = `Your Certificate ${certificate.certificateNumber} - YugaYatra`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; background-color: #f4f4f4; margin: 0; padding: 20px; }
+          .container { max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .banner { background-color: #f59e0b; color: white; padding: 25px; text-align: center; border-radius: 8px; margin-bottom: 20px; }
+          .details { background-color: #fafafa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="banner">
+            <h2 style="margin: 0;">🎓 Certificate of Qualification</h2>
+          </div>
+          
+          <p>Dear ${candidateName},</p>
+          <p>Congratulations on qualifying in the YugaYatra Internship Assessment. Your certificate is attached to this email.</p>
+          
+          <div class="details">
+            <ul>
+              <li><strong>Certificate No:</strong> ${certificate.certificateNumber}</li>
+              <li><strong>Issued On:</strong> ${new Date(certificate.issuedAt).toLocaleDateString()}</li>
+              <li><strong>Score:</strong> ${certificate.percentage}% (Grade ${certificate.grade})</li>
+            </ul>
+          </div>
+          
+          <p>Employers can confirm your certificate is genuine by scanning its QR code or visiting:<br>
+            <a href="${certificate.verifyUrl}">${certificate.verifyUrl}</a></p>
+          
+          <div class="footer">
+            <p>Best regards,<br>YugaYatra Team</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, subject, html, [{
+      filename: `YugaYatra-Certificate-${certificate.certificateNumber}.pdf`,
+      content: pdfBuffer,
+      contentType: 'application/pdf'
+    }]);
+  }
+
+  async sendRegradeNotification(email, candidateName, regrade) {
+    const subject = `Your Test Result Has Been Updated - YugaYatra`;
+    const outcome = regrade.isPassed ? 'PASSED' : 'NOT PASSED';
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; background-color: #f4f4f4; margin: 0; padding: 20px; }
+          .container { max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .banner { background-color: ${regrade.isPassed ? '#10b981' : '#ef4444'}; color: white; padding: 25px; text-align: center; border-radius: 8px; margin-bottom: 20px; }
+          .details { background-color: #fafafa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="banner">
+            <h2 style="margin: 0;">Result Updated: ${outcome}</h2>
+          </div>
+          
+          <p>Dear ${candidateName},</p>
+          <p>We found and corrected an error in the answer key of a question in your test, and your test has been re-graded.</p>
+          
+          <div class="details">
+            <ul>
+              <li><strong>Test ID:</strong> ${regrade.testId}</li>
+              <li><strong>Previous Score:</strong> ${regrade.previousPercentage}% (Grade ${regrade.previousGrade})</li>
+              <li><strong>Updated Score:</strong> ${regrade.percentage}% (Grade ${regrade.grade})</li>
+              <li><strong>Status:</strong> ${outcome}</li>
+            </ul>
+          </div>
+          
+          <p>${regrade.isPassed ?
+            'Congratulations! Your certificate will be emailed to you separately.' :
+            'We apologise for the confusion. Any certificate issued for this test has been revoked.'}</p>
+          
+          <div class="footer">
+            <p>Best regards,<br>YugaYatra Team</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, subject, html);
+  }
+
   async sendInterviewReschedule(email, candidateName, rescheduleDetails) {
     const subject = 'Interview Rescheduled - YugaYatra';
     const html = `
@@ -0,0 +1,360 @@
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const Test = require('../models/Test');
+const Admin = require('../models/Admin');
+const ProctoringSession = require('../models/ProctoringSession');
+const mediaStore = require('./mediaStore');
+const proctoringPolicy = require('./proctoringPolicy');
+
+const THUMBNAIL_WIDTH = 160;
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const SEVERITY_COLORS = {
+  minor: '#b45309',
+  major: '#c2410c',
+  critical: '#b91c1c'
+};
+
+const formatTime = (date) => `${new Date(date).toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+
+class EvidenceTimelineService {
+  /**
+   * Build one chronological timeline of everything recorded about a test: its lifecycle,
+   * answers, flags, violations, screenshots, resumes and network changes, connection gaps
+   * and admin actions. Returns null when the test does not exist.
+   */
+  async buildTimeline(testId) {
+    const test = await Test.findOne({ testId });
+    if (!test) {
+      return null;
+    }
+
+    const [session, admins] = await Promise.all([
+      ProctoringSession.findOne({ test: test._id }).lean(),
+      Admin.find({ $or: [{ 'activityLog.details.testId': testId }, { 'activityLog.details.testIds': testId }] })
+        .select('fullName activityLog')
+        .lean()
+    ]);
+
+    const events = [
+      ...this.getLifecycleEvents(test),
+      ...this.getAnswerEvents(test),
+      ...this.getProctoringEvents(test, session),
+      ...this.getAdminEvents(testId, admins)
+    ]
+      .filter(event => event.at)
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return {
+      test: {
+        testId: test.testId,
+        userName: test.userName,
+        userPhone: test.userPhone,
+        status: test.status,
+        completionReason: test.completionReason,
+        startTime: test.startTime,
+        endTime: test.endTime,
+        score: test.score ? test.score.percentage : null,
+        grade: test.score ? test.score.grade : null,
+        reviewStatus: test.reviewStatus,
+        ipAddress: test.proctoring.ipAddress,
+        userAgent: test.proctoring.browserInfo.userAgent,
+        proctoring: test.getProctoringSummary(),
+        responseTimes: test.analytics.responseTimeAnomaly || null
+      },
+      events,
+      generatedAt: new Date()
+    };
+  }
+
+  getLifecycleEvents(test) {
+    const events = [
+      { at: test.createdAt, category: 'test', type: 'test_scheduled', description: 'Test scheduled' },
+      { at: test.startTime, category: 'test', type: 'test_started', description: 'Test started' }
+    ];
+
+    test.sections.forEach(section => {
+      events.push(
+        { at: section.startedAt, category: 'test', type: 'section_started', description: `Section ${section.sectionNumber} (${section.name}) started` },
+        { at: section.endedAt, category: 'test', type: 'section_ended', description: `Section ${section.sectionNumber} (${section.name}) ended` }
+      );
+    });
+
+    if (test.submittedAt) {
+      events.push({
+        at: test.submittedAt,
+        category: 'test',
+        type: 'test_submitted',
+        description: `Test submitted (${test.completionReason || 'submitted'})`,
+        details: { endTime: test.endTime, completionReason: test.completionReason }
+      });
+    }
+
+    if (test.reviewedAt) {
+      events.push({
+        at: test.reviewedAt,
+        category: 'test',
+        type: 'result_reviewed',
+        description: `Result marked ${test.reviewStatus} by ${test.reviewedBy}`,
+        details: { reviewStatus: test.reviewStatus, comments: test.reviewComments }
+      });
+    }
+
+    return events;
+  }
+
+  getAnswerEvents(test) {
+    const events = [];
+
+    // Only the latest answer to each question is stored, at the time it was last changed
+    test.questions.forEach(q => {
+      const response = q.userResponse;
+      if (!response.isAnswered || !response.answeredAt) return;
+
+      const answer = response.selectedOptions && response.selectedOptions.length > 0 ?
+        response.selectedOptions.join(', ') :
+        response.selectedAnswer;
+      const result = q.isCorrect === null ? '' : (q.isCorrect ? ', correct' : ', wrong');
+
+      events.push({
+        at: response.answeredAt,
+        category: 'answer',
+        type: 'answered',
+        description: `Q${q.questionNumber} answered in ${response.timeSpent}s${result}: ${answer}`,
+        details: { questionNumber: q.questionNumber, answer, isCorrect: q.isCorrect, timeSpent: response.timeSpent }
+      });
+    });
+
+    test.analytics.attemptPattern.forEach(entry => {
+      events.push({
+        at: entry.timestamp,
+        category: 'flag',
+        type: entry.action,
+        description: `Q${entry.questionNumber} ${entry.action}`,
+        details: { questionNumber: entry.questionNumber }
+      });
+    });
+
+    return events;
+  }
+
+  getProctoringEvents(test, session) {
+    const { proctoring } = test;
+    const events = [];
+
+    // Violations come from the stored session; tests from before sessions were stored only
+    // have them as suspicious activities on the test
+    const activities = session ?
+      proctoring.suspiciousActivities.filter(activity => proctoringPolicy.isSessionEvent(activity.type)) :
+      proctoring.suspiciousActivities;
+
+    activities.forEach(activity => {
+      events.push({
+        at: activity.timestamp,
+        category: proctoringPolicy.isSessionEvent(activity.type) ? 'session' : 'violation',
+        type: activity.type,
+        description: activity.description || activity.type,
+        details: { ipAddress: activity.ipAddress, userAgent: activity.userAgent }
+      });
+    });
+
+    if (session) {
+      session.violations.forEach(violation => {
+        events.push({
+          at: violation.occurredAt || violation.recordedAt,
+          category: 'violation',
+          type: violation.type,
+          severity: violation.severity,
+          description: violation.description || violation.type,
+          details: { ...violation.details, ipAddress: violation.ipAddress, userAgent: violation.userAgent }
+        });
+      });
+
+      session.screenshots.forEach(screenshot => {
+        const faces = typeof screenshot.faceCount === 'number' ? `, ${screenshot.faceCount} face(s)` : '';
+        const identity = typeof screenshot.identitySimilarity === 'number' ?
+          `, similarity to profile photo ${screenshot.identitySimilarity}` :
+          '';
+        const purged = screenshot.purgedAt ? ` (image purged ${formatTime(screenshot.purgedAt)})` : '';
+
+        events.push({
+          at: screenshot.capturedAt,
+          category: 'screenshot',
+          type: 'screenshot',
+          description: `Webcam snapshot ${screenshot.filename}${faces}${identity}${purged}`,
+          screenshot: {
+            filename: screenshot.filename,
+            storageKey: mediaStore.getScreenshotKey(screenshot),
+            sha256: screenshot.sha256,
+            faceCount: screenshot.faceCount,
+            identitySimilarity: screenshot.identitySimilarity,
+            purgedAt: screenshot.purgedAt
+          }
+        });
+      });
+    }
+
+    (proctoring.offlineIntervals || []).forEach(interval => {
+      events.push({
+        at: interval.start,
+        category: 'connection',
+        type: 'offline',
+        description: `No heartbeat for ${interval.durationSeconds}s (until ${formatTime(interval.end)})`,
+        details: interval
+      });
+    });
+
+    if (proctoring.warnedAt) {
+      events.push({ at: proctoring.warnedAt, category: 'violation', type: 'policy_warning', description: 'Candidate warned by the proctoring policy' });
+    }
+    if (proctoring.flaggedAt) {
+      events.push({ at: proctoring.flaggedAt, category: 'violation', type: 'flagged_for_review', description: 'Result flagged for review by the proctoring policy' });
+    }
+
+    return events;
+  }
+
+  getAdminEvents(testId, admins) {
+    return admins.flatMap(admin => admin.activityLog
+      .filter(activity => activity.details &&
+        (activity.details.testId === testId || (Array.isArray(activity.details.testIds) && activity.details.testIds.includes(testId))))
+      .map(activity => ({
+        at: activity.timestamp,
+        category: 'admin',
+        type: activity.action,
+        description: `${activity.action} by ${admin.fullName}`,
+        details: activity.details
+      })));
+  }
+
+  /**
+   * Small JPEG of a screenshot for the PDF, or null when there is no image or sharp is unavailable
+   */
+  async getThumbnail(image) {
+    if (!image) {
+      return null;
+    }
+
+    try {
+      const sharp = require('sharp');
+      return await sharp(image).resize(THUMBNAIL_WIDTH * 2).jpeg({ quality: 70 }).toBuffer();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Render the timeline as a PDF buffer, with a thumbnail under each screenshot event.
+   * `images` maps screenshot filenames to images already read from the media store.
+   */
+  async generatePdf(timeline, images = null) {
+    const thumbnails = new Map();
+    for (const event of timeline.events) {
+      if (event.screenshot) {
+        const image = images ? images.get(event.screenshot.filename) : await this.readScreenshot(event.screenshot);
+        thumbnails.set(event.screenshot.filename, await this.getThumbnail(image));
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { test } = timeline;
+        const bottom = doc.page.height - doc.page.margins.bottom;
+
+        // Summary
+        doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(18).text('Proctoring Evidence Timeline');
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(10)
+          .text(`Test ID: ${test.testId}`)
+          .text(`Candidate: ${test.userName} (${test.userPhone})`)
+          .text(`Status: ${test.status}${test.completionReason ? ` (${test.completionReason})` : ''}, review: ${test.reviewStatus}`)
+          .text(`Started: ${test.startTime ? formatTime(test.startTime) : '-'}   Ended: ${test.endTime ? formatTime(test.endTime) : '-'}`)
+          .text(`Score: ${test.score !== null ? `${test.score}%` : '-'}   Risk: ${test.proctoring.riskScore} (${test.proctoring.riskLevel})   Violations: ${test.proctoring.totalViolations}`)
+          .text(`IP address: ${test.ipAddress || '-'}`);
+        if (test.responseTimes) {
+          doc.text(`Response time anomaly score: ${test.responseTimes.score} (${test.responseTimes.flaggedItems} flagged item(s))`);
+        }
+        doc.fillColor(MUTED_COLOR).fontSize(8).text(`Generated ${formatTime(timeline.generatedAt)}, ${timeline.events.length} events`);
+        doc.moveDown();
+
+        // Events
+        timeline.events.forEach(event => {
+          if (doc.y + 30 > bottom) doc.addPage();
+
+          const color = SEVERITY_COLORS[event.severity] || TEXT_COLOR;
+          doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+            .text(`${formatTime(event.at)}  ${event.category.toUpperCase()}${event.severity ? ` (${event.severity})` : ''}`);
+          doc.fillColor(color).fontSize(10).text(event.description);
+
+          if (event.screenshot) {
+            const thumbnail = thumbnails.get(event.screenshot.filename);
+            if (thumbnail) {
+              const height = THUMBNAIL_WIDTH * 0.75;
+              if (doc.y + height > bottom) doc.addPage();
+              doc.image(thumbnail, doc.page.margins.left, doc.y + 4, { fit: [THUMBNAIL_WIDTH, height] });
+              doc.y += height + 8;
+            } else {
+              doc.fillColor(MUTED_COLOR).fontSize(8).text('(image not available)');
+            }
+          }
+
+          doc.moveDown(0.4);
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * ZIP bundle of the timeline as JSON and PDF plus the original screenshots.
+   * Returns the archive unfinalized: pipe it to the response, then call finalize().
+   */
+  async createArchive(timeline) {
+    const images = new Map();
+    for (const event of timeline.events) {
+      if (event.screenshot) {
+        images.set(event.screenshot.filename, await this.readScreenshot(event.screenshot));
+      }
+    }
+
+    const pdf = await this.generatePdf(timeline, images);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.append(JSON.stringify(timeline, null, 2), { name: 'timeline.json' });
+    archive.append(pdf, { name: 'timeline.pdf' });
+
+    images.forEach((image, filename) => {
+      if (image) {
+        archive.append(image, { name: `screenshots/${filename}` });
+      }
+    });
+
+    return archive;
+  }
+
+  // A screenshot's image from the media store, or null when it was purged or cannot be read
+  async readScreenshot(screenshot) {
+    if (screenshot.purgedAt) {
+      return null;
+    }
+
+    try {
+      return await mediaStore.read(screenshot.storageKey);
+    } catch (error) {
+      console.error('Screenshot read error:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new EvidenceTimelineService();
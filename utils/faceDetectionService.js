@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Face detection for proctoring snapshots.
+ *
+ * A detector is any object with `name` and `detect(image)`, where image is
+ * { data, width, height, channels, sha256 } with raw RGB (or RGBA) pixels, resolving to
+ * { faceCount, confidence, faces: [{ score, box: { x, y, width, height } }] }.
+ * `confidence` is how sure the detector is of faceCount: the lowest score among the counted
+ * faces, or, when none was found, one minus the score of the best rejected candidate.
+ *
+ * Detectors that support identity checks also have `embed(image)`, resolving to
+ * { faceCount, descriptor, score }: a face embedding (array of numbers) when the image has
+ * exactly one face, null otherwise.
+ *
+ * FACE_DETECTOR selects the detector: `local` (default) runs a bundled model on the CPU,
+ * `fixture` answers from a JSON file for deterministic tests, and `none` turns detection off.
+ */
+
+// Candidates below this score are ignored altogether; they only lower a no-face confidence
+const CANDIDATE_SCORE = 0.2;
+
+const summarize = (candidates, minConfidence) => {
+  const faces = candidates.filter(face => face.score >= minConfidence);
+  const rejected = candidates.filter(face => face.score < minConfidence);
+
+  const confidence = faces.length > 0 ?
+    Math.min(...faces.map(face => face.score)) :
+    1 - Math.max(0, ...rejected.map(face => face.score));
+
+  return {
+    faceCount: faces.length,
+    confidence: Math.round(confidence * 1000) / 1000,
+    faces
+  };
+};
+
+/**
+ * Offline detector: face-api models shipped with @vladmandic/face-api, run by TensorFlow.js
+ * on its WebAssembly backend (pure JavaScript CPU backend as a fallback). No external API is called.
+ */
+class LocalFaceDetector {
+  constructor({ model = 'ssd', minConfidence = 0.5 } = {}) {
+    this.name = `local-${model}`;
+    this.model = model;
+    this.minConfidence = minConfidence;
+    this.loading = null;
+    this.loadingRecognition = null;
+    // Detections run one at a time: each one keeps the CPU busy and holds its own tensors
+    this.queue = Promise.resolve();
+  }
+
+  // Load TensorFlow.js and the model on first use, so servers without proctoring never pay for it
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const tf = require('@tensorflow/tfjs');
+        const wasm = require('@tensorflow/tfjs-backend-wasm');
+        const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+
+        wasm.setWasmPaths(path.dirname(require.resolve('@tensorflow/tfjs-backend-wasm')) + path.sep);
+        if (!await tf.setBackend('wasm')) {
+          await tf.setBackend('cpu');
+        }
+        await tf.ready();
+
+        const modelDir = path.join(path.dirname(require.resolve('@vladmandic/face-api')), '..', 'model');
+        const net = this.model === 'tiny' ? faceapi.nets.tinyFaceDetector : faceapi.nets.ssdMobilenetv1;
+        await net.loadFromDisk(modelDir);
+
+        console.log(`🙂 Face detector ready (${this.name}, ${tf.getBackend()} backend)`);
+        return { tf, faceapi, modelDir };
+      })();
+
+      // Let a failed load be retried on the next snapshot
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  // Landmark and recognition models are only needed for identity checks
+  loadRecognition() {
+    if (!this.loadingRecognition) {
+      this.loadingRecognition = (async () => {
+        const loaded = await this.load();
+        await loaded.faceapi.nets.faceLandmark68Net.loadFromDisk(loaded.modelDir);
+        await loaded.faceapi.nets.faceRecognitionNet.loadFromDisk(loaded.modelDir);
+        return loaded;
+      })();
+
+      this.loadingRecognition.catch(() => {
+        this.loadingRecognition = null;
+      });
+    }
+    return this.loadingRecognition;
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  detect(image) {
+    return this.enqueue(() => this.runDetection(image));
+  }
+
+  embed(image) {
+    return this.enqueue(() => this.runEmbedding(image));
+  }
+
+  toTensor(tf, { data, width, height, channels = 3 }) {
+    return tf.tidy(() => {
+      const pixels = tf.tensor3d(new Uint8Array(data), [height, width, channels], 'int32');
+      return channels === 3 ? pixels : pixels.slice([0, 0, 0], [height, width, 3]);
+    });
+  }
+
+  getOptions(faceapi, minScore) {
+    return this.model === 'tiny' ?
+      new faceapi.TinyFaceDetectorOptions({ scoreThreshold: minScore, inputSize: 416 }) :
+      new faceapi.SsdMobilenetv1Options({ minConfidence: minScore });
+  }
+
+  async runDetection(image) {
+    const { tf, faceapi } = await this.load();
+    const input = this.toTensor(tf, image);
+
+    try {
+      const detections = await faceapi.detectAllFaces(input, this.getOptions(faceapi, CANDIDATE_SCORE));
+
+      return summarize(detections.map(detection => ({
+        score: Math.round(detection.score * 1000) / 1000,
+        box: {
+          x: Math.round(detection.box.x),
+          y: Math.round(detection.box.y),
+          width: Math.round(detection.box.width),
+          height: Math.round(detection.box.height)
+        }
+      })), this.minConfidence);
+    } finally {
+      input.dispose();
+    }
+  }
+
+  async runEmbedding(image) {
+    const { tf, faceapi } = await this.loadRecognition();
+    const input = this.toTensor(tf, image);
+
+    try {
+      const faces = await faceapi.detectAllFaces(input, this.getOptions(faceapi, this.minConfidence))
+        .withFaceLandmarks()
+        .withFaceDescriptors();
+
+      if (faces.length !== 1) {
+        return { faceCount: faces.length, descriptor: null, score: null };
+      }
+      return {
+        faceCount: 1,
+        descriptor: Array.from(faces[0].descriptor),
+        score: Math.round(faces[0].detection.score * 1000) / 1000
+      };
+    } finally {
+      input.dispose();
+    }
+  }
+}
+
+/**
+ * Deterministic detector for tests: results come from a JSON file keyed by the SHA-256 of the
+ * uploaded image, with a `default` entry for anything else. Entries are
+ * { faceCount, confidence } or { faces: [{ score, box }] }, plus a `descriptor` for identity checks.
+ */
+class FixtureFaceDetector {
+  constructor({ fixturesPath, minConfidence = 0.5 } = {}) {
+    this.name = 'fixture';
+    this.minConfidence = minConfidence;
+    this.fixtures = fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+  }
+
+  async detect(image) {
+    const fixture = this.fixtures[image.sha256] || this.fixtures.default || { faceCount: 1, confidence: 1 };
+
+    if (fixture.faces) {
+      return summarize(fixture.faces, this.minConfidence);
+    }
+    return { faceCount: fixture.faceCount, confidence: fixture.confidence, faces: [] };
+  }
+
+  async embed(image) {
+    const { faceCount } = await this.detect(image);
+    const fixture = this.fixtures[image.sha256] || this.fixtures.default || {};
+
+    if (faceCount !== 1 || !fixture.descriptor) {
+      return { faceCount, descriptor: null, score: null };
+    }
+    return { faceCount, descriptor: fixture.descriptor, score: 1 };
+  }
+}
+
+class FaceDetectionService {
+  constructor() {
+    this.minConfidence = parseFloat(process.env.FACE_DETECTION_MIN_CONFIDENCE) || 0.5;
+    this.detector = this.createDetector(process.env.FACE_DETECTOR || 'local');
+  }
+
+  createDetector(type) {
+    switch (type) {
+      case 'none':
+        return null;
+      case 'fixture':
+        return new FixtureFaceDetector({
+          fixturesPath: process.env.FACE_DETECTOR_FIXTURES,
+          minConfidence: this.minConfidence
+        });
+      case 'local':
+        return new LocalFaceDetector({
+          model: process.env.FACE_DETECTOR_MODEL === 'tiny' ? 'tiny' : 'ssd',
+          minConfidence: this.minConfidence
+        });
+      default:
+        console.warn(`⚠️ Unknown face detector "${type}" (expected local, fixture or none) - face detection disabled`);
+        return null;
+    }
+  }
+
+  /**
+   * Replace the detector, e.g. with a stub in tests; null turns detection off
+   */
+  useDetector(detector) {
+    this.detector = detector;
+  }
+
+  isEnabled() {
+    return Boolean(this.detector);
+  }
+
+  getDetectorName() {
+    return this.detector ? this.detector.name : null;
+  }
+
+  /**
+   * Detect faces in a decoded image. Returns null when detection is off.
+   */
+  async detect(image) {
+    if (!this.detector) {
+      return null;
+    }
+    return this.detector.detect(image);
+  }
+
+  canEmbed() {
+    return Boolean(this.detector && typeof this.detector.embed === 'function');
+  }
+
+  /**
+   * Face embedding of a decoded image. Returns null when the detector cannot embed faces.
+   */
+  async embed(image) {
+    if (!this.canEmbed()) {
+      return null;
+    }
+    return this.detector.embed(image);
+  }
+
+  /**
+   * Similarity of two face embeddings: one minus their Euclidean distance, so 1 is identical.
+   * face-api puts the same person at a distance below about 0.6, i.e. a similarity above 0.4.
+   */
+  similarity(a, b) {
+    const distance = Math.sqrt(a.reduce((sum, value, index) => sum + (value - b[index]) ** 2, 0));
+    return Math.round((1 - distance) * 1000) / 1000;
+  }
+
+  /**
+   * Decode an image (buffer or file path) to raw pixels for detection, at most maxSize pixels
+   * on each side. sharp is loaded here only, like in proctoring screenshots.
+   */
+  async decodeImage(source, { maxSize = 800, sha256 = null } = {}) {
+    const sharp = require('sharp');
+    const { data, info } = await sharp(source)
+      .rotate()
+      .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height, channels: info.channels, sha256 };
+  }
+}
+
+module.exports = new FaceDetectionService();
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Test = require('../models/Test');
+const faceDetectionService = require('./faceDetectionService');
+
+const ENROLLMENT_STATUSES = {
+  0: 'NoFace',
+  1: 'Enrolled'
+};
+
+class IdentityVerificationService {
+  constructor() {
+    // Snapshots less similar than this to the profile photo are identity mismatches
+    this.matchThreshold = parseFloat(process.env.IDENTITY_MATCH_THRESHOLD) || 0.45;
+    // Identity is checked on the first snapshot showing one face, then at most once per interval
+    this.checkInterval = parseInt(process.env.IDENTITY_CHECK_INTERVAL_SECONDS) || 120;
+  }
+
+  isEnabled() {
+    return faceDetectionService.canEmbed();
+  }
+
+  /**
+   * Enroll the user's profile photo: store the embedding of its face, so that checks at test
+   * time only have to embed the snapshot. Returns the enrollment, or null when there is no photo.
+   */
+  async enrollProfilePhoto(user) {
+    const photo = user.profile && user.profile.photo;
+    if (!photo || !this.isEnabled()) {
+      return null;
+    }
+
+    let result;
+    try {
+      // Profile photos are stored as /uploads/<file>, relative to the server directory
+      const buffer = await fs.promises.readFile(path.join('.', photo));
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const embedding = await faceDetectionService.embed(await faceDetectionService.decodeImage(buffer, { sha256 }));
+
+      result = {
+        status: ENROLLMENT_STATUSES[embedding.faceCount] || 'MultipleFaces',
+        descriptor: embedding.descriptor || undefined
+      };
+    } catch (error) {
+      console.error('Face enrollment error:', error);
+      result = { status: 'Failed' };
+    }
+
+    const enrollment = {
+      ...result,
+      photo,
+      detector: faceDetectionService.getDetectorName(),
+      enrolledAt: new Date()
+    };
+    await User.updateOne({ _id: user._id }, { $set: { faceEnrollment: enrollment } });
+
+    return enrollment;
+  }
+
+  /**
+   * The enrolled face of a user, enrolling the current profile photo first if it was not
+   * (profiles completed before enrollment existed). Returns null when there is no usable face.
+   */
+  async getEnrollment(userId) {
+    const user = await User.findById(userId)
+      .select('profile.photo faceEnrollment.status faceEnrollment.photo +faceEnrollment.descriptor');
+    if (!user) {
+      return null;
+    }
+
+    let enrollment = user.faceEnrollment;
+    if (user.profile.photo && (!enrollment || enrollment.photo !== user.profile.photo)) {
+      enrollment = await this.enrollProfilePhoto(user);
+    }
+
+    return enrollment && enrollment.status === 'Enrolled' ? enrollment : null;
+  }
+
+  isCheckDue(test, now = new Date()) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    const checks = test.proctoring.identityChecks || [];
+    const lastCheck = checks[checks.length - 1];
+    return !lastCheck || now - lastCheck.checkedAt >= this.checkInterval * 1000;
+  }
+
+  /**
+   * Compare the face in a decoded snapshot with the candidate's profile photo and record the
+   * similarity on the test. Returns the check, or null when it could not be made (no enrolled
+   * photo, or not exactly one face in the snapshot).
+   */
+  async checkSnapshot(test, image, screenshot) {
+    const enrollment = await this.getEnrollment(test.user);
+    if (!enrollment) {
+      return null;
+    }
+
+    const embedding = await faceDetectionService.embed(image);
+    if (!embedding || !embedding.descriptor) {
+      return null;
+    }
+
+    const similarity = faceDetectionService.similarity(enrollment.descriptor, embedding.descriptor);
+    const check = {
+      checkedAt: new Date(),
+      similarity,
+      matched: similarity >= this.matchThreshold,
+      screenshot: screenshot.filename
+    };
+
+    await Test.updateOne({ _id: test._id }, { $push: { 'proctoring.identityChecks': check } });
+    // Keep the caller's copy in step, so the next check is not due straight away
+    test.proctoring.identityChecks.push(check);
+
+    return { ...check, threshold: this.matchThreshold };
+  }
+}
+
+module.exports = new IdentityVerificationService();
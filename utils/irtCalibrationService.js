@@ -0,0 +1,301 @@
+const cron = require('node-cron');
+const Test = require('../models/Test');
+const Question = require('../models/Question');
+
+// Calibrated difficulty (b) bands that each labelled difficulty is expected to fall in
+const DIFFICULTY_BANDS = {
+  Easy: { min: -Infinity, max: -0.5 },
+  Moderate: { min: -0.5, max: 0.5 },
+  Hard: { min: 0.5, max: Infinity }
+};
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+class IrtCalibrationService {
+  constructor() {
+    this.schedule = process.env.IRT_CALIBRATION_CRON || '0 2 * * *';
+    this.minResponses = parseInt(process.env.IRT_MIN_RESPONSES) || 30;
+    this.maxIterations = 50;
+    this.tolerance = 1e-3;
+    this.job = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the nightly calibration job (call once the database is connected)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    this.job = cron.schedule(this.schedule, async () => {
+      console.log('Running IRT question calibration job...');
+      await this.calibrate();
+    });
+  }
+
+  /**
+   * Stop the calibration job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Load responses from evaluated tests, fit the model and write the estimates to each question
+   */
+  async calibrate() {
+    if (this.isRunning) {
+      return { success: false, error: 'Calibration is already running' };
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date();
+
+    try {
+      const { responses, labelledDifficulties } = await this.loadResponses();
+      const { items, persons, iterations } = this.fit2PL(responses);
+
+      const calibratedAt = new Date();
+      const updates = [];
+      let flaggedCount = 0;
+      let calibratedCount = 0;
+
+      items.forEach((item, questionId) => {
+        // Too few responses give unstable estimates: those questions keep their labelled
+        // difficulty, and are neither flagged nor given parameters adaptive tests would trust
+        if (item.sampleSize < this.minResponses) {
+          updates.push({
+            updateOne: {
+              filter: { _id: questionId },
+              update: {
+                $set: { 'irt.sampleSize': item.sampleSize, 'irt.flags': [] },
+                $unset: { 'irt.difficulty': 1, 'irt.discrimination': 1, 'irt.calibratedAt': 1 }
+              }
+            }
+          });
+          return;
+        }
+
+        const flags = this.getFlags(item, labelledDifficulties.get(questionId));
+        if (flags.length > 0) flaggedCount++;
+        calibratedCount++;
+
+        updates.push({
+          updateOne: {
+            filter: { _id: questionId },
+            update: {
+              $set: {
+                irt: {
+                  difficulty: Math.round(item.difficulty * 1000) / 1000,
+                  discrimination: Math.round(item.discrimination * 1000) / 1000,
+                  sampleSize: item.sampleSize,
+                  flags: flags,
+                  calibratedAt: calibratedAt
+                },
+                // Map the logit difficulty onto the 0-100 difficulty score
+                difficultyScore: Math.round(sigmoid(item.difficulty) * 100)
+              }
+            }
+          }
+        });
+      });
+
+      if (updates.length > 0) {
+        await Question.bulkWrite(updates, { ordered: false });
+      }
+
+      this.lastRun = {
+        startedAt,
+        completedAt: new Date(),
+        responses: responses.length,
+        persons: persons,
+        questionsCalibrated: calibratedCount,
+        questionsFlagged: flaggedCount,
+        iterations
+      };
+
+      console.log('IRT calibration completed:', this.lastRun);
+      return { success: true, ...this.lastRun };
+    } catch (error) {
+      console.error('IRT calibration error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Collect one binary response per answered question per evaluated test, along with
+   * each question's labelled difficulty. Each test attempt is treated as a separate examinee.
+   */
+  async loadResponses() {
+    const responses = [];
+    const cursor = Test.find({ status: 'Evaluated' })
+      .select('questions.questionId questions.isCorrect questions.userResponse.isAnswered')
+      .lean()
+      .cursor();
+
+    for await (const test of cursor) {
+      const personId = test._id.toString();
+      test.questions.forEach(q => {
+        // Unanswered questions are treated as missing rather than wrong
+        if (q.userResponse && q.userResponse.isAnswered) {
+          responses.push({
+            personId,
+            questionId: q.questionId.toString(),
+            correct: q.isCorrect ? 1 : 0
+          });
+        }
+      });
+    }
+
+    const questionIds = [...new Set(responses.map(r => r.questionId))];
+    const questions = await Question.find({ _id: { $in: questionIds } }).select('difficulty').lean();
+    const labelledDifficulties = new Map(questions.map(q => [q._id.toString(), q.difficulty]));
+
+    return { responses, labelledDifficulties };
+  }
+
+  /**
+   * Fit a 2-parameter logistic IRT model, P(correct) = 1 / (1 + e^-(a(θ - b))),
+   * by joint maximum a posteriori estimation. Persons and items are updated in turn
+   * with Newton-Raphson steps; normal priors keep estimates finite for perfect scores.
+   * Discrimination is not constrained to be positive so reversed items can be detected.
+   */
+  fit2PL(responses) {
+    const personResponses = new Map();
+    const itemResponses = new Map();
+
+    responses.forEach(response => {
+      if (!personResponses.has(response.personId)) personResponses.set(response.personId, []);
+      if (!itemResponses.has(response.questionId)) itemResponses.set(response.questionId, []);
+      personResponses.get(response.personId).push(response);
+      itemResponses.get(response.questionId).push(response);
+    });
+
+    const theta = new Map([...personResponses.keys()].map(id => [id, 0]));
+    // Slope-intercept form: logit = a * θ + c, with b = -c / a
+    const items = new Map([...itemResponses.keys()].map(id => [id, { a: 1, c: 0 }]));
+
+    let iterations = 0;
+    for (; iterations < this.maxIterations; iterations++) {
+      let maxChange = 0;
+      const previousTheta = new Map(theta);
+
+      // Person step: θ ~ N(0, 1) prior
+      personResponses.forEach((personItems, personId) => {
+        const value = theta.get(personId);
+        let gradient = -value;
+        let hessian = -1;
+
+        personItems.forEach(r => {
+          const { a, c } = items.get(r.questionId);
+          const p = sigmoid(a * value + c);
+          gradient += a * (r.correct - p);
+          hessian -= a * a * p * (1 - p);
+        });
+
+        theta.set(personId, clamp(value - gradient / hessian, -6, 6));
+      });
+
+      // Keep the ability scale centred and unit-variance
+      const values = [...theta.values()];
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length) || 1;
+      theta.forEach((value, personId) => {
+        const scaled = (value - mean) / sd;
+        maxChange = Math.max(maxChange, Math.abs(scaled - previousTheta.get(personId)));
+        theta.set(personId, scaled);
+      });
+
+      // Item step: a ~ N(1, 1), c ~ N(0, 2²) priors
+      itemResponses.forEach((itemRows, questionId) => {
+        const item = items.get(questionId);
+        let gA = -(item.a - 1);
+        let gC = -item.c / 4;
+        let hAA = -1;
+        let hCC = -1 / 4;
+        let hAC = 0;
+
+        itemRows.forEach(r => {
+          const t = theta.get(r.personId);
+          const p = sigmoid(item.a * t + item.c);
+          const w = p * (1 - p);
+          gA += (r.correct - p) * t;
+          gC += r.correct - p;
+          hAA -= w * t * t;
+          hCC -= w;
+          hAC -= w * t;
+        });
+
+        // Solve the 2x2 Newton system H * step = g
+        const det = hAA * hCC - hAC * hAC;
+        if (Math.abs(det) < 1e-12) return;
+
+        const stepA = (gA * hCC - gC * hAC) / det;
+        const stepC = (hAA * gC - hAC * gA) / det;
+        const a = clamp(item.a - stepA, -4, 4);
+        const c = clamp(item.c - stepC, -10, 10);
+
+        maxChange = Math.max(maxChange, Math.abs(a - item.a), Math.abs(c - item.c));
+        item.a = a;
+        item.c = c;
+      });
+
+      if (maxChange < this.tolerance) {
+        iterations++;
+        break;
+      }
+    }
+
+    const results = new Map();
+    items.forEach((item, questionId) => {
+      // Difficulty is undefined for a flat item; cap it to the ability range
+      const difficulty = Math.abs(item.a) < 0.05 ? clamp(-item.c / 0.05, -6, 6) : clamp(-item.c / item.a, -6, 6);
+      results.set(questionId, {
+        difficulty,
+        discrimination: item.a,
+        sampleSize: itemResponses.get(questionId).length
+      });
+    });
+
+    return { items: results, persons: personResponses.size, iterations };
+  }
+
+  /**
+   * Flags for a calibrated question: its difficulty disagrees with its label, or its
+   * discrimination is negative (stronger candidates get it wrong more often, usually a wrong key)
+   */
+  getFlags(item, labelledDifficulty) {
+    const flags = [];
+    const band = DIFFICULTY_BANDS[labelledDifficulty];
+
+    if (band && (item.difficulty < band.min || item.difficulty > band.max)) {
+      flags.push('difficulty_mismatch');
+    }
+
+    if (item.discrimination < 0) {
+      flags.push('negative_discrimination');
+    }
+
+    return flags;
+  }
+
+  /**
+   * Map a calibrated difficulty onto the Easy/Moderate/Hard labels
+   */
+  getDifficultyLabel(difficulty) {
+    return Object.keys(DIFFICULTY_BANDS).find(label =>
+      difficulty >= DIFFICULTY_BANDS[label].min && difficulty <= DIFFICULTY_BANDS[label].max
+    );
+  }
+}
+
+module.exports = new IrtCalibrationService();
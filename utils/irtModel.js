@@ -0,0 +1,89 @@
+// Item parameters assumed for questions that have not been calibrated yet
+const LABEL_DIFFICULTY = {
+  Easy: -1,
+  Moderate: 0,
+  Hard: 1
+};
+
+class IrtModel {
+  constructor() {
+    this.labelDifficulty = LABEL_DIFFICULTY;
+  }
+
+  /**
+   * Probability of a correct answer under the 2PL model
+   */
+  probability(ability, difficulty, discrimination) {
+    return 1 / (1 + Math.exp(-discrimination * (ability - difficulty)));
+  }
+
+  /**
+   * Fisher information an item gives at an ability level
+   */
+  information(ability, difficulty, discrimination) {
+    const p = this.probability(ability, difficulty, discrimination);
+    return discrimination * discrimination * p * (1 - p);
+  }
+
+  /**
+   * Difficulty and discrimination of a question, from its calibration when available
+   * and from its labelled difficulty otherwise
+   */
+  getItemParameters(question) {
+    const irt = question.irt || {};
+
+    if (irt.calibratedAt && typeof irt.difficulty === 'number' && irt.discrimination > 0) {
+      return {
+        difficulty: irt.difficulty,
+        discrimination: irt.discrimination,
+        calibrated: true
+      };
+    }
+
+    return {
+      difficulty: LABEL_DIFFICULTY[question.difficulty] ?? 0,
+      discrimination: 1,
+      calibrated: false
+    };
+  }
+
+  /**
+   * Estimate ability (θ) from scored responses by maximum a posteriori with a N(0, 1) prior,
+   * which keeps the estimate finite when every answer so far is right (or wrong).
+   * Responses are [{ difficulty, discrimination, isCorrect }].
+   */
+  estimateAbility(responses) {
+    let ability = 0;
+    let information = 1;
+
+    for (let iteration = 0; iteration < 20; iteration++) {
+      let gradient = -ability;
+      information = 1;
+
+      responses.forEach(r => {
+        const p = this.probability(ability, r.difficulty, r.discrimination);
+        gradient += r.discrimination * ((r.isCorrect ? 1 : 0) - p);
+        information += r.discrimination * r.discrimination * p * (1 - p);
+      });
+
+      const step = gradient / information;
+      ability = Math.min(4, Math.max(-4, ability + step));
+
+      if (Math.abs(step) < 1e-4) break;
+    }
+
+    return {
+      ability: Math.round(ability * 1000) / 1000,
+      standardError: Math.round((1 / Math.sqrt(information)) * 1000) / 1000
+    };
+  }
+
+  /**
+   * Report ability on a 200-800 scale (500 is the average candidate, 100 points per standard deviation)
+   */
+  toScaledScore(ability) {
+    return Math.min(800, Math.max(200, Math.round(500 + 100 * ability)));
+  }
+}
+
+module.exports = new IrtModel();
@@ -1,4 +1,12 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const sessionStore = require('./sessionStore');
+
+// Token types recorded as sessions (OTP tokens are single-purpose and short-lived)
+const SESSION_TOKEN_TYPES = ['access', 'refresh', 'admin', 'test'];
+
+// Shortest lifetime of a test token
+const TEST_TOKEN_MIN_LIFETIME_SECONDS = 2 * 60 * 60;
 
 class JWTUtils {
   constructor() {
@@ -10,22 +18,28 @@ class JWTUtils {
     }
   }
   
-  // Generate JWT token
-  generateToken(payload, options = {}) {
+  // Generate JWT token with a unique ID (jti), recorded as a session for the request it was issued for
+  async generateToken(payload, options = {}, req = null) {
     try {
       const tokenOptions = {
         expiresIn: options.expiresIn || this.expiresIn,
         issuer: options.issuer || 'yugayatra-test-system',
         audience: options.audience || 'yugayatra-users',
         subject: options.subject || payload.id || payload._id,
+        jwtid: crypto.randomBytes(16).toString('hex'),
         ...options
       };
       
       const token = jwt.sign(payload, this.secret, tokenOptions);
       
+      if (SESSION_TOKEN_TYPES.includes(payload.type)) {
+        await sessionStore.record(jwt.decode(token), req);
+      }
+      
       return {
         success: true,
         token: token,
+        jti: tokenOptions.jwtid,
         expiresIn: tokenOptions.expiresIn
       };
     } catch (error) {
@@ -38,7 +52,7 @@ class JWTUtils {
   }
   
   // Generate access token for users
-  generateAccessToken(user) {
+  generateAccessToken(user, req = null) {
     const payload = {
       id: user._id,
       phone: user.phone,
@@ -52,11 +66,11 @@ class JWTUtils {
     return this.generateToken(payload, {
       expiresIn: '1d', // Access tokens expire in 1 day
       subject: user._id.toString()
-    });
+    }, req);
   }
   
   // Generate refresh token for users
-  generateRefreshToken(user) {
+  generateRefreshToken(user, req = null) {
     const payload = {
       id: user._id,
       phone: user.phone,
@@ -66,11 +80,11 @@ class JWTUtils {
     return this.generateToken(payload, {
       expiresIn: '30d', // Refresh tokens expire in 30 days
       subject: user._id.toString()
-    });
+    }, req);
   }
   
   // Generate admin token
-  generateAdminToken(admin) {
+  generateAdminToken(admin, req = null) {
     const payload = {
       id: admin._id,
       phone: admin.phone,
@@ -85,11 +99,12 @@ class JWTUtils {
       expiresIn: '8h', // Admin tokens expire in 8 hours
       subject: admin._id.toString(),
       audience: 'yugayatra-admin'
-    });
+    }, req);
   }
   
-  // Generate test session token
-  generateTestToken(user, testId) {
+  // Generate test session token, valid for at least 2 hours or for lifetimeSeconds when longer
+  // (long tests would otherwise lose their token before the deadline)
+  generateTestToken(user, testId, req = null, lifetimeSeconds = 0) {
     const payload = {
       id: user._id,
       phone: user.phone,
@@ -100,10 +115,10 @@ class JWTUtils {
     };
     
     return this.generateToken(payload, {
-      expiresIn: '2h', // Test tokens expire in 2 hours
+      expiresIn: Math.max(TEST_TOKEN_MIN_LIFETIME_SECONDS, Math.ceil(lifetimeSeconds)),
       subject: user._id.toString(),
       audience: 'yugayatra-test'
-    });
+    }, req);
   }
   
   // Generate OTP verification token
@@ -256,10 +271,10 @@ class JWTUtils {
   }
   
   // Refresh access token using refresh token
-  refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, req = null) {
     const verificationResult = this.verifyToken(refreshToken);
     
-    if (!verificationResult.success) {
+    if (!verificationResult.success || await this.isTokenBlacklisted(refreshToken)) {
       return {
         success: false,
         error: 'Invalid refresh token'
@@ -276,7 +291,7 @@ class JWTUtils {
     }
     
     // Generate new access token
-    const newAccessToken = this.generateToken({
+    const newAccessToken = await this.generateToken({
       id: decoded.id,
       phone: decoded.phone,
       type: 'access'
@@ -284,54 +299,34 @@ class JWTUtils {
       expiresIn: '1d',
       subject: decoded.id,
       audience: 'yugayatra-users'
-    });
+    }, req);
     
     return newAccessToken;
   }
   
-  // Blacklist token (for logout)
-  // Note: In a production environment, you'd store blacklisted tokens in Redis or database
-  static blacklistedTokens = new Set();
+  // ID under which a token is revoked: its jti, or a hash of the token for tokens issued without one
+  getTokenId(token, decoded) {
+    return decoded && decoded.jti ? decoded.jti : crypto.createHash('sha256').update(token).digest('hex');
+  }
   
-  blacklistToken(token) {
+  // Blacklist token (for logout) until it expires
+  async blacklistToken(token) {
     try {
       const decoded = jwt.decode(token);
-      if (decoded && decoded.jti) {
-        JWTUtils.blacklistedTokens.add(decoded.jti);
-      } else {
-        // If no JTI, blacklist the entire token
-        JWTUtils.blacklistedTokens.add(token);
-      }
+      await sessionStore.revoke(this.getTokenId(token, decoded), decoded);
       
       return { success: true };
     } catch (error) {
+      console.error('❌ Token Revocation Error:', error);
       return { success: false, error: error.message };
     }
   }
   
-  // Check if token is blacklisted
-  isTokenBlacklisted(token) {
-    try {
-      const decoded = jwt.decode(token);
-      if (decoded && decoded.jti) {
-        return JWTUtils.blacklistedTokens.has(decoded.jti);
-      }
-      return JWTUtils.blacklistedTokens.has(token);
-    } catch (error) {
-      return false;
-    }
-  }
-  
-  // Generate token with JTI (JWT ID) for blacklisting
-  generateTokenWithJTI(payload, options = {}) {
-    const jti = require('crypto').randomBytes(16).toString('hex');
-    
-    const enhancedPayload = {
-      ...payload,
-      jti: jti
-    };
-    
-    return this.generateToken(enhancedPayload, options);
+  // Check if token is blacklisted, on its own or by a logout from every device.
+  // Throws when the session store cannot be reached, so callers can refuse the token.
+  async isTokenBlacklisted(token) {
+    const decoded = jwt.decode(token);
+    return sessionStore.isRevoked(this.getTokenId(token, decoded), decoded);
   }
   
   // Extract user information from token
@@ -373,25 +368,6 @@ class JWTUtils {
       permissions: decoded.permissions
     };
   }
-  
-  // Clean up expired blacklisted tokens (should be called periodically)
-  cleanupBlacklistedTokens() {
-    const tokensToRemove = [];
-    
-    for (const token of JWTUtils.blacklistedTokens) {
-      if (this.isTokenExpired(token)) {
-        tokensToRemove.push(token);
-      }
-    }
-    
-    tokensToRemove.forEach(token => {
-      JWTUtils.blacklistedTokens.delete(token);
-    });
-    
-    console.log(`🧹 Cleaned up ${tokensToRemove.length} expired blacklisted tokens`);
-    
-    return tokensToRemove.length;
-  }
 }
 
 module.exports = new JWTUtils(); 
\ No newline at end of file
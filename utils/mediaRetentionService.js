@@ -0,0 +1,139 @@
+const cron = require('node-cron');
+const Test = require('../models/Test');
+const ProctoringSession = require('../models/ProctoringSession');
+const CollusionCluster = require('../models/CollusionCluster');
+const mediaStore = require('./mediaStore');
+
+// Review statuses that keep a test's media past the retention window
+const HOLD_REVIEW_STATUSES = ['Under Review', 'Flagged'];
+
+class MediaRetentionService {
+  constructor() {
+    this.schedule = process.env.MEDIA_PURGE_CRON || '45 2 * * *';
+    this.retentionDays = parseInt(process.env.MEDIA_RETENTION_DAYS) || 90;
+    this.job = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the nightly purge job (call once the database is connected)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    this.job = cron.schedule(this.schedule, async () => {
+      console.log('Running proctoring media purge job...');
+      await this.purge();
+    });
+  }
+
+  /**
+   * Stop the purge job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Why a test's media must be kept regardless of age, or null when it may be purged:
+   * its result is under review, flagged or held for moderation, or it is in an open collusion cluster
+   */
+  getHoldReason(test, openClusterTestIds) {
+    if (HOLD_REVIEW_STATUSES.includes(test.reviewStatus)) {
+      return `review status ${test.reviewStatus}`;
+    }
+    if (test.isResultHeld()) {
+      return 'result held for review';
+    }
+    if (openClusterTestIds.has(test.testId)) {
+      return 'open collusion cluster';
+    }
+    return null;
+  }
+
+  /**
+   * Delete screenshots older than the retention window from ended sessions, except those of tests
+   * on hold. The screenshot metadata stays on the session, marked with purgedAt.
+   */
+  async purge() {
+    if (this.isRunning) {
+      return { success: false, error: 'Media purge is already running' };
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+    try {
+      const openClusters = await CollusionCluster.find({ status: 'Open' }).select('members.testId').lean();
+      const openClusterTestIds = new Set(openClusters.flatMap(cluster => cluster.members.map(member => member.testId)));
+
+      const stats = { sessionsChecked: 0, sessionsHeld: 0, screenshotsPurged: 0, bytesFreed: 0, errors: 0 };
+      const cursor = ProctoringSession.find({
+        status: 'Ended',
+        screenshots: { $elemMatch: { capturedAt: { $lt: cutoff }, purgedAt: null } }
+      })
+        .select('test testId screenshots')
+        .lean()
+        .cursor();
+
+      for await (const session of cursor) {
+        stats.sessionsChecked++;
+
+        // Media of a deleted test has nothing left to be evidence for
+        const test = await Test.findById(session.test)
+          .select('testId status reviewStatus resultReleasedAt testConfig.resultModeration proctoring.flaggedForReview');
+        if (test && this.getHoldReason(test, openClusterTestIds)) {
+          stats.sessionsHeld++;
+          continue;
+        }
+
+        const purged = [];
+        for (const screenshot of session.screenshots) {
+          if (screenshot.purgedAt || new Date(screenshot.capturedAt) >= cutoff) continue;
+
+          try {
+            await mediaStore.remove(mediaStore.getScreenshotKey(screenshot));
+            purged.push(screenshot.filename);
+            stats.bytesFreed += screenshot.size || 0;
+          } catch (error) {
+            console.error(`Media purge error for ${screenshot.filename}:`, error);
+            stats.errors++;
+          }
+        }
+
+        if (purged.length > 0) {
+          await ProctoringSession.updateOne(
+            { _id: session._id },
+            { $set: { 'screenshots.$[shot].purgedAt': new Date() } },
+            { arrayFilters: [{ 'shot.filename': { $in: purged } }] }
+          );
+          stats.screenshotsPurged += purged.length;
+        }
+      }
+
+      this.lastRun = {
+        startedAt,
+        completedAt: new Date(),
+        cutoff,
+        ...stats
+      };
+
+      console.log('Proctoring media purge completed:', this.lastRun);
+      return { success: true, ...this.lastRun };
+    } catch (error) {
+      console.error('Proctoring media purge error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new MediaRetentionService();
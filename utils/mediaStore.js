@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Storage for proctoring media (webcam snapshots).
+ *
+ * A store is any object with `name` and async `save(key, buffer)`, `read(key)` (a Buffer, or
+ * null when missing), `exists(key)` and `remove(key)` (true when something was deleted), where
+ * key is a relative path such as `screenshots/<filename>`.
+ *
+ * MEDIA_STORE selects the store; only `local` (files under MEDIA_ROOT) is built in. The local
+ * root defaults to ./media, outside the public /uploads mount: admins get short-lived signed URLs
+ * for media, checked by verifySignedUrl before the file is streamed. Screenshots used to be kept
+ * under ./uploads, and are moved into the store by migrateLegacyMedia.
+ */
+
+// Where media was kept before the media store, inside the public /uploads mount
+const LEGACY_ROOT = './uploads';
+const LEGACY_FOLDERS = ['screenshots', 'recordings'];
+
+class LocalMediaStore {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Absolute path for a key, refusing keys that would escape the root
+  resolve(key) {
+    const filepath = path.resolve(this.root, key);
+    if (!filepath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filepath;
+  }
+
+  async save(key, buffer) {
+    const filepath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.promises.writeFile(filepath, buffer);
+    return { key, size: buffer.length };
+  }
+
+  async read(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+class MediaStoreService {
+  constructor() {
+    this.urlTtlSeconds = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 300;
+    this.secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET || 'yugayatra_fallback_secret_key';
+    this.store = this.createStore(process.env.MEDIA_STORE || 'local');
+  }
+
+  createStore(type) {
+    if (type !== 'local') {
+      console.warn(`⚠️ Unknown media store "${type}" (expected local) - using local`);
+    }
+
+    const root = path.resolve(process.env.MEDIA_ROOT || './media');
+    const publicRoot = path.resolve(LEGACY_ROOT);
+    if (root === publicRoot || root.startsWith(publicRoot + path.sep)) {
+      console.warn(`⚠️ MEDIA_ROOT ${root} is inside the public /uploads mount - proctoring media can be downloaded without a signed URL`);
+    }
+    return new LocalMediaStore({ root });
+  }
+
+  /**
+   * Replace the store, e.g. with an object storage backend
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Move media left under ./uploads by earlier versions into the store, so the public /uploads
+   * mount no longer serves it. Call once at startup; returns how many files were moved.
+   */
+  async migrateLegacyMedia(legacyRoot = LEGACY_ROOT) {
+    if (this.store.name === 'local' && this.store.root === path.resolve(legacyRoot)) {
+      return 0;
+    }
+
+    let moved = 0;
+    for (const folder of LEGACY_FOLDERS) {
+      const dir = path.join(legacyRoot, folder);
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isFile()) continue;
+
+        // Copied rather than renamed, since the store may be on another device
+        const filepath = path.join(dir, entry.name);
+        await this.store.save(`${folder}/${entry.name}`, await fs.promises.readFile(filepath));
+        await fs.promises.unlink(filepath);
+        moved++;
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Key of a screenshot's image; screenshots from before the media store only have a filename
+   */
+  getScreenshotKey(screenshot) {
+    return screenshot.storageKey || `screenshots/${screenshot.filename}`;
+  }
+
+  async save(key, buffer) {
+    return this.store.save(key, buffer);
+  }
+
+  async read(key) {
+    return this.store.read(key);
+  }
+
+  async exists(key) {
+    return this.store.exists(key);
+  }
+
+  async remove(key) {
+    return this.store.remove(key);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Relative URL (under /api/media) that serves a key until it expires
+   */
+  getSignedUrl(key, ttlSeconds = this.urlTtlSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const query = new URLSearchParams({ expires: String(expires), signature: this.sign(key, expires) });
+    return {
+      url: `/api/media/${key.split('/').map(encodeURIComponent).join('/')}?${query}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  /**
+   * Check a signed URL's signature and expiry; returns an error message, or null when valid
+   */
+  verifySignedUrl(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || typeof signature !== 'string') {
+      return 'Missing signature';
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return 'Invalid signature';
+    }
+    if (expiresAt * 1000 < Date.now()) {
+      return 'Link has expired';
+    }
+    return null;
+  }
+}
+
+module.exports = new MediaStoreService();
@@ -0,0 +1,169 @@
+// Violation types, with their default severity
+const VIOLATION_SEVERITIES = {
+  tab_switch: 'major',
+  window_blur: 'major',
+  fullscreen_exit: 'major',
+  copy_paste: 'critical',
+  right_click: 'minor',
+  keyboard_shortcut: 'major',
+  multiple_faces: 'critical',
+  no_face_detected: 'major',
+  suspicious_movement: 'minor',
+  suspicious_activity: 'minor',
+  developer_tools: 'critical',
+  connection_lost: 'minor',
+  identity_mismatch: 'critical'
+};
+
+// Raised by the server itself, never accepted from clients
+const SERVER_VIOLATION_TYPES = ['connection_lost', 'identity_mismatch'];
+
+// Recorded on the test alongside violations when a session is resumed, but not violations themselves
+const SESSION_EVENT_TYPES = ['session_resumed', 'device_changed', 'ip_changed'];
+
+// Older clients report full screen exits under this name
+const VIOLATION_ALIASES = {
+  full_screen_exit: 'fullscreen_exit'
+};
+
+const SEVERITIES = ['minor', 'major', 'critical'];
+
+// Defaults keep the earlier behaviour: five major violations (or two critical ones) end the test
+const DEFAULT_POLICY = {
+  severityWeights: {
+    minor: 2,
+    major: 10,
+    critical: 25
+  },
+  typeSeverities: [],
+  warningScore: 20,
+  flagScore: 30,
+  terminateScore: 50
+};
+
+class ProctoringPolicy {
+  constructor() {
+    this.violationSeverities = VIOLATION_SEVERITIES;
+    this.severities = SEVERITIES;
+    this.defaultPolicy = DEFAULT_POLICY;
+  }
+
+  /**
+   * Violation types accepted from clients, including aliases
+   */
+  getReportableTypes() {
+    const types = Object.keys(VIOLATION_SEVERITIES).filter(type => !SERVER_VIOLATION_TYPES.includes(type));
+    return [...types, ...Object.keys(VIOLATION_ALIASES)];
+  }
+
+  getViolationTypes() {
+    return Object.keys(VIOLATION_SEVERITIES);
+  }
+
+  isSessionEvent(type) {
+    return SESSION_EVENT_TYPES.includes(type);
+  }
+
+  normalizeType(type) {
+    return VIOLATION_ALIASES[type] || type;
+  }
+
+  /**
+   * Fill in defaults for a policy snapshot (tests started before policies existed have none)
+   */
+  resolvePolicy(policy) {
+    const source = policy || {};
+    const weights = source.severityWeights || {};
+
+    return {
+      severityWeights: {
+        minor: weights.minor ?? DEFAULT_POLICY.severityWeights.minor,
+        major: weights.major ?? DEFAULT_POLICY.severityWeights.major,
+        critical: weights.critical ?? DEFAULT_POLICY.severityWeights.critical
+      },
+      typeSeverities: (source.typeSeverities || []).map(({ type, severity }) => ({ type, severity })),
+      warningScore: source.warningScore ?? DEFAULT_POLICY.warningScore,
+      flagScore: source.flagScore === undefined ? DEFAULT_POLICY.flagScore : source.flagScore,
+      terminateScore: source.terminateScore === undefined ? DEFAULT_POLICY.terminateScore : source.terminateScore
+    };
+  }
+
+  /**
+   * Severity of a violation type under a policy (unknown types are minor)
+   */
+  getSeverity(type, policy) {
+    const normalized = this.normalizeType(type);
+    const override = this.resolvePolicy(policy).typeSeverities.find(t => t.type === normalized);
+    return override ? override.severity : (VIOLATION_SEVERITIES[normalized] || 'minor');
+  }
+
+  /**
+   * Risk level of a score: High once the result would be flagged, Medium once candidates are warned
+   */
+  getRiskLevel(score, policy) {
+    const { warningScore, flagScore, terminateScore } = this.resolvePolicy(policy);
+    const highScore = flagScore ?? terminateScore;
+
+    if (highScore !== null && highScore !== undefined && score >= highScore) return 'High';
+    if (score >= warningScore) return 'Medium';
+    return 'Low';
+  }
+
+  /**
+   * Score violations ([{ type }]) under a policy and decide what to do.
+   * Every score in the system (reporting route, proctoring reports, live monitoring, moderation)
+   * comes from here, so they always agree.
+   */
+  evaluate(violations, policy) {
+    const resolved = this.resolvePolicy(policy);
+    const counts = { minor: 0, major: 0, critical: 0 };
+    let score = 0;
+
+    violations.forEach(violation => {
+      const severity = this.getSeverity(violation.type, resolved);
+      counts[severity]++;
+      score += resolved.severityWeights[severity];
+    });
+
+    const reached = threshold => threshold !== null && threshold !== undefined && score >= threshold;
+
+    return {
+      score,
+      riskLevel: this.getRiskLevel(score, resolved),
+      counts,
+      totalViolations: violations.length,
+      actions: {
+        warn: reached(resolved.warningScore),
+        flag: reached(resolved.flagScore),
+        terminate: reached(resolved.terminateScore)
+      },
+      thresholds: {
+        warningScore: resolved.warningScore,
+        flagScore: resolved.flagScore,
+        terminateScore: resolved.terminateScore
+      }
+    };
+  }
+
+  /**
+   * Check a policy's thresholds are in order. Returns an error message, or null when valid.
+   */
+  validatePolicy(policy) {
+    const { warningScore, flagScore, terminateScore } = this.resolvePolicy(policy);
+
+    if (flagScore !== null && flagScore < warningScore) {
+      return 'The flag score cannot be lower than the warning score';
+    }
+    if (terminateScore !== null && terminateScore < warningScore) {
+      return 'The terminate score cannot be lower than the warning score';
+    }
+
+    const types = (policy.typeSeverities || []).map(t => t.type);
+    if (new Set(types).size !== types.length) {
+      return 'Each violation type can have only one severity override';
+    }
+    return null;
+  }
+}
+
+module.exports = new ProctoringPolicy();
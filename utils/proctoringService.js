@@ -1,14 +1,24 @@
-const fs = require('fs');
-const path = require('path');
-const sharp = require('sharp');
+const crypto = require('crypto');
+const ProctoringSession = require('../models/ProctoringSession');
+const Test = require('../models/Test');
+const proctoringPolicy = require('./proctoringPolicy');
+const faceDetectionService = require('./faceDetectionService');
+const identityVerificationService = require('./identityVerificationService');
+const mediaStore = require('./mediaStore');
 
 class ProctoringService {
   constructor() {
-    this.activeTestSessions = new Map();
-    this.violationThreshold = parseInt(process.env.VIOLATION_THRESHOLD) || 3;
+    // Session state is in ProctoringSession; screenshot requests are sent by socketService
     this.screenshotInterval = parseInt(process.env.SCREENSHOT_INTERVAL_SECONDS) || 30;
     this.proctoringEnabled = process.env.ENABLE_PROCTORING === 'true';
-    
+
+    // Test clients send a heartbeat every interval; a gap past offlineAfterSeconds counts as offline time,
+    // and one past longOfflineSeconds also raises a connection_lost violation
+    this.heartbeatInterval = parseInt(process.env.HEARTBEAT_INTERVAL_SECONDS) || 10;
+    this.offlineAfterSeconds = parseInt(process.env.HEARTBEAT_OFFLINE_SECONDS) || 30;
+    this.longOfflineSeconds = parseInt(process.env.HEARTBEAT_LONG_GAP_SECONDS) || 120;
+    this.idleAfterSeconds = parseInt(process.env.CANDIDATE_IDLE_SECONDS) || 300;
+
     this.violationTypes = {
       TAB_SWITCH: 'tab_switch',
       WINDOW_BLUR: 'window_blur',
@@ -19,128 +29,217 @@ class ProctoringService {
       MULTIPLE_FACES: 'multiple_faces',
       NO_FACE_DETECTED: 'no_face_detected',
       SUSPICIOUS_MOVEMENT: 'suspicious_movement',
-      BROWSER_DEVELOPER_TOOLS: 'developer_tools'
+      SUSPICIOUS_ACTIVITY: 'suspicious_activity',
+      BROWSER_DEVELOPER_TOOLS: 'developer_tools',
+      CONNECTION_LOST: 'connection_lost',
+      IDENTITY_MISMATCH: 'identity_mismatch'
     };
-    
-    this.ensureDirectories();
-  }
-
-  ensureDirectories() {
-    const dirs = ['./uploads/screenshots', './uploads/recordings', './logs/proctoring'];
-    dirs.forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-    });
   }
 
-  // Initialize proctoring session
-  startProctoring(testId, userId, options = {}) {
+  // Initialize proctoring session (or reopen the test's existing one after a restart)
+  async startProctoring(test, options = {}) {
     if (!this.proctoringEnabled) {
       return { success: false, message: 'Proctoring is disabled' };
     }
 
-    const sessionData = {
-      testId,
-      userId,
-      startTime: new Date(),
-      violations: [],
-      screenshots: [],
-      isActive: true,
-      options: {
-        enableFaceDetection: options.enableFaceDetection || true,
-        enableScreenCapture: options.enableScreenCapture || true,
-        enableKeylogging: options.enableKeylogging || false,
-        strictMode: options.strictMode || true,
-        ...options
-      }
-    };
+    const session = await ProctoringSession.findOneAndUpdate(
+      { test: test._id },
+      {
+        $setOnInsert: {
+          testId: test.testId,
+          user: test.user,
+          startTime: new Date(),
+          options: {
+            enableFaceDetection: options.enableFaceDetection ?? true,
+            enableScreenCapture: options.enableScreenCapture ?? true,
+            strictMode: options.strictMode ?? true
+          }
+        },
+        $set: { status: 'Active' },
+        $unset: { endTime: 1 }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🔍 Proctoring started for test ${test.testId}, user ${test.user}`);
+    return { success: true, sessionId: session._id };
+  }
 
-    this.activeTestSessions.set(testId, sessionData);
-    
-    // Start periodic screenshot capture
-    if (sessionData.options.enableScreenCapture) {
-      this.startScreenshotCapture(testId);
+  // Record a heartbeat from the test client. A gap since the previous heartbeat (or the start)
+  // longer than the offline threshold is stored on the test as an offline interval.
+  // Returns the new offline interval, if any; recorded is false when another heartbeat got there first.
+  async recordHeartbeat(test, now = new Date()) {
+    const previous = test.proctoring.lastHeartbeatAt;
+    const offlineInterval = this.getOfflineInterval(previous || test.startTime, now);
+
+    const update = { $set: { 'proctoring.lastHeartbeatAt': now } };
+    if (offlineInterval) {
+      update.$push = { 'proctoring.offlineIntervals': offlineInterval };
+      update.$inc = { 'proctoring.totalOfflineSeconds': offlineInterval.durationSeconds };
     }
 
-    console.log(`🔍 Proctoring started for test ${testId}, user ${userId}`);
-    return { success: true, sessionId: testId };
+    // Conditional on the previous heartbeat, so concurrent heartbeats cannot count a gap twice
+    const result = await Test.updateOne(
+      { _id: test._id, status: 'In Progress', 'proctoring.lastHeartbeatAt': previous || null },
+      update
+    );
+
+    if (!result.modifiedCount) {
+      return { recorded: false, offlineInterval: null };
+    }
+    return { recorded: true, offlineInterval };
   }
 
-  // Stop proctoring session
-  stopProctoring(testId) {
-    const session = this.activeTestSessions.get(testId);
-    if (!session) {
-      return { success: false, message: 'Session not found' };
+  getOfflineInterval(since, until) {
+    if (!since) return null;
+
+    const durationSeconds = Math.round((until.getTime() - since.getTime()) / 1000);
+    return durationSeconds >= this.offlineAfterSeconds ? { start: since, end: until, durationSeconds } : null;
+  }
+
+  // Close the gap after the last heartbeat when a test ends while the candidate is offline
+  async recordFinalOfflineInterval(test) {
+    const { lastHeartbeatAt } = test.proctoring;
+    const offlineInterval = lastHeartbeatAt && test.endTime ? this.getOfflineInterval(lastHeartbeatAt, test.endTime) : null;
+    if (!offlineInterval) {
+      return;
     }
 
-    session.isActive = false;
-    session.endTime = new Date();
-    
-    // Clear screenshot interval
-    if (session.screenshotInterval) {
-      clearInterval(session.screenshotInterval);
+    await Test.updateOne(
+      { _id: test._id, 'proctoring.lastHeartbeatAt': lastHeartbeatAt },
+      {
+        $set: { 'proctoring.lastHeartbeatAt': test.endTime },
+        $push: { 'proctoring.offlineIntervals': offlineInterval },
+        $inc: { 'proctoring.totalOfflineSeconds': offlineInterval.durationSeconds }
+      }
+    );
+
+    if (offlineInterval.durationSeconds >= this.longOfflineSeconds) {
+      await this.recordViolation(test, this.violationTypes.CONNECTION_LOST, this.describeOfflineInterval(offlineInterval));
     }
+  }
 
-    // Generate final report
-    const report = this.generateProctoringReport(testId);
-    
-    // Archive session data
-    this.archiveSession(testId, session);
-    
-    this.activeTestSessions.delete(testId);
-    
-    console.log(`🔍 Proctoring stopped for test ${testId}`);
-    return { success: true, report };
+  describeOfflineInterval(offlineInterval) {
+    return {
+      description: `No heartbeat for ${offlineInterval.durationSeconds} seconds`,
+      details: offlineInterval,
+      occurredAt: offlineInterval.start
+    };
   }
 
-  // Record a violation
-  recordViolation(testId, violationType, details = {}) {
-    const session = this.activeTestSessions.get(testId);
+  // Stop proctoring session
+  async stopProctoring(test) {
+    await this.recordFinalOfflineInterval(test);
+
+    const session = await ProctoringSession.findOneAndUpdate(
+      { test: test._id, status: 'Active' },
+      { $set: { status: 'Ended', endTime: new Date() } },
+      { new: true }
+    );
     if (!session) {
       return { success: false, message: 'Session not found' };
     }
 
+    console.log(`🔍 Proctoring stopped for test ${test.testId}`);
+    return { success: true, report: this.buildReport(test, session) };
+  }
+
+  // Record a violation and apply the test's proctoring policy to it
+  // The session is created if needed, so violations reported without a started session are kept too.
+  // Returns the policy evaluation; the caller ends the test when it says terminate.
+  async recordViolation(test, violationType, { description, details = {}, occurredAt, ipAddress, userAgent } = {}) {
+    const policy = test.getProctoringPolicy();
+    const type = proctoringPolicy.normalizeType(violationType);
+    const severity = proctoringPolicy.getSeverity(type, policy);
+    const now = new Date();
+
     const violation = {
-      type: violationType,
-      timestamp: new Date(),
+      type,
+      severity,
+      description,
       details,
-      severity: this.getViolationSeverity(violationType),
-      id: `${testId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      occurredAt: occurredAt || now,
+      recordedAt: now,
+      ipAddress,
+      userAgent
     };
 
-    session.violations.push(violation);
+    // $push and $inc keep counts right when several server instances record at once
+    const session = await ProctoringSession.findOneAndUpdate(
+      { test: test._id },
+      {
+        $setOnInsert: { testId: test.testId, user: test.user, startTime: test.startTime || now },
+        $push: { violations: violation },
+        $inc: { [`violationCounts.${severity}`]: 1 }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
 
-    // Log violation
-    this.logViolation(testId, violation);
+    const evaluation = proctoringPolicy.evaluate(session.violations, policy);
 
-    // Check if violation threshold exceeded
-    const criticalViolations = session.violations.filter(v => v.severity === 'critical').length;
-    const majorViolations = session.violations.filter(v => v.severity === 'major').length;
-    
-    let shouldTerminate = false;
-    if (criticalViolations >= 2 || majorViolations >= this.violationThreshold) {
-      shouldTerminate = true;
-    }
+    await ProctoringSession.updateOne(
+      { _id: session._id },
+      { $set: { riskScore: evaluation.score, riskLevel: evaluation.riskLevel } }
+    );
+    await this.updateTestRecord(test, violation, evaluation);
+
+    console.log(`⚠️ Violation recorded: ${type} for test ${test.testId}`);
 
-    console.log(`⚠️ Violation recorded: ${violationType} for test ${testId}`);
-    
     return {
       success: true,
-      violation,
-      totalViolations: session.violations.length,
-      shouldTerminate,
-      violationCount: {
-        critical: criticalViolations,
-        major: majorViolations,
-        minor: session.violations.filter(v => v.severity === 'minor').length
-      }
+      violation: session.violations[session.violations.length - 1],
+      evaluation
+    };
+  }
+
+  // Mirror a violation onto the test (its counters feed quick summaries and live monitoring)
+  // and apply the warn and flag actions; warnedAt and flaggedAt keep the first time only
+  async updateTestRecord(test, violation, evaluation) {
+    const update = {
+      $push: {
+        'proctoring.suspiciousActivities': {
+          type: violation.type,
+          timestamp: violation.occurredAt,
+          description: violation.description || '',
+          ipAddress: violation.ipAddress,
+          userAgent: violation.userAgent
+        }
+      },
+      $set: { 'proctoring.riskScore': evaluation.score }
     };
+
+    if (violation.type === this.violationTypes.TAB_SWITCH) {
+      update.$inc = { 'proctoring.tabSwitchViolations': 1 };
+    } else if (violation.type === this.violationTypes.FULLSCREEN_EXIT) {
+      update.$inc = { 'proctoring.fullScreenViolations': 1 };
+    }
+
+    await Test.updateOne({ _id: test._id }, update);
+
+    if (evaluation.actions.warn) {
+      await Test.updateOne(
+        { _id: test._id, 'proctoring.warnedAt': null },
+        { $set: { 'proctoring.warnedAt': violation.recordedAt } }
+      );
+    }
+    if (evaluation.actions.flag) {
+      await Test.updateOne(
+        { _id: test._id, 'proctoring.flaggedForReview': { $ne: true } },
+        { $set: { 'proctoring.flaggedForReview': true, 'proctoring.flaggedAt': violation.recordedAt } }
+      );
+    }
+
+    // Keep the caller's copy in step: a test that just ended is published from it next
+    test.proctoring.riskScore = evaluation.score;
+    if (evaluation.actions.flag && !test.proctoring.flaggedForReview) {
+      test.proctoring.flaggedForReview = true;
+      test.proctoring.flaggedAt = violation.recordedAt;
+    }
   }
 
-  // Capture screenshot
-  async captureScreenshot(testId, imageData) {
-    const session = this.activeTestSessions.get(testId);
+  // Capture screenshot; returns the stored metadata and the face detection and identity check results, if any
+  async captureScreenshot(test, imageData) {
+    const session = await ProctoringSession.findOne({ test: test._id, status: 'Active' });
     if (!session || !session.options.enableScreenCapture) {
       return { success: false, message: 'Screenshot capture not enabled' };
     }
@@ -149,247 +248,335 @@ class ProctoringService {
       // Remove data URL prefix if present
       const base64Data = imageData.replace(/^data:image\/\w+;base64,/, '');
       const buffer = Buffer.from(base64Data, 'base64');
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
 
       // Generate filename
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `${testId}_${timestamp}.jpg`;
-      const filepath = path.join('./uploads/screenshots', filename);
+      const filename = `${test.testId}_${timestamp}.jpg`;
+      const storageKey = `screenshots/${filename}`;
 
-      // Compress and save image
-      await sharp(buffer)
-        .jpeg({ quality: 60 })
+      // Compress and save image (sharp is a native module, loaded only here so that a failed
+      // install does not take violation recording and test completion down with it)
+      const sharp = require('sharp');
+      const { data, info } = await sharp(buffer)
         .resize(800, 600, { fit: 'inside' })
-        .toFile(filepath);
+        .jpeg({ quality: 60 })
+        .toBuffer({ resolveWithObject: true });
+      await mediaStore.save(storageKey, data);
 
-      // Add to session
       const screenshot = {
         filename,
-        filepath,
-        timestamp: new Date(),
-        size: fs.statSync(filepath).size
+        storageKey,
+        size: info.size,
+        width: info.width,
+        height: info.height,
+        sha256,
+        capturedAt: new Date()
       };
 
-      session.screenshots.push(screenshot);
+      // Face detection and identity check (if enabled)
+      const { detection, identity } = session.options.enableFaceDetection ?
+        await this.analyzeSnapshot(test, buffer, sha256, screenshot) :
+        {};
 
-      // Face detection (if enabled)
-      if (session.options.enableFaceDetection) {
-        await this.detectFaces(testId, filepath);
-      }
+      await ProctoringSession.updateOne({ _id: session._id }, { $push: { screenshots: screenshot } });
 
-      return { success: true, screenshot };
+      return { success: true, screenshot, detection, identity };
     } catch (error) {
       console.error('Screenshot capture error:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Start automatic screenshot capture
-  startScreenshotCapture(testId) {
-    const session = this.activeTestSessions.get(testId);
-    if (!session) return;
-
-    session.screenshotInterval = setInterval(() => {
-      if (!session.isActive) {
-        clearInterval(session.screenshotInterval);
-        return;
-      }
-
-      // Request screenshot from client (this would be handled via websocket)
-      this.requestScreenshot(testId);
-    }, this.screenshotInterval * 1000);
-  }
-
-  // Request screenshot from client (placeholder for websocket implementation)
-  requestScreenshot(testId) {
-    // This would emit a websocket event to the client
-    console.log(`📸 Requesting screenshot for test ${testId}`);
-  }
+  // Count the faces in a snapshot and, when one face is visible and a check is due, compare it
+  // with the candidate's profile photo. Results are added to the screenshot metadata; a detector
+  // failure only leaves the screenshot without them.
+  async analyzeSnapshot(test, buffer, sha256, screenshot) {
+    if (!faceDetectionService.isEnabled()) {
+      return {};
+    }
 
-  // Detect faces in screenshot (placeholder for AI implementation)
-  async detectFaces(testId, imagePath) {
     try {
-      // Placeholder for face detection logic
-      // In a real implementation, this would use AI/ML services like:
-      // - OpenCV
-      // - AWS Rekognition
-      // - Google Vision API
-      // - Face-api.js
-      
-      const fakeDetection = {
-        faceCount: Math.random() > 0.8 ? 0 : Math.random() > 0.9 ? 2 : 1,
-        confidence: 0.95
-      };
-
-      if (fakeDetection.faceCount === 0) {
-        this.recordViolation(testId, this.violationTypes.NO_FACE_DETECTED, {
-          screenshot: imagePath,
-          confidence: fakeDetection.confidence
-        });
-      } else if (fakeDetection.faceCount > 1) {
-        this.recordViolation(testId, this.violationTypes.MULTIPLE_FACES, {
-          screenshot: imagePath,
-          faceCount: fakeDetection.faceCount,
-          confidence: fakeDetection.confidence
-        });
+      const image = await faceDetectionService.decodeImage(buffer, { sha256 });
+      const detection = await faceDetectionService.detect(image);
+      screenshot.faceCount = detection.faceCount;
+      screenshot.faceConfidence = detection.confidence;
+      screenshot.faceDetector = faceDetectionService.getDetectorName();
+
+      let identity = null;
+      if (detection.faceCount === 1 && identityVerificationService.isCheckDue(test)) {
+        identity = await identityVerificationService.checkSnapshot(test, image, screenshot);
+        if (identity) {
+          screenshot.identitySimilarity = identity.similarity;
+        }
       }
 
-      return fakeDetection;
+      return { detection, identity };
     } catch (error) {
       console.error('Face detection error:', error);
-      return { error: error.message };
+      return {};
     }
   }
 
-  // Get violation severity
-  getViolationSeverity(violationType) {
-    const severityMap = {
-      [this.violationTypes.TAB_SWITCH]: 'major',
-      [this.violationTypes.WINDOW_BLUR]: 'major',
-      [this.violationTypes.FULLSCREEN_EXIT]: 'major',
-      [this.violationTypes.COPY_PASTE]: 'critical',
-      [this.violationTypes.RIGHT_CLICK]: 'minor',
-      [this.violationTypes.KEYBOARD_SHORTCUT]: 'major',
-      [this.violationTypes.MULTIPLE_FACES]: 'critical',
-      [this.violationTypes.NO_FACE_DETECTED]: 'major',
-      [this.violationTypes.SUSPICIOUS_MOVEMENT]: 'minor',
-      [this.violationTypes.BROWSER_DEVELOPER_TOOLS]: 'critical'
-    };
-
-    return severityMap[violationType] || 'minor';
-  }
-
-  // Log violation to file
-  logViolation(testId, violation) {
-    const logEntry = {
-      timestamp: violation.timestamp.toISOString(),
-      testId,
-      violationType: violation.type,
-      severity: violation.severity,
-      details: violation.details
-    };
-
-    const logFile = path.join('./logs/proctoring', `${testId}.log`);
-    fs.appendFileSync(logFile, JSON.stringify(logEntry) + '\n');
+  // The violation a snapshot calls for: no face, more than one face, or a face that does not
+  // match the profile photo
+  getSnapshotViolation(screenshot, detection, identity) {
+    if (detection && detection.faceCount === 0) {
+      return {
+        type: this.violationTypes.NO_FACE_DETECTED,
+        description: 'No face detected in webcam snapshot',
+        details: { screenshot: screenshot.filename, confidence: detection.confidence }
+      };
+    }
+    if (detection && detection.faceCount > 1) {
+      return {
+        type: this.violationTypes.MULTIPLE_FACES,
+        description: `${detection.faceCount} faces detected in webcam snapshot`,
+        details: { screenshot: screenshot.filename, faceCount: detection.faceCount, confidence: detection.confidence }
+      };
+    }
+    if (identity && !identity.matched) {
+      return {
+        type: this.violationTypes.IDENTITY_MISMATCH,
+        description: `Face does not match the profile photo (similarity ${identity.similarity})`,
+        details: { screenshot: screenshot.filename, similarity: identity.similarity, threshold: identity.threshold }
+      };
+    }
+    return null;
   }
 
-  // Generate proctoring report
-  generateProctoringReport(testId) {
-    const session = this.activeTestSessions.get(testId);
-    if (!session) {
+  // Generate proctoring report for any test, live or past
+  async generateProctoringReport(testId) {
+    const test = await Test.findOne({ testId })
+      .select('testId user userName status startTime endTime proctoring testConfig.proctoringPolicy analytics.responseTimeAnomaly');
+    if (!test) {
       return null;
     }
 
-    const totalViolations = session.violations.length;
-    const violationsByType = session.violations.reduce((acc, v) => {
+    const session = await ProctoringSession.findOne({ test: test._id });
+    return this.buildReport(test, session);
+  }
+
+  // Build the report from the stored session; tests from before sessions were stored
+  // fall back to the activities recorded on the test itself
+  buildReport(test, session) {
+    const policy = test.getProctoringPolicy();
+    const violations = session ?
+      session.violations :
+      test.proctoring.suspiciousActivities
+        .filter(activity => !proctoringPolicy.isSessionEvent(activity.type))
+        .map(activity => ({
+          type: proctoringPolicy.normalizeType(activity.type),
+          severity: proctoringPolicy.getSeverity(activity.type, policy),
+          description: activity.description,
+          occurredAt: activity.timestamp
+        }));
+    const evaluation = proctoringPolicy.evaluate(violations, policy);
+
+    const totalViolations = violations.length;
+    const violationsByType = violations.reduce((acc, v) => {
       acc[v.type] = (acc[v.type] || 0) + 1;
       return acc;
     }, {});
-    
-    const violationsBySeverity = session.violations.reduce((acc, v) => {
+
+    const violationsBySeverity = violations.reduce((acc, v) => {
       acc[v.severity] = (acc[v.severity] || 0) + 1;
       return acc;
     }, {});
 
-    const duration = session.endTime ? 
-      (session.endTime - session.startTime) / 1000 / 60 : // in minutes
-      (new Date() - session.startTime) / 1000 / 60;
+    const startTime = session ? session.startTime : test.startTime;
+    const endTime = session ? session.endTime : test.endTime;
+    const duration = startTime ?
+      ((endTime || new Date()) - startTime) / 1000 / 60 : // in minutes
+      0;
 
     const report = {
-      testId,
-      userId: session.userId,
-      startTime: session.startTime,
-      endTime: session.endTime,
+      testId: test.testId,
+      userId: test.user,
+      userName: test.userName,
+      source: session ? 'session' : 'test',
+      sessionStatus: session ? session.status : null,
+      startTime,
+      endTime,
       duration: Math.round(duration),
       totalViolations,
       violationsByType,
       violationsBySeverity,
-      screenshotCount: session.screenshots.length,
-      riskLevel: this.calculateRiskLevel(session.violations),
-      recommendations: this.generateRecommendations(session.violations),
-      timeline: session.violations.map(v => ({
-        timestamp: v.timestamp,
+      screenshotCount: session ? session.screenshots.length : test.proctoring.screenshots.length,
+      screenshots: session ? session.screenshots : [],
+      riskScore: evaluation.score,
+      riskLevel: evaluation.riskLevel,
+      thresholds: evaluation.thresholds,
+      flaggedForReview: Boolean(test.proctoring.flaggedForReview),
+      connection: {
+        lastHeartbeatAt: test.proctoring.lastHeartbeatAt || null,
+        totalOfflineSeconds: test.proctoring.totalOfflineSeconds || 0,
+        offlineIntervals: test.proctoring.offlineIntervals || []
+      },
+      identity: {
+        ...test.getIdentitySummary(),
+        threshold: identityVerificationService.matchThreshold,
+        history: test.proctoring.identityChecks || []
+      },
+      responseTimes: (test.analytics && test.analytics.responseTimeAnomaly) || null,
+      recommendations: this.generateRecommendations(violations, evaluation, test),
+      timeline: violations.map(v => ({
+        timestamp: v.occurredAt || v.recordedAt,
         type: v.type,
-        severity: v.severity
+        severity: v.severity,
+        description: v.description
       }))
     };
 
     return report;
   }
 
-  // Calculate risk level
-  calculateRiskLevel(violations) {
-    const criticalCount = violations.filter(v => v.severity === 'critical').length;
-    const majorCount = violations.filter(v => v.severity === 'major').length;
-    const minorCount = violations.filter(v => v.severity === 'minor').length;
-
-    if (criticalCount >= 2) return 'HIGH';
-    if (criticalCount >= 1 || majorCount >= 3) return 'MEDIUM';
-    if (majorCount >= 1 || minorCount >= 5) return 'LOW';
-    return 'MINIMAL';
-  }
-
   // Generate recommendations
-  generateRecommendations(violations) {
+  generateRecommendations(violations, evaluation, test) {
     const recommendations = [];
     const violationTypes = [...new Set(violations.map(v => v.type))];
 
     if (violationTypes.includes(this.violationTypes.MULTIPLE_FACES)) {
       recommendations.push('Multiple faces detected - verify candidate identity');
     }
-    
+
     if (violationTypes.includes(this.violationTypes.TAB_SWITCH)) {
       recommendations.push('Frequent tab switching detected - review test session');
     }
-    
+
     if (violationTypes.includes(this.violationTypes.COPY_PASTE)) {
       recommendations.push('Copy-paste activity detected - flag for manual review');
     }
 
-    if (violations.filter(v => v.severity === 'critical').length >= 2) {
-      recommendations.push('High-risk session - recommend test invalidation');
+    if (violationTypes.includes(this.violationTypes.IDENTITY_MISMATCH)) {
+      recommendations.push('Webcam snapshots do not match the profile photo - compare them before accepting the result');
     }
 
-    return recommendations;
-  }
+    if (violationTypes.includes(this.violationTypes.CONNECTION_LOST)) {
+      recommendations.push('Long connection gaps detected - check what the candidate did while offline');
+    }
 
-  // Archive session data
-  archiveSession(testId, session) {
-    const archiveData = {
-      ...session,
-      archivedAt: new Date()
-    };
+    const responseTimes = test.analytics && test.analytics.responseTimeAnomaly;
+    if (responseTimes && responseTimes.score >= 50) {
+      recommendations.push('Implausibly fast correct answers or a last-minute burst of answers - review the response times');
+    }
+
+    if (evaluation.riskLevel === 'High') {
+      recommendations.push('High-risk session - recommend test invalidation');
+    }
 
-    const archiveFile = path.join('./logs/proctoring', `archived_${testId}.json`);
-    fs.writeFileSync(archiveFile, JSON.stringify(archiveData, null, 2));
+    return recommendations;
   }
 
   // Get session status
-  getSessionStatus(testId) {
-    const session = this.activeTestSessions.get(testId);
+  async getSessionStatus(testId) {
+    const session = await ProctoringSession.findOne({ testId });
     if (!session) {
       return { exists: false };
     }
 
     return {
       exists: true,
-      isActive: session.isActive,
+      isActive: session.status === 'Active',
+      screenCapture: session.options.enableScreenCapture,
       startTime: session.startTime,
       violationCount: session.violations.length,
       screenshotCount: session.screenshots.length,
-      riskLevel: this.calculateRiskLevel(session.violations)
+      riskScore: session.riskScore,
+      riskLevel: session.riskLevel
+    };
+  }
+
+  getConnectionThresholds() {
+    return { offlineAfterSeconds: this.offlineAfterSeconds, idleAfterSeconds: this.idleAfterSeconds };
+  }
+
+  // Live view of running and scheduled tests for admin monitoring
+  async getLiveTests() {
+    const activeTests = await Test.find({
+      status: { $in: ['In Progress', 'Scheduled'] }
+    })
+      .populate('user', 'fullName email phone profile.photo')
+      .sort({ startTime: -1 });
+
+    const now = new Date();
+    const monitoringData = activeTests.map(test => {
+      const timeElapsed = test.startTime ? Math.floor((now - test.startTime) / (1000 * 60)) : 0;
+      const progress = test.questions.filter(q => q.userResponse.isAnswered).length;
+      const flagged = test.questions.filter(q => q.userResponse.flaggedForReview).length;
+
+      // Risk score under the test's proctoring policy
+      const summary = test.getProctoringSummary();
+      const connection = test.status === 'In Progress' ? test.getConnectionState(this.getConnectionThresholds(), now) : null;
+
+      return {
+        testId: test.testId,
+        candidate: {
+          name: test.user.fullName,
+          email: test.user.email,
+          phone: test.user.phone,
+          photo: test.user.profile?.photo
+        },
+        status: test.status,
+        startTime: test.startTime,
+        timeElapsed,
+        timeRemaining: Math.max(0, test.testConfig.durationMinutes - timeElapsed),
+        progress: {
+          answered: progress,
+          total: test.questions.length,
+          percentage: Math.round((progress / test.questions.length) * 100),
+          flagged
+        },
+        proctoring: {
+          tabSwitches: test.proctoring.tabSwitchViolations,
+          fullScreenExits: test.proctoring.fullScreenViolations,
+          suspiciousActivities: test.proctoring.suspiciousActivities.length,
+          violationCounts: summary.violationCounts,
+          riskScore: summary.riskScore,
+          riskLevel: summary.riskLevel,
+          warned: Boolean(test.proctoring.warnedAt),
+          flaggedForReview: summary.flaggedForReview,
+          identity: summary.identity
+        },
+        connection,
+        location: test.proctoring.location,
+        browser: test.proctoring.browserInfo.browser,
+        lastActivity: test.questions
+          .filter(q => q.userResponse.answeredAt)
+          .sort((a, b) => new Date(b.userResponse.answeredAt) - new Date(a.userResponse.answeredAt))[0]?.userResponse.answeredAt
+      };
+    });
+
+    return {
+      activeTests: monitoringData,
+      summary: {
+        total: monitoringData.length,
+        inProgress: monitoringData.filter(t => t.status === 'In Progress').length,
+        scheduled: monitoringData.filter(t => t.status === 'Scheduled').length,
+        highRisk: monitoringData.filter(t => t.proctoring.riskLevel === 'High').length,
+        mediumRisk: monitoringData.filter(t => t.proctoring.riskLevel === 'Medium').length,
+        connected: monitoringData.filter(t => t.connection?.state === 'connected').length,
+        idle: monitoringData.filter(t => t.connection?.state === 'idle').length,
+        offline: monitoringData.filter(t => t.connection?.state === 'offline').length
+      }
     };
   }
 
   // Get all active sessions
-  getAllActiveSessions() {
-    return Array.from(this.activeTestSessions.entries()).map(([testId, session]) => ({
-      testId,
-      userId: session.userId,
+  async getAllActiveSessions() {
+    const sessions = await ProctoringSession.find({ status: 'Active' })
+      .select('testId user startTime violationCounts riskScore riskLevel')
+      .sort({ startTime: -1 });
+
+    return sessions.map(session => ({
+      testId: session.testId,
+      userId: session.user,
       startTime: session.startTime,
-      violationCount: session.violations.length,
-      riskLevel: this.calculateRiskLevel(session.violations)
+      violationCount: session.violationCounts.minor + session.violationCounts.major + session.violationCounts.critical,
+      riskScore: session.riskScore,
+      riskLevel: session.riskLevel
     }));
   }
 }
 
-module.exports = new ProctoringService(); 
\ No newline at end of file
+module.exports = new ProctoringService();
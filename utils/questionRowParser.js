@@ -0,0 +1,112 @@
+const Question = require('../models/Question');
+
+const MAX_OPTION_COLUMNS = 6;
+
+class QuestionRowParser {
+  /**
+   * Build the answer-key fields of a question from a bulk upload row (CSV or Excel).
+   *
+   * Options come either from option1..option6 columns or from a JSON `options` column.
+   * - Multiple Choice: correctOption is the 1-based index of the correct option
+   * - Multiple Select: correctOption(s) is a comma separated list of 1-based indexes
+   * - Ordering: options are listed in the correct sequence
+   * - Numeric: correctAnswer (or numericValue) with numericTolerance, or numericMin/numericMax
+   * - True/False, Fill in the Blank: correctAnswer
+   *
+   * Throws an Error with a row-level message when the answer key is invalid.
+   */
+  parseAnswerKey(row) {
+    const questionType = row.questionType || 'Multiple Choice';
+
+    if (!Question.schema.path('questionType').enumValues.includes(questionType)) {
+      throw new Error(`Invalid question type: ${questionType}`);
+    }
+
+    const answerKey = {
+      questionType,
+      options: [],
+      correctAnswer: row.correctAnswer !== undefined ? String(row.correctAnswer).trim() : '',
+      partialCredit: this.parseBoolean(row.partialCredit)
+    };
+
+    if (Question.OPTION_BASED_TYPES.includes(questionType)) {
+      answerKey.options = this.parseOptions(row, questionType);
+    }
+
+    if (questionType === 'Numeric') {
+      answerKey.numericAnswer = {
+        value: this.parseNumber(row.numericValue !== undefined ? row.numericValue : row.correctAnswer),
+        tolerance: this.parseNumber(row.numericTolerance) || 0,
+        min: this.parseNumber(row.numericMin),
+        max: this.parseNumber(row.numericMax)
+      };
+    }
+
+    const answerKeyError = Question.validateAnswerKey(answerKey);
+    if (answerKeyError) {
+      throw new Error(answerKeyError);
+    }
+
+    return answerKey;
+  }
+
+  /**
+   * Parse options from option columns or a JSON options column
+   */
+  parseOptions(row, questionType) {
+    const optionColumns = [];
+    for (let i = 1; i <= MAX_OPTION_COLUMNS; i++) {
+      const value = row[`option${i}`];
+      if (value !== undefined && String(value).trim() !== '') {
+        optionColumns.push(String(value).trim());
+      }
+    }
+
+    if (optionColumns.length > 0) {
+      const correctIndexes = String(row.correctOptions || row.correctOption || '')
+        .split(',')
+        .map(index => parseInt(index) - 1)
+        .filter(index => !isNaN(index));
+
+      return optionColumns.map((text, index) => ({
+        text,
+        isCorrect: questionType !== 'Ordering' && correctIndexes.includes(index)
+      }));
+    }
+
+    if (row.options) {
+      let optionData;
+      try {
+        optionData = typeof row.options === 'string' ? JSON.parse(row.options) : row.options;
+      } catch (parseError) {
+        throw new Error('Invalid options format. Use option1, option2, etc. columns or a valid JSON array');
+      }
+
+      if (!Array.isArray(optionData)) {
+        throw new Error('Invalid options format. Expected JSON array.');
+      }
+
+      // Ordering items may be given as plain strings in sequence
+      return optionData.map(opt => ({
+        text: typeof opt === 'string' ? opt.trim() : String(opt.text || '').trim(),
+        isCorrect: questionType !== 'Ordering' && (opt.isCorrect === true || opt.isCorrect === 'true')
+      }));
+    }
+
+    throw new Error(`Options are required for ${questionType} questions`);
+  }
+
+  parseNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return undefined;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+
+  parseBoolean(value) {
+    return value === true || String(value).toLowerCase() === 'true';
+  }
+}
+
+module.exports = new QuestionRowParser();
@@ -0,0 +1,280 @@
+const cron = require('node-cron');
+const Test = require('../models/Test');
+
+const COHORTS = ['all', 'blueprint', 'window'];
+const WINDOWS = ['day', 'week', 'month'];
+
+// Matches results that are not held for review (see Test#isResultHeld); held results are not
+// ranked and do not count in anyone's cohort until they are released
+const RELEASED_QUERY = {
+  $or: [
+    { 'testConfig.resultModeration': { $ne: true }, 'proctoring.flaggedForReview': { $ne: true } },
+    { resultReleasedAt: { $ne: null } }
+  ]
+};
+
+class RankingService {
+  constructor() {
+    this.schedule = process.env.RANKING_RECOMPUTE_CRON || '0 * * * *';
+    this.primaryCohort = COHORTS.includes(process.env.RANKING_PRIMARY_COHORT) ?
+      process.env.RANKING_PRIMARY_COHORT : 'blueprint';
+    this.window = WINDOWS.includes(process.env.RANKING_WINDOW) ? process.env.RANKING_WINDOW : 'month';
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the periodic recompute job (call once the database is connected)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    this.job = cron.schedule(this.schedule, async () => {
+      await this.recomputeAll();
+    });
+
+    console.log(`🏅 Ranking recompute scheduled (${this.schedule})`);
+  }
+
+  /**
+   * Stop the recompute job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Adaptive tests are ranked by ability, and only against other adaptive tests,
+   * since their percentages are not comparable with fixed-form tests
+   */
+  isAdaptive(test) {
+    return Boolean(test.testConfig && test.testConfig.adaptive && test.testConfig.adaptive.enabled);
+  }
+
+  getScoreField(test) {
+    return this.isAdaptive(test) ? 'score.ability.estimate' : 'score.percentage';
+  }
+
+  getScoreValue(test) {
+    return this.isAdaptive(test) ?
+      (test.score.ability ? test.score.ability.estimate : 0) :
+      test.score.percentage;
+  }
+
+  /**
+   * Start of the calendar window (UTC) a date falls in; weeks start on Monday
+   */
+  getWindowStart(date) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    if (this.window === 'week') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (this.window === 'month') {
+      start.setUTCDate(1);
+    }
+
+    return start;
+  }
+
+  getWindowEnd(windowStart) {
+    const end = new Date(windowStart);
+
+    if (this.window === 'day') end.setUTCDate(end.getUTCDate() + 1);
+    else if (this.window === 'week') end.setUTCDate(end.getUTCDate() + 7);
+    else end.setUTCMonth(end.getUTCMonth() + 1);
+
+    return end;
+  }
+
+  /**
+   * Query matching the evaluated, released tests a test is ranked against in a cohort
+   */
+  getCohortQuery(test, cohort) {
+    const query = {
+      status: 'Evaluated',
+      reviewStatus: { $ne: 'Rejected' },
+      ...RELEASED_QUERY,
+      'testConfig.adaptive.enabled': this.isAdaptive(test) ? true : { $ne: true }
+    };
+
+    if (cohort === 'blueprint') {
+      query['testConfig.blueprint'] = test.testConfig.blueprint || null;
+    }
+
+    if (cohort === 'window') {
+      const windowStart = this.getWindowStart(test.submittedAt || test.endTime);
+      query.submittedAt = { $gte: windowStart, $lt: this.getWindowEnd(windowStart) };
+    }
+
+    return query;
+  }
+
+  /**
+   * Key identifying a test's group within a cohort, matching getCohortQuery
+   */
+  getCohortKey(test, cohort) {
+    const scale = this.isAdaptive(test) ? 'adaptive' : 'fixed';
+
+    if (cohort === 'blueprint') {
+      return `${scale}:${test.testConfig.blueprint || 'none'}`;
+    }
+    if (cohort === 'window') {
+      return `${scale}:${this.getWindowStart(test.submittedAt || test.endTime).toISOString()}`;
+    }
+    return scale;
+  }
+
+  /**
+   * Standard competition ranking (1, 2, 2, 4): rank is one more than the number of higher scores.
+   * Percentile counts the lower scores plus half of the equal ones (including this test),
+   * so tied tests always share both rank and percentile.
+   */
+  computeRanking(cohortSize, higher, equal) {
+    const lower = cohortSize - higher - equal;
+    return {
+      rank: higher + 1,
+      percentile: cohortSize > 0 ? Math.round(((lower + equal / 2) / cohortSize) * 1000) / 10 : null,
+      cohortSize
+    };
+  }
+
+  /**
+   * Rank one evaluated test in every cohort and store the result on it.
+   * A held result is ranked when it is released.
+   */
+  async rankTest(test) {
+    if (test.status !== 'Evaluated' || test.reviewStatus === 'Rejected' || test.isResultHeld()) {
+      return null;
+    }
+
+    const field = this.getScoreField(test);
+    const value = this.getScoreValue(test);
+    const ranking = { computedAt: new Date() };
+
+    for (const cohort of COHORTS) {
+      const query = this.getCohortQuery(test, cohort);
+      const [cohortSize, higher, equal] = await Promise.all([
+        Test.countDocuments(query),
+        Test.countDocuments({ ...query, [field]: { $gt: value } }),
+        Test.countDocuments({ ...query, [field]: value })
+      ]);
+
+      ranking[cohort] = this.computeRanking(cohortSize, higher, equal);
+      if (cohort === 'window') {
+        ranking.window.windowStart = query.submittedAt.$gte;
+      }
+    }
+
+    const update = {
+      ranking,
+      rank: ranking[this.primaryCohort].rank,
+      percentile: ranking[this.primaryCohort].percentile
+    };
+
+    await Test.updateOne({ _id: test._id }, { $set: update });
+    test.set(update);
+
+    return update;
+  }
+
+  /**
+   * Recompute the ranking of every evaluated test, as earlier results move down
+   * when later candidates score higher. Results rejected in moderation or still held are not ranked.
+   */
+  async recomputeAll() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const summary = { tests: 0, updated: 0 };
+
+    try {
+      const tests = await Test.find({ status: 'Evaluated', reviewStatus: { $ne: 'Rejected' }, ...RELEASED_QUERY })
+        .select('score.percentage score.ability testConfig.blueprint testConfig.adaptive submittedAt endTime ranking')
+        .lean();
+
+      summary.tests = tests.length;
+      const computedAt = new Date();
+      const rankings = new Map(tests.map(test => [test._id.toString(), { computedAt }]));
+
+      for (const cohort of COHORTS) {
+        // Group tests that share a cohort, then rank each group by score
+        const groups = new Map();
+        tests.forEach(test => {
+          const key = this.getCohortKey(test, cohort);
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(test);
+        });
+
+        groups.forEach(group => {
+          const counts = new Map();
+          group.forEach(test => {
+            const value = this.getScoreValue(test);
+            counts.set(value, (counts.get(value) || 0) + 1);
+          });
+
+          const values = [...counts.keys()].sort((a, b) => b - a);
+          const higherCounts = new Map();
+          let higher = 0;
+          values.forEach(value => {
+            higherCounts.set(value, higher);
+            higher += counts.get(value);
+          });
+
+          group.forEach(test => {
+            const value = this.getScoreValue(test);
+            const ranking = this.computeRanking(group.length, higherCounts.get(value), counts.get(value));
+            if (cohort === 'window') {
+              ranking.windowStart = this.getWindowStart(test.submittedAt || test.endTime);
+            }
+            rankings.get(test._id.toString())[cohort] = ranking;
+          });
+        });
+      }
+
+      // Only write tests whose ranking changed
+      const updates = tests
+        .filter(test => COHORTS.some(cohort => {
+          const previous = test.ranking && test.ranking[cohort];
+          const next = rankings.get(test._id.toString())[cohort];
+          return !previous || previous.rank !== next.rank ||
+            previous.percentile !== next.percentile || previous.cohortSize !== next.cohortSize;
+        }))
+        .map(test => {
+          const ranking = rankings.get(test._id.toString());
+          return {
+            updateOne: {
+              filter: { _id: test._id },
+              update: {
+                $set: {
+                  ranking,
+                  rank: ranking[this.primaryCohort].rank,
+                  percentile: ranking[this.primaryCohort].percentile
+                }
+              }
+            }
+          };
+        });
+
+      if (updates.length > 0) {
+        await Test.bulkWrite(updates, { ordered: false });
+      }
+
+      summary.updated = updates.length;
+      return summary;
+    } catch (error) {
+      console.error('Ranking recompute error:', error);
+      return summary;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new RankingService();
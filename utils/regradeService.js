@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const rankingService = require('./rankingService');
+const certificateService = require('./certificateService');
+const testCompletionService = require('./testCompletionService');
+
+const REGRADE_ACTIONS = ['correct_key', 'award_all', 'drop'];
+
+// Tests whose copy of the question is corrected without scoring, as they have not been evaluated yet
+const ACTIVE_STATUSES = ['Scheduled', 'In Progress', 'Submitted'];
+
+class RegradeService {
+  /**
+   * Check a corrected answer key against the question and keep only the fields its type uses.
+   * Option texts must stay the same: candidates' answers are stored as option texts.
+   * Returns { key } or { error }.
+   */
+  buildAnswerKey(question, correction) {
+    let key;
+
+    if (Question.OPTION_BASED_TYPES.includes(question.questionType)) {
+      const options = correction.options || [];
+      const currentTexts = question.options.map(opt => opt.text).sort();
+      const correctedTexts = options.map(opt => (opt.text || '').trim()).sort();
+
+      if (currentTexts.length !== correctedTexts.length ||
+          currentTexts.some((text, index) => text !== correctedTexts[index])) {
+        return { error: 'The corrected options must have the same texts as the current options' };
+      }
+
+      key = {
+        options: options.map(opt => ({ text: opt.text.trim(), isCorrect: Boolean(opt.isCorrect) }))
+      };
+    } else if (question.questionType === 'Numeric') {
+      key = { numericAnswer: correction.numericAnswer };
+    } else {
+      if (typeof correction.correctAnswer !== 'string' || !correction.correctAnswer.trim()) {
+        return { error: 'A corrected answer is required' };
+      }
+      key = { correctAnswer: correction.correctAnswer.trim() };
+    }
+
+    const keyError = Question.validateAnswerKey({ questionType: question.questionType, ...key });
+    return keyError ? { error: keyError } : { key };
+  }
+
+  /**
+   * Re-grade every test that contains a question after its answer key was found to be wrong.
+   * `action` is correct_key (with the corrected key), award_all or drop.
+   * Evaluated tests are re-scored; tests still running get the corrected copy for when they finish.
+   * With dryRun nothing is saved, so the report previews the outcome.
+   */
+  async regradeQuestion(questionId, correction, { regradedBy, reason, notify = false, dryRun = false } = {}) {
+    const { action } = correction;
+
+    if (!REGRADE_ACTIONS.includes(action)) {
+      return { success: false, error: `Action must be one of: ${REGRADE_ACTIONS.join(', ')}` };
+    }
+
+    const question = mongoose.isValidObjectId(questionId) ? await Question.findById(questionId) : null;
+    if (!question) {
+      return { success: false, status: 404, error: 'Question not found' };
+    }
+
+    let key = {};
+    if (action === 'correct_key') {
+      const result = this.buildAnswerKey(question, correction);
+      if (result.error) {
+        return { success: false, error: result.error };
+      }
+      key = result.key;
+    }
+
+    const report = {
+      questionId: question._id,
+      action,
+      dryRun,
+      testsRegraded: 0,
+      activeTestsUpdated: 0,
+      resultsChanged: 0,
+      passedToFailed: 0,
+      failedToPassed: 0,
+      changes: []
+    };
+    // Only pass/fail flips need the test document afterwards
+    const changedUserIds = new Set();
+    const flippedTests = [];
+
+    const cursor = Test.find({
+      'questions.questionId': question._id,
+      status: { $in: ['Evaluated', ...ACTIVE_STATUSES] }
+    }).cursor();
+
+    for await (const test of cursor) {
+      test.applyRegrade(question._id, action, key);
+
+      if (ACTIVE_STATUSES.includes(test.status)) {
+        report.activeTestsUpdated++;
+        if (!dryRun) await test.save();
+        continue;
+      }
+
+      const previous = {
+        percentage: test.score.percentage,
+        grade: test.score.grade,
+        isPassed: test.isPassed
+      };
+
+      test.calculateScore();
+      report.testsRegraded++;
+
+      test.regradeHistory.push({
+        questionId: question._id,
+        action,
+        reason,
+        regradedBy,
+        regradedAt: new Date(),
+        previousPercentage: previous.percentage,
+        previousGrade: previous.grade,
+        previousIsPassed: previous.isPassed
+      });
+
+      if (!dryRun) await test.save();
+
+      if (previous.percentage === test.score.percentage && previous.grade === test.score.grade &&
+          previous.isPassed === test.isPassed) {
+        continue;
+      }
+
+      const passStatusChanged = previous.isPassed !== test.isPassed;
+      report.resultsChanged++;
+      if (passStatusChanged) {
+        if (test.isPassed) report.failedToPassed++;
+        else report.passedToFailed++;
+      }
+
+      report.changes.push({
+        testId: test.testId,
+        user: test.user,
+        userName: test.userName,
+        resultStatus: test.getResultStatus(),
+        previous,
+        current: {
+          percentage: test.score.percentage,
+          grade: test.score.grade,
+          isPassed: test.isPassed
+        },
+        passStatusChanged
+      });
+      changedUserIds.add(test.user.toString());
+      if (passStatusChanged) flippedTests.push({ test, previous });
+    }
+
+    if (!dryRun) {
+      await this.updateQuestion(question, action, key, regradedBy, reason);
+      await this.applyOutcomes(changedUserIds, flippedTests, { regradedBy, notify });
+    }
+
+    return { success: true, report };
+  }
+
+  /**
+   * Save the corrected key on the question itself. A question awarded to all or dropped is
+   * sent back for review so it is not drawn again until it is fixed.
+   */
+  async updateQuestion(question, action, key, regradedBy, reason) {
+    const changes = action === 'correct_key' ? key : { status: 'Review' };
+    await question.createVersion(changes, reason || `Re-grade: ${action}`, regradedBy);
+  }
+
+  /**
+   * Carry changed results through: candidate test info, certificates, notifications and ranks.
+   * Held and invalidated results only get their score updated; they are published on release.
+   */
+  async applyOutcomes(changedUserIds, flippedTests, { regradedBy, notify }) {
+    for (const userId of changedUserIds) {
+      await testCompletionService.recalculateUserTestInfo(userId);
+    }
+
+    for (const { test, previous } of flippedTests) {
+      if (test.getResultStatus() !== 'Released') {
+        continue;
+      }
+
+      try {
+        if (test.isPassed) {
+          await testCompletionService.issueCertificate(test);
+        } else if (test.certificateIssued && !test.certificateRevokedAt) {
+          await certificateService.revoke(test.certificateNumber, regradedBy,
+            'The test no longer passes after an answer key correction');
+        }
+
+        if (notify) {
+          await this.sendRegradeNotification(test, previous);
+        }
+      } catch (error) {
+        console.error('Re-grade outcome error:', error);
+      }
+    }
+
+    if (changedUserIds.size > 0) {
+      await rankingService.recomputeAll();
+    }
+  }
+
+  /**
+   * Tell a candidate their pass/fail status changed
+   */
+  async sendRegradeNotification(test, previous) {
+    const user = await User.findById(test.user).select('email fullName');
+    if (!user || !user.email) {
+      return;
+    }
+
+    await emailService.sendRegradeNotification(user.email, user.fullName, {
+      testId: test.testId,
+      previousPercentage: previous.percentage,
+      previousGrade: previous.grade,
+      percentage: test.score.percentage,
+      grade: test.score.grade,
+      isPassed: test.isPassed
+    });
+  }
+}
+
+module.exports = new RegradeService();
@@ -0,0 +1,263 @@
+const cron = require('node-cron');
+const Test = require('../models/Test');
+const Question = require('../models/Question');
+
+// A fast correct answer to a harder question is more telling
+const DIFFICULTY_WEIGHTS = {
+  Easy: 1,
+  Moderate: 1.2,
+  Hard: 1.5
+};
+
+// Scales a median absolute deviation to a standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+// Floor for the spread of log times, so near-identical times do not make every difference extreme
+const MIN_LOG_MAD = 0.1;
+const BURST_WINDOW_SECONDS = 60;
+const TOP_ITEMS = 5;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const toLogTime = (seconds) => Math.log1p(seconds);
+
+class ResponseTimeService {
+  constructor() {
+    this.schedule = process.env.RESPONSE_TIME_STATS_CRON || '15 2 * * *';
+    this.minSamples = parseInt(process.env.RESPONSE_TIME_MIN_SAMPLES) || 20;
+    this.fastZ = parseFloat(process.env.RESPONSE_TIME_FAST_Z) || 2.5;
+    this.burstMinAnswers = parseInt(process.env.RESPONSE_TIME_BURST_MIN_ANSWERS) || 5;
+    this.job = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the nightly question time statistics job (call once the database is connected)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    this.job = cron.schedule(this.schedule, async () => {
+      console.log('Running question response time statistics job...');
+      await this.computeQuestionStats();
+    });
+  }
+
+  /**
+   * Stop the statistics job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Recompute each question's answer time distribution (and avgTimeSpent) from evaluated tests
+   */
+  async computeQuestionStats() {
+    if (this.isRunning) {
+      return { success: false, error: 'Response time statistics are already being computed' };
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date();
+
+    try {
+      const times = new Map();
+      const cursor = Test.find({ status: 'Evaluated' })
+        .select('questions.questionId questions.userResponse.timeSpent questions.userResponse.isAnswered')
+        .lean()
+        .cursor();
+
+      for await (const test of cursor) {
+        test.questions.forEach(q => {
+          if (q.userResponse && q.userResponse.isAnswered && q.userResponse.timeSpent > 0) {
+            const questionId = q.questionId.toString();
+            if (!times.has(questionId)) times.set(questionId, []);
+            times.get(questionId).push(q.userResponse.timeSpent);
+          }
+        });
+      }
+
+      const computedAt = new Date();
+      const updates = [...times].map(([questionId, seconds]) => {
+        const logs = seconds.map(toLogTime);
+        const logMedian = median(logs);
+
+        return {
+          updateOne: {
+            filter: { _id: questionId },
+            update: {
+              $set: {
+                timeStats: {
+                  logMedian: round(logMedian, 4),
+                  logMad: round(median(logs.map(value => Math.abs(value - logMedian))), 4),
+                  medianSeconds: round(median(seconds), 1),
+                  sampleSize: seconds.length,
+                  computedAt
+                },
+                avgTimeSpent: Math.round(seconds.reduce((sum, value) => sum + value, 0) / seconds.length)
+              }
+            }
+          }
+        };
+      });
+
+      if (updates.length > 0) {
+        await Question.bulkWrite(updates, { ordered: false });
+      }
+
+      this.lastRun = {
+        startedAt,
+        completedAt: new Date(),
+        questionsUpdated: updates.length
+      };
+
+      console.log('Response time statistics completed:', this.lastRun);
+      return { success: true, ...this.lastRun };
+    } catch (error) {
+      console.error('Response time statistics error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Score an evaluated test's answer times and store the result in analytics.responseTimeAnomaly
+   */
+  async scoreTest(test) {
+    const questions = await Question.find({ _id: { $in: test.questions.map(q => q.questionId) } })
+      .select('timeStats')
+      .lean();
+    const statsByQuestion = new Map(questions
+      .filter(question => question.timeStats && question.timeStats.sampleSize >= this.minSamples)
+      .map(question => [question._id.toString(), question.timeStats]));
+
+    const anomaly = { ...this.analyze(test, statsByQuestion), computedAt: new Date() };
+    test.analytics.responseTimeAnomaly = anomaly;
+    await Test.updateOne({ _id: test._id }, { $set: { 'analytics.responseTimeAnomaly': anomaly } });
+
+    return anomaly;
+  }
+
+  /**
+   * Find implausible answer times in a test:
+   * - fast_correct: a correct answer much faster than the question usually takes, and than the
+   *   candidate's own pace (robust z-scores of log times, so one slow answer does not hide the rest)
+   * - final_minute_burst: far more answers in the last minute of the test or a section than the
+   *   candidate's pace allows, weighed by how many of them were correct
+   * The test's score is its strongest item's, plus 10 for each other flagged item.
+   */
+  analyze(test, statsByQuestion) {
+    const answered = test.questions.filter(q =>
+      q.userResponse.isAnswered && q.userResponse.timeSpent > 0 && q.regrade !== 'drop'
+    );
+    if (answered.length === 0) {
+      return { score: 0, flaggedItems: 0, candidateMedianSeconds: null, topItems: [] };
+    }
+
+    const items = [
+      ...this.findFastCorrectAnswers(answered, statsByQuestion),
+      ...this.findFinalMinuteBursts(test, answered)
+    ].sort((a, b) => b.score - a.score);
+
+    return {
+      score: items.length > 0 ? Math.min(100, items[0].score + 10 * (items.length - 1)) : 0,
+      flaggedItems: items.length,
+      candidateMedianSeconds: round(median(answered.map(q => q.userResponse.timeSpent)), 1),
+      topItems: items.slice(0, TOP_ITEMS)
+    };
+  }
+
+  findFastCorrectAnswers(answered, statsByQuestion) {
+    const logs = answered.map(q => toLogTime(q.userResponse.timeSpent));
+    const ownMedian = median(logs);
+    const ownSpread = MAD_SCALE * Math.max(median(logs.map(value => Math.abs(value - ownMedian))), MIN_LOG_MAD);
+
+    const questionZs = answered.map((q, index) => {
+      const stats = statsByQuestion.get(q.questionId.toString());
+      return stats ? (logs[index] - stats.logMedian) / (MAD_SCALE * Math.max(stats.logMad, MIN_LOG_MAD)) : null;
+    });
+    // How fast the candidate usually is compared with other candidates
+    const knownZs = questionZs.filter(z => z !== null);
+    const pace = knownZs.length > 0 ? median(knownZs) : null;
+
+    const items = [];
+    answered.forEach((q, index) => {
+      if (!q.isCorrect) return;
+
+      const questionZ = questionZs[index];
+      // Against the candidate's pace: relative to their usual speed when the question has
+      // enough samples, otherwise relative to their own answer times
+      const paceZ = questionZ !== null ? questionZ - pace : (logs[index] - ownMedian) / ownSpread;
+      // Only fast on both counts is suspicious, so take the less extreme
+      const z = questionZ !== null ? Math.max(questionZ, paceZ) : paceZ;
+      if (z > -this.fastZ) return;
+
+      const stats = statsByQuestion.get(q.questionId.toString());
+      items.push({
+        reason: 'fast_correct',
+        score: Math.min(100, Math.round(100 * (-z / (2 * this.fastZ)) * (DIFFICULTY_WEIGHTS[q.difficulty] || 1))),
+        questionNumber: q.questionNumber,
+        questionId: q.questionId,
+        difficulty: q.difficulty,
+        timeSpent: q.userResponse.timeSpent,
+        typicalSeconds: stats ? stats.medianSeconds : null,
+        questionZ: questionZ !== null ? round(questionZ) : null,
+        paceZ: round(paceZ)
+      });
+    });
+
+    return items;
+  }
+
+  findFinalMinuteBursts(test, answered) {
+    const medianSeconds = median(answered.map(q => q.userResponse.timeSpent));
+    const expectedAnswers = BURST_WINDOW_SECONDS / Math.max(medianSeconds, 1);
+
+    // The end of the test, and of each section for sectional tests
+    const windowEnds = [...new Set([test.endTime, ...test.sections.map(section => section.endedAt)]
+      .filter(Boolean)
+      .map(end => new Date(end).getTime()))];
+
+    const items = [];
+    windowEnds.forEach(end => {
+      const inWindow = answered.filter(q => {
+        const answeredAt = q.userResponse.answeredAt ? new Date(q.userResponse.answeredAt).getTime() : null;
+        return answeredAt !== null && answeredAt <= end && answeredAt > end - BURST_WINDOW_SECONDS * 1000;
+      });
+
+      const ratio = inWindow.length / Math.max(expectedAnswers, 1);
+      if (inWindow.length < this.burstMinAnswers || ratio < 3) return;
+
+      // Rushing to guess before time runs out is common; rushing to right answers is not
+      const correctAnswers = inWindow.filter(q => q.isCorrect).length;
+      const correctShare = correctAnswers / inWindow.length;
+
+      items.push({
+        reason: 'final_minute_burst',
+        score: Math.min(100, Math.round(100 * (ratio / 6) * (0.5 + 0.5 * correctShare))),
+        answers: inWindow.length,
+        expectedAnswers: round(expectedAnswers, 1),
+        correctAnswers,
+        windowEnd: new Date(end)
+      });
+    });
+
+    return items;
+  }
+}
+
+module.exports = new ResponseTimeService();
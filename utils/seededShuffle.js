@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+class SeededShuffle {
+  /**
+   * Generate a new random seed to store on a test
+   */
+  generateSeed() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Create a deterministic random number generator (mulberry32) from a string seed.
+   * Without a seed, Math.random is returned.
+   */
+  createRandom(seed) {
+    if (seed === undefined || seed === null) {
+      return Math.random;
+    }
+
+    // Hash the seed string into a 32-bit integer state
+    const hash = crypto.createHash('sha256').update(String(seed)).digest();
+    let state = hash.readUInt32LE(0);
+
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Return a shuffled copy of the items (unbiased Fisher-Yates)
+   */
+  shuffle(items, seed) {
+    const random = this.createRandom(seed);
+    const shuffled = [...items];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  }
+
+  /**
+   * Return a shuffled list of the indexes 0..length-1
+   */
+  permutation(length, seed) {
+    return this.shuffle(Array.from({ length }, (value, index) => index), seed);
+  }
+}
+
+module.exports = new SeededShuffle();
@@ -0,0 +1,314 @@
+/**
+ * Registry of issued tokens and their revocations.
+ *
+ * Every access, refresh, admin and test token carries a `jti` and is recorded as a session
+ * { jti, principal, type, testId, issuedAt, expiresAt, ipAddress, userAgent } under its
+ * principal (`user:<id>` or `admin:<id>`). A token is revoked on its own (logout), or with
+ * every other token its principal was issued before a point in time (log out everywhere,
+ * termination by an admin). Records and revocations expire with the tokens they cover.
+ *
+ * A store is any object with async `save(session)`, `get(jti)`, `list(principal)`,
+ * `revoke(jti, principal, expiresAt)`, `isRevoked(jti)`, `setRevokedBefore(principal, iat)`,
+ * `getRevokedBefore(principal)`, `connect()` and `close()`.
+ *
+ * With REDIS_URL set, sessions are kept in Redis, so they survive restarts and are shared by
+ * every server instance. Without it they are kept in this process and forgotten on restart.
+ */
+
+// Longest lifetime of a recorded token (refresh tokens), which bounds a "revoked before" mark
+const MAX_TOKEN_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+const MEMORY_PRUNE_INTERVAL_MS = 60 * 1000;
+
+class RedisSessionStore {
+  constructor({ url, prefix }) {
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.connecting = null;
+
+    // Commands fail at once while Redis is unreachable instead of queueing behind the reconnect
+    const { createClient } = require('redis');
+    this.client = createClient({ url, disableOfflineQueue: true });
+    this.client.on('error', error => console.error('Redis Session Store Error:', error.message));
+  }
+
+  key(...parts) {
+    return `${this.prefix}${parts.join(':')}`;
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.client.connect()
+        .then(() => console.log('🔑 Session store connected to Redis'));
+    }
+    return this.connecting;
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  async save(session) {
+    await this.client.multi()
+      .set(this.key('session', session.jti), JSON.stringify(session), { PXAT: new Date(session.expiresAt).getTime() })
+      .zAdd(this.key('sessions', session.principal), { score: new Date(session.expiresAt).getTime(), value: session.jti })
+      .expire(this.key('sessions', session.principal), MAX_TOKEN_LIFETIME_SECONDS)
+      .exec();
+  }
+
+  async get(jti) {
+    const session = await this.client.get(this.key('session', jti));
+    return session ? JSON.parse(session) : null;
+  }
+
+  async list(principal) {
+    const setKey = this.key('sessions', principal);
+    await this.client.zRemRangeByScore(setKey, '-inf', Date.now());
+
+    const jtis = await this.client.zRange(setKey, 0, -1);
+    if (jtis.length === 0) {
+      return [];
+    }
+
+    const sessions = await this.client.mGet(jtis.map(jti => this.key('session', jti)));
+    return sessions.filter(Boolean).map(session => JSON.parse(session));
+  }
+
+  async revoke(jti, principal, expiresAt) {
+    const multi = this.client.multi()
+      .set(this.key('revoked', jti), '1', { PXAT: new Date(expiresAt).getTime() })
+      .del(this.key('session', jti));
+    if (principal) {
+      multi.zRem(this.key('sessions', principal), jti);
+    }
+    await multi.exec();
+  }
+
+  async isRevoked(jti) {
+    return (await this.client.exists(this.key('revoked', jti))) === 1;
+  }
+
+  async setRevokedBefore(principal, iat) {
+    await this.client.set(this.key('revoked-before', principal), String(iat), { EX: MAX_TOKEN_LIFETIME_SECONDS });
+  }
+
+  async getRevokedBefore(principal) {
+    const iat = await this.client.get(this.key('revoked-before', principal));
+    return iat ? parseInt(iat) : null;
+  }
+}
+
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map(); // jti -> session
+    this.byPrincipal = new Map(); // principal -> Set of jti
+    this.revoked = new Map(); // jti -> expiry (ms)
+    this.revokedBefore = new Map(); // principal -> { iat, expiresAt (ms) }
+    this.lastPrunedAt = 0;
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  // Drop expired records now and then, so the maps do not grow with every token ever issued
+  prune(now = Date.now()) {
+    if (now - this.lastPrunedAt < MEMORY_PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPrunedAt = now;
+
+    this.sessions.forEach((session, jti) => {
+      if (new Date(session.expiresAt).getTime() <= now) this.removeSession(jti);
+    });
+    this.revoked.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) this.revoked.delete(jti);
+    });
+    this.revokedBefore.forEach((mark, principal) => {
+      if (mark.expiresAt <= now) this.revokedBefore.delete(principal);
+    });
+  }
+
+  removeSession(jti) {
+    const session = this.sessions.get(jti);
+    if (!session) return;
+
+    this.sessions.delete(jti);
+    const jtis = this.byPrincipal.get(session.principal);
+    if (jtis) {
+      jtis.delete(jti);
+      if (jtis.size === 0) this.byPrincipal.delete(session.principal);
+    }
+  }
+
+  async save(session) {
+    this.prune();
+    this.sessions.set(session.jti, session);
+    if (!this.byPrincipal.has(session.principal)) this.byPrincipal.set(session.principal, new Set());
+    this.byPrincipal.get(session.principal).add(session.jti);
+  }
+
+  async get(jti) {
+    const session = this.sessions.get(jti);
+    return session && new Date(session.expiresAt).getTime() > Date.now() ? session : null;
+  }
+
+  async list(principal) {
+    const now = Date.now();
+    return [...(this.byPrincipal.get(principal) || [])]
+      .map(jti => this.sessions.get(jti))
+      .filter(session => session && new Date(session.expiresAt).getTime() > now);
+  }
+
+  async revoke(jti, principal, expiresAt) {
+    this.prune();
+    this.revoked.set(jti, new Date(expiresAt).getTime());
+    this.removeSession(jti);
+  }
+
+  async isRevoked(jti) {
+    const expiresAt = this.revoked.get(jti);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  async setRevokedBefore(principal, iat) {
+    this.revokedBefore.set(principal, { iat, expiresAt: Date.now() + MAX_TOKEN_LIFETIME_SECONDS * 1000 });
+  }
+
+  async getRevokedBefore(principal) {
+    const mark = this.revokedBefore.get(principal);
+    return mark && mark.expiresAt > Date.now() ? mark.iat : null;
+  }
+}
+
+class SessionStoreService {
+  constructor() {
+    this.store = this.createStore();
+  }
+
+  createStore() {
+    if (!process.env.REDIS_URL) {
+      console.warn('⚠️ REDIS_URL not set - sessions and logouts are kept in memory and forgotten on restart');
+      return new MemorySessionStore();
+    }
+
+    return new RedisSessionStore({
+      url: process.env.REDIS_URL,
+      prefix: process.env.REDIS_KEY_PREFIX || 'yugayatra:'
+    });
+  }
+
+  /**
+   * Replace the store, e.g. with a MemorySessionStore in tests
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  getStoreName() {
+    return this.store.name;
+  }
+
+  /**
+   * Connect to the store (call once at startup; the in-memory store needs nothing)
+   */
+  connect() {
+    return this.store.connect();
+  }
+
+  close() {
+    return this.store.close();
+  }
+
+  // Admin tokens belong to the admin; access, refresh and test tokens to the candidate
+  getPrincipal(decoded) {
+    return `${decoded.type === 'admin' ? 'admin' : 'user'}:${decoded.sub || decoded.id}`;
+  }
+
+  /**
+   * Record a newly issued token from its decoded payload, with the request it was issued for
+   */
+  async record(decoded, req = null) {
+    const session = {
+      jti: decoded.jti,
+      principal: this.getPrincipal(decoded),
+      type: decoded.type,
+      testId: decoded.testId,
+      issuedAt: new Date(decoded.iat * 1000),
+      expiresAt: new Date(decoded.exp * 1000),
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined
+    };
+
+    await this.store.save(session);
+    return session;
+  }
+
+  /**
+   * Whether a token was revoked, on its own or by a "revoked before" mark on its principal.
+   * `tokenId` is the jti, or a hash of the token for tokens issued without one.
+   */
+  async isRevoked(tokenId, decoded) {
+    if (await this.store.isRevoked(tokenId)) {
+      return true;
+    }
+    if (!decoded || !decoded.iat || !(decoded.sub || decoded.id)) {
+      return false;
+    }
+
+    const revokedBefore = await this.store.getRevokedBefore(this.getPrincipal(decoded));
+    return revokedBefore !== null && decoded.iat < revokedBefore;
+  }
+
+  /**
+   * Revoke one token until it expires
+   */
+  async revoke(tokenId, decoded) {
+    const principal = decoded && (decoded.sub || decoded.id) ? this.getPrincipal(decoded) : null;
+    const expiresAt = decoded && decoded.exp ?
+      new Date(decoded.exp * 1000) :
+      new Date(Date.now() + MAX_TOKEN_LIFETIME_SECONDS * 1000);
+
+    await this.store.revoke(tokenId, principal, expiresAt);
+  }
+
+  /**
+   * Active sessions of a principal, newest first
+   */
+  async listSessions(principal) {
+    const sessions = await this.store.list(principal);
+    return sessions.sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+  }
+
+  /**
+   * Revoke one of a principal's sessions; returns false when it has no such session
+   */
+  async revokeSession(principal, jti) {
+    const session = await this.store.get(jti);
+    if (!session || session.principal !== principal) {
+      return false;
+    }
+
+    await this.store.revoke(jti, principal, session.expiresAt);
+    return true;
+  }
+
+  /**
+   * Revoke every token issued to a principal so far, recorded or not. Returns how many
+   * recorded sessions were ended.
+   */
+  async revokeAll(principal) {
+    const sessions = await this.store.list(principal);
+
+    // Tokens issued within the current second are not covered by the mark, so the recorded
+    // ones are also revoked one by one
+    await this.store.setRevokedBefore(principal, Math.floor(Date.now() / 1000));
+    await Promise.all(sessions.map(session => this.store.revoke(session.jti, principal, session.expiresAt)));
+
+    return sessions.length;
+  }
+}
+
+module.exports = new SessionStoreService();
@@ -0,0 +1,501 @@
+const { Server } = require('socket.io');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const jwtUtils = require('./jwtUtils');
+const proctoringPolicy = require('./proctoringPolicy');
+const proctoringService = require('./proctoringService');
+const testCompletionService = require('./testCompletionService');
+const testActivityLimiter = require('./testActivityLimiter');
+
+const MONITORING_ROOM = 'monitoring';
+const MAX_WARNING_LENGTH = 500;
+
+const testRoom = testId => `test:${testId}`;
+
+// Reply to a client event when it asked for an acknowledgement
+const reply = (ack, data) => {
+  if (typeof ack === 'function') ack(data);
+};
+
+/**
+ * Real-time proctoring over Socket.IO.
+ *
+ * /proctoring: candidates connect with their test token to stream heartbeats, violations and
+ * webcam snapshots, and receive screenshot requests, warnings and completion notices.
+ * /monitoring: admins connect with their admin token to watch live tests, warn candidates
+ * and force-submit tests.
+ * Sockets of either kind are disconnected with a `session:terminated` event when their
+ * session is revoked.
+ *
+ * Rooms are per server instance: a candidate and an admin on different instances do not see
+ * each other's events until a shared adapter is configured.
+ */
+class SocketService {
+  constructor() {
+    this.io = null;
+    this.proctoring = null;
+    this.monitoring = null;
+    this.monitoringTimer = null;
+    this.monitoringInterval = parseInt(process.env.MONITORING_PUSH_SECONDS) || 10;
+    // Snapshots arrive as base64 images
+    this.maxMessageBytes = (parseInt(process.env.SOCKET_MAX_MESSAGE_MB) || 5) * 1024 * 1024;
+  }
+
+  /**
+   * Attach Socket.IO to the HTTP server and open both namespaces
+   */
+  attach(server, corsOptions) {
+    this.io = new Server(server, {
+      cors: corsOptions,
+      maxHttpBufferSize: this.maxMessageBytes
+    });
+
+    this.proctoring = this.io.of('/proctoring');
+    this.proctoring.use((socket, next) => this.authenticateCandidate(socket, next));
+    this.proctoring.on('connection', socket => this.handleCandidate(socket));
+
+    this.monitoring = this.io.of('/monitoring');
+    this.monitoring.use((socket, next) => this.authenticateAdmin(socket, next));
+    this.monitoring.on('connection', socket => this.handleAdmin(socket));
+
+    this.startMonitoringPush();
+    console.log('🔌 Socket.IO proctoring and monitoring channels ready');
+  }
+
+  close() {
+    if (this.monitoringTimer) {
+      clearInterval(this.monitoringTimer);
+      this.monitoringTimer = null;
+    }
+    if (this.io) {
+      this.io.close();
+      this.io = null;
+    }
+  }
+
+  // Token from the handshake auth payload, or a Bearer Authorization header
+  getToken(socket) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    if (auth.token) return auth.token;
+
+    const authHeader = headers.authorization;
+    return authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  }
+
+  // Admin activity is logged with the socket's address and user agent, like a request
+  getActivityContext(socket) {
+    return {
+      ip: socket.handshake.address,
+      get: header => socket.handshake.headers[header.toLowerCase()]
+    };
+  }
+
+  /**
+   * Same checks as authenticateTest: a valid test token for a test that is in progress
+   */
+  async authenticateCandidate(socket, next) {
+    try {
+      const token = this.getToken(socket);
+      if (!token || await jwtUtils.isTokenBlacklisted(token)) {
+        return next(new Error('Access token is required'));
+      }
+
+      const verificationResult = jwtUtils.verifyTestToken(token);
+      if (!verificationResult.success) {
+        return next(new Error(verificationResult.isExpired ? 'Test session has expired' : 'Invalid test token'));
+      }
+
+      const { decoded } = verificationResult;
+      const user = await User.findById(decoded.id).select('fullName testInfo.blockedUntil');
+      if (!user) {
+        return next(new Error('User not found'));
+      }
+      if (user.testInfo.blockedUntil && new Date() < user.testInfo.blockedUntil) {
+        return next(new Error('Account is temporarily blocked'));
+      }
+
+      const test = await Test.findOne({ testId: decoded.testId, user: user._id }).select('status');
+      if (!test || test.status !== 'In Progress') {
+        return next(new Error('Invalid test session'));
+      }
+
+      socket.data.user = user;
+      socket.data.testId = decoded.testId;
+      socket.data.jti = decoded.jti;
+      next();
+    } catch (error) {
+      console.error('Socket Test Authentication Error:', error);
+      next(new Error('Test authentication failed'));
+    }
+  }
+
+  /**
+   * Same checks as authenticateAdmin, plus permission to view tests
+   */
+  async authenticateAdmin(socket, next) {
+    try {
+      const token = this.getToken(socket);
+      if (!token || await jwtUtils.isTokenBlacklisted(token)) {
+        return next(new Error('Access token is required'));
+      }
+
+      const verificationResult = jwtUtils.verifyAdminToken(token);
+      if (!verificationResult.success) {
+        return next(new Error(verificationResult.isExpired ? 'Token has expired' : 'Invalid admin token'));
+      }
+
+      const admin = await Admin.findById(verificationResult.decoded.id).select('-password -otp');
+      if (!admin || admin.status !== 'Active' || !admin.isVerified || admin.isLocked) {
+        return next(new Error('Admin account is not active'));
+      }
+      if (!admin.hasPermission('tests', 'view')) {
+        return next(new Error('Permission denied: tests.view'));
+      }
+
+      socket.data.admin = admin;
+      socket.data.jti = verificationResult.decoded.jti;
+      next();
+    } catch (error) {
+      console.error('Socket Admin Authentication Error:', error);
+      next(new Error('Admin authentication failed'));
+    }
+  }
+
+  // Load the candidate's test for an event; null once it is no longer in progress
+  async loadCandidateTest(socket) {
+    const test = await Test.findOne({ testId: socket.data.testId, user: socket.data.user._id });
+    if (!test || test.status !== 'In Progress') {
+      socket.emit('test:completed', { testId: socket.data.testId, status: test ? test.status : null });
+      return null;
+    }
+    return test;
+  }
+
+  handleCandidate(socket) {
+    const { testId } = socket.data;
+    socket.join(testRoom(testId));
+    this.emitToMonitors('candidate:connected', { testId, at: new Date() });
+
+    this.startScreenshotRequests(socket);
+
+    socket.on('heartbeat', async (payload, ack) => {
+      try {
+        if (!(await testActivityLimiter.consume(testId))) {
+          return reply(ack, { success: false, error: testActivityLimiter.message });
+        }
+
+        const test = await this.loadCandidateTest(socket);
+        if (!test) {
+          return reply(ack, { success: false, error: 'Test is no longer in progress' });
+        }
+
+        const now = new Date();
+        const heartbeat = await testCompletionService.recordHeartbeat(test, now);
+        this.publishHeartbeat(testId, now, heartbeat);
+
+        reply(ack, heartbeat.completed ?
+          { success: true, testCompleted: true } :
+          { success: true, serverTime: now, timeRemaining: test.getTimeRemaining(now) });
+      } catch (error) {
+        console.error('Socket Heartbeat Error:', error);
+        reply(ack, { success: false, error: 'Failed to record heartbeat' });
+      }
+    });
+
+    socket.on('violation', async (payload = {}, ack) => {
+      try {
+        if (!(await testActivityLimiter.consume(testId))) {
+          return reply(ack, { success: false, error: testActivityLimiter.message });
+        }
+
+        const { violationType, description, timestamp } = payload;
+        if (!proctoringPolicy.getReportableTypes().includes(violationType)) {
+          return reply(ack, { success: false, error: 'Invalid violation type' });
+        }
+        if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+          return reply(ack, { success: false, error: 'Description cannot exceed 500 characters' });
+        }
+        const occurredAt = timestamp ? new Date(timestamp) : new Date();
+        if (isNaN(occurredAt.getTime())) {
+          return reply(ack, { success: false, error: 'Invalid timestamp format' });
+        }
+
+        const test = await this.loadCandidateTest(socket);
+        if (!test) {
+          return reply(ack, { success: false, error: 'Test is no longer in progress' });
+        }
+
+        const recorded = await testCompletionService.reportViolation(test, violationType, {
+          description: description || '',
+          occurredAt,
+          ipAddress: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent']
+        });
+        this.publishViolation(testId, recorded);
+
+        const { violation, evaluation } = recorded;
+        reply(ack, {
+          success: true,
+          data: {
+            severity: violation.severity,
+            totalViolations: evaluation.totalViolations,
+            riskScore: evaluation.score,
+            riskLevel: evaluation.riskLevel,
+            warning: evaluation.actions.warn,
+            testCompleted: evaluation.actions.terminate
+          }
+        });
+      } catch (error) {
+        console.error('Socket Violation Error:', error);
+        reply(ack, { success: false, error: 'Failed to record violation' });
+      }
+    });
+
+    socket.on('snapshot', async (payload = {}, ack) => {
+      try {
+        if (!(await testActivityLimiter.consume(testId))) {
+          return reply(ack, { success: false, error: testActivityLimiter.message });
+        }
+
+        if (typeof payload.image !== 'string' || !payload.image) {
+          return reply(ack, { success: false, error: 'Image data is required' });
+        }
+
+        const test = await this.loadCandidateTest(socket);
+        if (!test) {
+          return reply(ack, { success: false, error: 'Test is no longer in progress' });
+        }
+
+        const result = await testCompletionService.captureSnapshot(test, payload.image);
+        if (!result.success) {
+          return reply(ack, { success: false, error: result.message || result.error });
+        }
+
+        const { capturedAt, faceCount, identitySimilarity } = result.screenshot;
+        const identityMatched = result.identity ? result.identity.matched : null;
+        reply(ack, { success: true, capturedAt, faceCount, identityMatched, testCompleted: Boolean(result.completed) });
+        this.emitToMonitors('candidate:snapshot', { testId, capturedAt, faceCount, identitySimilarity, identityMatched });
+        if (result.violation) {
+          this.publishViolation(testId, result);
+        }
+      } catch (error) {
+        console.error('Socket Snapshot Error:', error);
+        reply(ack, { success: false, error: 'Failed to save snapshot' });
+      }
+    });
+
+    socket.on('disconnect', reason => {
+      clearInterval(socket.data.screenshotTimer);
+      this.emitToMonitors('candidate:disconnected', { testId, reason, at: new Date() });
+    });
+  }
+
+  // Ask the candidate's client for a webcam snapshot on connect, then every screenshot interval
+  async startScreenshotRequests(socket) {
+    try {
+      const status = await proctoringService.getSessionStatus(socket.data.testId);
+      if (!status.exists || !status.isActive || !status.screenCapture || !socket.connected) {
+        return;
+      }
+
+      // Ask for one snapshot right away, so identity is checked as soon as the candidate connects
+      socket.emit('screenshot:request', { requestedAt: new Date(), reason: 'identity_check' });
+
+      const timer = setInterval(() => {
+        socket.emit('screenshot:request', { requestedAt: new Date(), reason: 'interval' });
+      }, proctoringService.screenshotInterval * 1000);
+      timer.unref();
+      socket.data.screenshotTimer = timer;
+    } catch (error) {
+      console.error('Screenshot request setup error:', error);
+    }
+  }
+
+  handleAdmin(socket) {
+    socket.join(MONITORING_ROOM);
+    this.sendLiveTests(socket);
+
+    const { admin } = socket.data;
+    const canManage = () => admin.hasPermission('tests', 'manage');
+
+    socket.on('live-tests', () => this.sendLiveTests(socket));
+
+    socket.on('candidate:warn', async (payload = {}, ack) => {
+      try {
+        if (!canManage()) {
+          return reply(ack, { success: false, error: 'Permission denied: tests.manage' });
+        }
+        const message = typeof payload.message === 'string' ? payload.message.trim() : '';
+        if (!message || message.length > MAX_WARNING_LENGTH) {
+          return reply(ack, { success: false, error: `Warning must be between 1 and ${MAX_WARNING_LENGTH} characters` });
+        }
+
+        const result = await this.warnCandidate(payload.testId, message, admin, this.getActivityContext(socket));
+        reply(ack, result ? { success: true, data: result } : { success: false, error: 'Test is not in progress' });
+      } catch (error) {
+        console.error('Socket Warn Candidate Error:', error);
+        reply(ack, { success: false, error: 'Failed to warn candidate' });
+      }
+    });
+
+    socket.on('test:force-submit', async (payload = {}, ack) => {
+      try {
+        if (!canManage()) {
+          return reply(ack, { success: false, error: 'Permission denied: tests.manage' });
+        }
+
+        const reason = typeof payload.reason === 'string' ? payload.reason.trim().slice(0, MAX_WARNING_LENGTH) : '';
+        const test = await this.forceSubmit(payload.testId, admin, reason, this.getActivityContext(socket));
+        reply(ack, test ?
+          { success: true, data: { testId: test.testId, status: test.status } } :
+          { success: false, error: 'Test is not in progress' });
+      } catch (error) {
+        console.error('Socket Force Submit Error:', error);
+        reply(ack, { success: false, error: 'Failed to submit test' });
+      }
+    });
+  }
+
+  /**
+   * Monitoring data of the live-tests view, with whether each candidate is connected here
+   */
+  async getLiveTests() {
+    const liveTests = await proctoringService.getLiveTests();
+    liveTests.activeTests.forEach(test => {
+      test.connected = this.isCandidateConnected(test.testId);
+    });
+    return liveTests;
+  }
+
+  async sendLiveTests(socket) {
+    try {
+      socket.emit('live-tests', await this.getLiveTests());
+    } catch (error) {
+      console.error('Live Test Push Error:', error);
+    }
+  }
+
+  // Refresh the live-tests view of connected admins; skipped while nobody is watching
+  startMonitoringPush() {
+    this.monitoringTimer = setInterval(async () => {
+      if (!this.hasSockets(this.monitoring, MONITORING_ROOM)) return;
+
+      try {
+        this.monitoring.to(MONITORING_ROOM).emit('live-tests', await this.getLiveTests());
+      } catch (error) {
+        console.error('Live Test Push Error:', error);
+      }
+    }, this.monitoringInterval * 1000);
+    this.monitoringTimer.unref();
+  }
+
+  /**
+   * Push a warning to a candidate's test screen.
+   * Returns whether a client received it, or null when the test is not in progress.
+   */
+  async warnCandidate(testId, message, admin, req) {
+    const test = await Test.findOne({ testId, status: 'In Progress' }).select('testId');
+    if (!test) {
+      return null;
+    }
+
+    const delivered = this.isCandidateConnected(testId);
+    this.emitToTest(testId, 'proctoring:warning', { message, sentAt: new Date() });
+
+    await admin.logActivity('candidate_warned', { testId, message, delivered }, req);
+    return { delivered };
+  }
+
+  /**
+   * Submit a candidate's test on an admin's decision.
+   * Returns the evaluated test, or null when it was not in progress.
+   */
+  async forceSubmit(testId, admin, reason, req) {
+    const test = await Test.findOne({ testId, status: 'In Progress' });
+    if (!test) {
+      return null;
+    }
+
+    const completed = await testCompletionService.finalizeTest(test, { reason: 'admin_terminated' });
+    if (!completed) {
+      return null;
+    }
+
+    this.emitToTest(testId, 'test:completed', { testId, status: completed.status, reason: 'admin_terminated', message: reason });
+    this.emitToMonitors('test:completed', { testId, reason: 'admin_terminated' });
+
+    await admin.logActivity('test_force_submitted', { testId, reason }, req);
+    return completed;
+  }
+
+  /**
+   * Tell admins about a heartbeat, with the offline gap it closed and any violation it raised
+   */
+  publishHeartbeat(testId, at, { offlineInterval, violation, evaluation, completed }) {
+    this.emitToMonitors('candidate:heartbeat', { testId, at, offlineInterval });
+
+    if (violation) {
+      this.publishViolation(testId, { violation, evaluation, completed });
+    }
+  }
+
+  /**
+   * Tell admins about a recorded violation, and the candidate when it ended the test
+   */
+  publishViolation(testId, { violation, evaluation, completed }) {
+    this.emitToMonitors('candidate:violation', {
+      testId,
+      type: violation.type,
+      severity: violation.severity,
+      riskScore: evaluation.score,
+      riskLevel: evaluation.riskLevel,
+      flaggedForReview: evaluation.actions.flag,
+      at: violation.recordedAt
+    });
+
+    if (completed) {
+      this.emitToTest(testId, 'test:completed', { testId, status: completed.status, reason: 'proctoring_violation' });
+      this.emitToMonitors('test:completed', { testId, reason: 'proctoring_violation' });
+    }
+  }
+
+  emitToTest(testId, event, data) {
+    if (this.proctoring) this.proctoring.to(testRoom(testId)).emit(event, data);
+  }
+
+  emitToMonitors(event, data) {
+    if (this.monitoring) this.monitoring.to(MONITORING_ROOM).emit(event, data);
+  }
+
+  isCandidateConnected(testId) {
+    return this.hasSockets(this.proctoring, testRoom(testId));
+  }
+
+  /**
+   * Disconnect the sockets of a principal (`user:<id>` or `admin:<id>`) whose sessions were
+   * revoked, or only those opened with one token. Returns how many were disconnected.
+   */
+  disconnectSessions(principal, jti = null) {
+    const [kind, id] = principal.split(':');
+    const namespace = kind === 'admin' ? this.monitoring : this.proctoring;
+    if (!namespace) return 0;
+
+    let disconnected = 0;
+    namespace.sockets.forEach(socket => {
+      const owner = kind === 'admin' ? socket.data.admin : socket.data.user;
+      if (!owner || owner._id.toString() !== id || (jti && socket.data.jti !== jti)) return;
+
+      socket.emit('session:terminated', { reason: 'session_revoked' });
+      socket.disconnect(true);
+      disconnected++;
+    });
+    return disconnected;
+  }
+
+  hasSockets(namespace, room) {
+    return Boolean(namespace && namespace.adapter.rooms.get(room)?.size);
+  }
+}
+
+module.exports = new SocketService();
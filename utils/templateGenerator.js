@@ -17,11 +17,16 @@ class TemplateGenerator {
   generateQuestionTemplate() {
     const headers = [
       'Question Text',
+      'Question Type (Multiple Choice/Multiple Select/True/False/Fill in the Blank/Numeric/Ordering)',
       'Option A',
       'Option B', 
       'Option C',
       'Option D',
-      'Correct Answer (A/B/C/D)',
+      'Correct Answer (A/B/C/D, A,C for Multiple Select, value for Numeric, blank for Ordering)',
+      'Partial Credit (true/false)',
+      'Numeric Tolerance',
+      'Numeric Min',
+      'Numeric Max',
       'Category',
       'Difficulty (easy/moderate/hard)',
       'Explanation',
@@ -34,11 +39,16 @@ class TemplateGenerator {
     const sampleData = [
       [
         'What does HTML stand for?',
+        'Multiple Choice',
         'Hyper Text Markup Language',
         'High Tech Modern Language',
         'Home Tool Markup Language',
         'Hyperlink Text Management Language',
         'A',
+        '',
+        '',
+        '',
+        '',
         'Web Development',
         'easy',
         'HTML stands for Hyper Text Markup Language, which is the standard markup language for creating web pages.',
@@ -46,6 +56,66 @@ class TemplateGenerator {
         '60',
         '4',
         '-1'
+      ],
+      [
+        'Which of these are JavaScript frameworks or libraries?',
+        'Multiple Select',
+        'React',
+        'Django',
+        'Vue',
+        'Laravel',
+        'A,C',
+        'true',
+        '',
+        '',
+        '',
+        'Web Development',
+        'moderate',
+        'React and Vue are JavaScript; Django is Python and Laravel is PHP.',
+        'javascript, frameworks',
+        '60',
+        '4',
+        '-1'
+      ],
+      [
+        'A train covers 150 km in 2.5 hours. What is its speed in km/h?',
+        'Numeric',
+        '',
+        '',
+        '',
+        '',
+        '60',
+        '',
+        '0.5',
+        '',
+        '',
+        'Quantitative Aptitude',
+        'easy',
+        'Speed = 150 / 2.5 = 60 km/h',
+        'speed, distance',
+        '90',
+        '4',
+        '-1'
+      ],
+      [
+        'Arrange the HTTP request steps in order',
+        'Ordering',
+        'DNS lookup',
+        'TCP handshake',
+        'Send request',
+        'Receive response',
+        '',
+        'false',
+        '',
+        '',
+        '',
+        'Technical Knowledge',
+        'moderate',
+        'Options are entered in the correct order; candidates see them shuffled.',
+        'http, networking',
+        '90',
+        '4',
+        '-1'
       ]
     ];
 
@@ -259,10 +329,13 @@ class TemplateGenerator {
 
   validateQuestionData(data) {
     const errors = [];
-    const requiredFields = ['questionText', 'optionA', 'optionB', 'optionC', 'optionD', 'correctAnswer', 'category', 'difficulty'];
+    const requiredFields = ['questionText', 'category', 'difficulty'];
+    const optionFields = ['optionA', 'optionB', 'optionC', 'optionD'];
+    const questionTypes = ['Multiple Choice', 'Multiple Select', 'True/False', 'Fill in the Blank', 'Numeric', 'Ordering'];
     
     data.forEach((row, index) => {
       const rowErrors = [];
+      const questionType = row.questionType || 'Multiple Choice';
       
       requiredFields.forEach(field => {
         if (!row[field] || String(row[field]).trim() === '') {
@@ -270,8 +343,40 @@ class TemplateGenerator {
         }
       });
 
-      if (row.correctAnswer && !['A', 'B', 'C', 'D'].includes(row.correctAnswer.toUpperCase())) {
-        rowErrors.push('Correct answer must be A, B, C, or D');
+      if (!questionTypes.includes(questionType)) {
+        rowErrors.push(`Question type must be one of: ${questionTypes.join(', ')}`);
+      }
+
+      const filledOptions = optionFields.filter(field => row[field] && String(row[field]).trim() !== '');
+      const correctAnswer = row.correctAnswer !== undefined ? String(row.correctAnswer).trim().toUpperCase() : '';
+
+      if (questionType === 'Multiple Choice') {
+        if (filledOptions.length < 2) {
+          rowErrors.push('At least 2 options are required');
+        }
+        if (!['A', 'B', 'C', 'D'].includes(correctAnswer)) {
+          rowErrors.push('Correct answer must be A, B, C, or D');
+        }
+      } else if (questionType === 'Multiple Select') {
+        const letters = correctAnswer.split(',').map(letter => letter.trim()).filter(Boolean);
+        if (filledOptions.length < 2) {
+          rowErrors.push('At least 2 options are required');
+        }
+        if (letters.length === 0 || !letters.every(letter => ['A', 'B', 'C', 'D'].includes(letter))) {
+          rowErrors.push('Correct answer must be a comma separated list of A, B, C, D');
+        }
+      } else if (questionType === 'Ordering') {
+        if (filledOptions.length < 2) {
+          rowErrors.push('At least 2 items are required, listed in the correct order');
+        }
+      } else if (questionType === 'Numeric') {
+        const hasValue = correctAnswer !== '' && Number.isFinite(Number(correctAnswer));
+        const hasRange = Number.isFinite(parseFloat(row.numericMin)) && Number.isFinite(parseFloat(row.numericMax));
+        if (!hasValue && !hasRange) {
+          rowErrors.push('Numeric questions need a numeric correct answer or a min/max range');
+        }
+      } else if (!correctAnswer) {
+        rowErrors.push('correctAnswer is required');
       }
 
       if (row.difficulty && !['easy', 'moderate', 'hard'].includes(row.difficulty.toLowerCase())) {
@@ -0,0 +1,46 @@
+const rateLimit = require('express-rate-limit');
+
+const LIMIT_MESSAGE = 'Too many requests for this test, please try again later.';
+
+/**
+ * Rate limit for heartbeats and proctoring reports (violations and snapshots), counted per test
+ * rather than per IP, since candidates sitting a test from the same network share an IP.
+ *
+ * The HTTP routes and the proctoring socket share one counter, so switching transport does not
+ * reset a test's allowance. Counts are kept in this process.
+ */
+class TestActivityLimiter {
+  constructor() {
+    this.windowMs = parseInt(process.env.TEST_ACTIVITY_RATE_LIMIT_WINDOW_MS) || 60 * 1000; // 1 minute
+    this.max = parseInt(process.env.TEST_ACTIVITY_RATE_LIMIT_MAX) || 60; // limit each test to 60 requests per windowMs
+    this.message = LIMIT_MESSAGE;
+    this.store = new rateLimit.MemoryStore();
+
+    // Used after protectTest, and keyed on the test the token was issued for, so one candidate
+    // cannot use up another test's allowance
+    this.middleware = rateLimit({
+      windowMs: this.windowMs,
+      max: this.max,
+      store: this.store,
+      keyGenerator: (req) => this.getKey(req.testData.testId),
+      message: {
+        success: false,
+        error: LIMIT_MESSAGE
+      }
+    });
+  }
+
+  getKey(testId) {
+    return `test:${testId}`;
+  }
+
+  /**
+   * Count one event of a test outside Express (socket events). Returns false once the test is over its limit.
+   */
+  async consume(testId) {
+    const { totalHits } = await this.store.increment(this.getKey(testId));
+    return totalHits <= this.max;
+  }
+}
+
+module.exports = new TestActivityLimiter();
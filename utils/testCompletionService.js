@@ -0,0 +1,402 @@
+const Test = require('../models/Test');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const rankingService = require('./rankingService');
+const certificateService = require('./certificateService');
+const proctoringService = require('./proctoringService');
+const responseTimeService = require('./responseTimeService');
+
+class TestCompletionService {
+  constructor() {
+    this.gracePeriodSeconds = parseInt(process.env.TEST_GRACE_PERIOD_SECONDS) || 30;
+    this.scheduledTtlMinutes = parseInt(process.env.TEST_SCHEDULED_TTL_MINUTES) || 60;
+  }
+
+  /**
+   * Atomically claim an in-progress test for evaluation so that a manual
+   * submit, an expired answer and the sweeper cannot complete it twice.
+   * Returns the claimed test document, or null if someone else got there first.
+   */
+  async claimTest(testId) {
+    return Test.findOneAndUpdate(
+      { _id: testId, status: 'In Progress' },
+      { $set: { status: 'Submitted' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Complete a test, update the candidate's test info and send result notifications
+   */
+  async finalizeTest(test, { reason = 'submitted', endTime = new Date(), notify = true } = {}) {
+    const claimed = await this.claimTest(test._id);
+    if (!claimed) {
+      return null;
+    }
+
+    await claimed.completeTest(reason, endTime);
+    await this.scoreResponseTimes(claimed);
+    await this.stopProctoring(claimed);
+    await this.rankTest(claimed);
+    await this.publishResult(claimed, notify);
+
+    return claimed;
+  }
+
+  /**
+   * Complete a test whose deadline has passed; endTime is capped at the deadline
+   */
+  async expireTest(test, notify = true) {
+    return this.finalizeTest(test, {
+      reason: 'time_expired',
+      endTime: test.getDeadline() || new Date(),
+      notify
+    });
+  }
+
+  /**
+   * Mark a test that was never started as expired
+   */
+  async expireScheduledTest(test) {
+    const result = await Test.updateOne(
+      { _id: test._id, status: 'Scheduled' },
+      { $set: { status: 'Expired', isExpired: true, completionReason: 'not_started', endTime: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Finish evaluating a test left in 'Submitted' by an interrupted finalizeTest
+   */
+  async recoverSubmittedTest(test) {
+    const deadline = test.getDeadline();
+    const endTime = deadline && deadline < test.updatedAt ? deadline : test.updatedAt;
+
+    const reason = test.isPastDeadline(this.gracePeriodSeconds, test.updatedAt) ? 'time_expired' : 'submitted';
+    await test.completeTest(reason, endTime);
+    await this.scoreResponseTimes(test);
+    await this.stopProctoring(test);
+    await this.rankTest(test);
+    await this.publishResult(test);
+
+    return test;
+  }
+
+  /**
+   * Update the candidate's test info and send result notifications and the certificate.
+   * A moderated result, or one flagged by the proctoring policy, is held instead, and admins
+   * are told it is waiting for review.
+   */
+  async publishResult(test, notify = true) {
+    if (test.isResultHeld()) {
+      if (notify) {
+        await this.sendModerationNotification(test);
+      }
+      return null;
+    }
+
+    const user = await this.updateUserTestInfo(test);
+
+    if (notify && user) {
+      await this.sendResultNotifications(test, user);
+      await this.issueCertificate(test);
+    }
+
+    return user;
+  }
+
+  /**
+   * Approve a held result and publish it to the candidate.
+   * Returns the released test, or null if it was not waiting for review.
+   */
+  async releaseResult(test, reviewedBy, comments) {
+    const released = await this.applyReview(test, 'Approved', reviewedBy, comments, { resultReleasedAt: new Date() });
+    if (released) {
+      await this.rankTest(released);
+      await this.publishResult(released);
+    }
+    return released;
+  }
+
+  /**
+   * Reject a held result; the candidate is told it was invalidated and it drops out of rankings.
+   * Returns the rejected test, or null if it was not waiting for review.
+   */
+  async invalidateResult(test, reviewedBy, comments) {
+    return this.applyReview(test, 'Rejected', reviewedBy, comments, { resultReleasedAt: new Date() });
+  }
+
+  /**
+   * Flag a held result for a closer look; it stays held
+   */
+  async flagResult(test, reviewedBy, comments) {
+    return this.applyReview(test, 'Flagged', reviewedBy, comments);
+  }
+
+  /**
+   * Record a review decision on a held result. The update is conditional on the result
+   * still being held, so two admins cannot release or reject the same result twice.
+   */
+  async applyReview(test, reviewStatus, reviewedBy, comments, fields = {}) {
+    const update = {
+      $set: { reviewStatus, reviewedBy, reviewedAt: new Date(), ...fields }
+    };
+    if (comments) {
+      update.$push = { reviewComments: comments };
+    }
+
+    return Test.findOneAndUpdate(
+      {
+        _id: test._id,
+        status: 'Evaluated',
+        $or: [{ 'testConfig.resultModeration': true }, { 'proctoring.flaggedForReview': true }],
+        resultReleasedAt: null
+      },
+      update,
+      { new: true }
+    );
+  }
+
+  /**
+   * Seconds a test token issued now must stay valid: until the test's deadline plus the grace
+   * period, including the time a scheduled test may still wait to be begun
+   */
+  getTokenLifetimeSeconds(test, now = new Date()) {
+    const waitMinutes = test.status === 'Scheduled' ? this.scheduledTtlMinutes : 0;
+    const endsAt = test.startTime.getTime() +
+      (waitMinutes + test.testConfig.durationMinutes) * 60 * 1000 + this.gracePeriodSeconds * 1000;
+    return Math.max(0, Math.ceil((endsAt - now) / 1000));
+  }
+
+  /**
+   * Close the session if it is overdue. Returns true when the test was closed.
+   */
+  async closeIfOverdue(test, now = new Date()) {
+    if (test.status === 'In Progress' && test.isPastDeadline(this.gracePeriodSeconds, now)) {
+      await this.expireTest(test);
+      return true;
+    }
+
+    if (test.status === 'Scheduled' &&
+        now.getTime() - test.startTime.getTime() > this.scheduledTtlMinutes * 60 * 1000) {
+      return this.expireScheduledTest(test);
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a proctoring violation and auto-submit the test once the proctoring policy says terminate.
+   * Returns the recorded violation, the policy evaluation and the completed test, if any.
+   */
+  async reportViolation(test, violationType, details) {
+    const recorded = await proctoringService.recordViolation(test, violationType, details);
+    const completed = recorded.evaluation.actions.terminate ?
+      await this.finalizeTest(test, { reason: 'proctoring_violation' }) :
+      null;
+
+    return { ...recorded, completed };
+  }
+
+  /**
+   * Save a webcam snapshot. A missing or extra face, or a face that does not match the profile
+   * photo, is reported as a violation, so it counts towards the proctoring policy like a
+   * client-reported one.
+   */
+  async captureSnapshot(test, imageData) {
+    const result = await proctoringService.captureScreenshot(test, imageData);
+    const snapshotViolation = result.success ?
+      proctoringService.getSnapshotViolation(result.screenshot, result.detection, result.identity) :
+      null;
+
+    if (!snapshotViolation) {
+      return result;
+    }
+
+    const { type, ...details } = snapshotViolation;
+    const recorded = await this.reportViolation(test, type, details);
+    return { ...result, ...recorded };
+  }
+
+  /**
+   * Record a heartbeat from the test client. A long gap since the previous one is reported as a
+   * connection_lost violation, so it counts towards the proctoring policy like any other.
+   */
+  async recordHeartbeat(test, now = new Date()) {
+    const heartbeat = await proctoringService.recordHeartbeat(test, now);
+    const { offlineInterval } = heartbeat;
+
+    if (!offlineInterval || offlineInterval.durationSeconds < proctoringService.longOfflineSeconds) {
+      return { ...heartbeat, completed: null };
+    }
+
+    const recorded = await this.reportViolation(test, proctoringService.violationTypes.CONNECTION_LOST,
+      proctoringService.describeOfflineInterval(offlineInterval));
+    return { ...heartbeat, ...recorded };
+  }
+
+  /**
+   * End the proctoring session of a completed test; the session stays stored for reports
+   */
+  async stopProctoring(test) {
+    try {
+      await proctoringService.stopProctoring(test);
+    } catch (error) {
+      console.error('Proctoring stop error:', error);
+    }
+  }
+
+  /**
+   * Look for implausible answer times in a newly evaluated test; a failure only leaves it unscored
+   */
+  async scoreResponseTimes(test) {
+    try {
+      await responseTimeService.scoreTest(test);
+    } catch (error) {
+      console.error('Response time scoring error:', error);
+    }
+  }
+
+  /**
+   * Rank a newly evaluated test; a failure here is left for the periodic recompute
+   */
+  async rankTest(test) {
+    try {
+      await rankingService.rankTest(test);
+    } catch (error) {
+      console.error('Test ranking error:', error);
+    }
+  }
+
+  /**
+   * Issue and email the certificate of a passed test; a failure here can be retried by an admin
+   */
+  async issueCertificate(test) {
+    if (!test.isPassed) {
+      return;
+    }
+
+    try {
+      await certificateService.issueCertificate(test);
+    } catch (error) {
+      console.error('Certificate issue error:', error);
+    }
+  }
+
+  /**
+   * Update best score and qualification status after a test is evaluated
+   */
+  async updateUserTestInfo(test) {
+    const user = await User.findById(test.user);
+    if (!user) {
+      return null;
+    }
+
+    if (test.score.percentage > user.testInfo.bestScore) {
+      user.testInfo.bestScore = test.score.percentage;
+    }
+
+    if (test.isPassed) {
+      user.testInfo.hasQualified = true;
+      user.testInfo.qualificationDate = new Date();
+    }
+
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Rebuild best score and qualification status from all of the candidate's released results,
+   * for when an earlier result changes (e.g. after a re-grade) and can also go down
+   */
+  async recalculateUserTestInfo(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return null;
+    }
+
+    const tests = await Test.find({ user: userId, status: 'Evaluated', reviewStatus: { $ne: 'Rejected' } })
+      .select('status score.percentage isPassed testConfig.resultModeration proctoring.flaggedForReview resultReleasedAt reviewStatus');
+    const released = tests.filter(test => !test.isResultHeld());
+
+    user.testInfo.bestScore = Math.max(0, ...released.map(test => test.score.percentage));
+
+    if (released.some(test => test.isPassed)) {
+      if (!user.testInfo.hasQualified) {
+        user.testInfo.hasQualified = true;
+        user.testInfo.qualificationDate = new Date();
+      }
+    } else {
+      user.testInfo.hasQualified = false;
+      user.testInfo.qualificationDate = undefined;
+    }
+
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Build the result payload shared by email and SMS notifications
+   */
+  buildResultData(test) {
+    return {
+      testId: test.testId,
+      percentage: test.score.percentage,
+      grade: test.score.grade,
+      isPassed: test.isPassed,
+      correctAnswers: test.score.correctAnswers,
+      wrongAnswers: test.score.wrongAnswers,
+      totalQuestions: test.score.totalQuestions,
+      attemptedQuestions: test.score.attemptedQuestions,
+      netScore: test.score.netScore,
+      totalPoints: test.score.totalPoints,
+      completedAt: test.submittedAt,
+      actualDuration: test.actualDurationMinutes,
+      rank: test.rank,
+      percentile: test.percentile ?? 'Calculating...'
+    };
+  }
+
+  /**
+   * Send results to the candidate and notify admins
+   */
+  async sendResultNotifications(test, user) {
+    try {
+      const resultData = this.buildResultData(test);
+
+      await Promise.all([
+        emailService.sendTestResults(user.email, user.fullName, resultData),
+        smsService.sendTestResults(user.phone, user.fullName, resultData),
+        emailService.sendAdminNotification('test_completed', {
+          name: user.fullName,
+          testId: test.testId,
+          percentage: test.score.percentage,
+          isPassed: test.isPassed,
+          completedAt: test.submittedAt
+        })
+      ]);
+    } catch (error) {
+      console.error('Test result notification error:', error);
+    }
+  }
+
+  /**
+   * Tell admins a moderated result is waiting for review
+   */
+  async sendModerationNotification(test) {
+    try {
+      await emailService.sendAdminNotification('result_pending_review', {
+        name: test.userName,
+        testId: test.testId,
+        percentage: test.score.percentage,
+        isPassed: test.isPassed,
+        riskLevel: test.getProctoringSummary().riskLevel
+      });
+    } catch (error) {
+      console.error('Moderation notification error:', error);
+    }
+  }
+}
+
+module.exports = new TestCompletionService();
@@ -0,0 +1,131 @@
+const cron = require('node-cron');
+const Test = require('../models/Test');
+const testCompletionService = require('./testCompletionService');
+
+class TestExpiryService {
+  constructor() {
+    this.schedule = process.env.TEST_SWEEP_CRON || '* * * * *';
+    this.batchSize = parseInt(process.env.TEST_SWEEP_BATCH_SIZE) || 100;
+    this.staleSubmissionMinutes = 5;
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the expiry sweeper (call once the database is connected)
+   */
+  start() {
+    if (this.job) {
+      return;
+    }
+
+    this.job = cron.schedule(this.schedule, async () => {
+      await this.sweepExpiredTests();
+    });
+
+    console.log(`⏱️  Test expiry sweeper scheduled (${this.schedule})`);
+  }
+
+  /**
+   * Stop the expiry sweeper
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Complete overdue in-progress tests and expire tests that were never started
+   */
+  async sweepExpiredTests(now = new Date()) {
+    // Skip if the previous run is still going
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const summary = { completed: 0, expired: 0, recovered: 0, errors: 0 };
+
+    try {
+      const { gracePeriodSeconds, scheduledTtlMinutes } = testCompletionService;
+
+      // Sectional deadlines can fall before the overall one, so the exact deadline is checked per
+      // test. Every in-progress test is scanned with only the deadline fields loaded, so overdue
+      // short tests are not held back behind long tests that still have time left.
+      const overdueIds = [];
+      const candidates = Test.find({
+        status: 'In Progress',
+        startTime: { $lt: new Date(now.getTime() - gracePeriodSeconds * 1000) }
+      })
+        .select('startTime testConfig.durationMinutes currentSection sections.sectionNumber sections.startedAt sections.durationMinutes')
+        .sort({ startTime: 1 })
+        .cursor();
+
+      for await (const candidate of candidates) {
+        if (candidate.isPastDeadline(gracePeriodSeconds, now)) {
+          overdueIds.push(candidate._id);
+          if (overdueIds.length >= this.batchSize) break;
+        }
+      }
+
+      const inProgressTests = await Test.find({ _id: { $in: overdueIds } });
+
+      for (const test of inProgressTests) {
+        try {
+          const completed = await testCompletionService.expireTest(test);
+          if (completed) summary.completed++;
+        } catch (error) {
+          summary.errors++;
+          console.error(`Test expiry error (${test.testId}):`, error);
+        }
+      }
+
+      const scheduledTests = await Test.find({
+        status: 'Scheduled',
+        startTime: { $lt: new Date(now.getTime() - scheduledTtlMinutes * 60 * 1000) }
+      })
+        .select('_id testId')
+        .limit(this.batchSize);
+
+      for (const test of scheduledTests) {
+        try {
+          const expired = await testCompletionService.expireScheduledTest(test);
+          if (expired) summary.expired++;
+        } catch (error) {
+          summary.errors++;
+          console.error(`Scheduled test expiry error (${test.testId}):`, error);
+        }
+      }
+
+      const staleSubmissions = await Test.find({
+        status: 'Submitted',
+        updatedAt: { $lt: new Date(now.getTime() - this.staleSubmissionMinutes * 60 * 1000) }
+      }).limit(this.batchSize);
+
+      for (const test of staleSubmissions) {
+        try {
+          await testCompletionService.recoverSubmittedTest(test);
+          summary.recovered++;
+        } catch (error) {
+          summary.errors++;
+          console.error(`Submitted test recovery error (${test.testId}):`, error);
+        }
+      }
+
+      if (summary.completed || summary.expired || summary.recovered || summary.errors) {
+        console.log('Test expiry sweep:', summary);
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Test expiry sweep error:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new TestExpiryService();